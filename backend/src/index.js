@@ -13,6 +13,12 @@ if (!process.env.JWT_SECRET) {
   process.exit(1);
 }
 
+// Every instance registers the same webhook, so they must share its secret
+if (process.env.NODE_ENV === 'production' && process.env.TELEGRAM_WEBHOOK_URL && !process.env.TELEGRAM_WEBHOOK_SECRET) {
+  console.error('❌ FATAL: TELEGRAM_WEBHOOK_SECRET is required when TELEGRAM_WEBHOOK_URL is set');
+  process.exit(1);
+}
+
 // Import routes
 const userRoutes = require('./routes/users');
 const questionRoutes = require('./routes/questions');
@@ -20,10 +26,22 @@ const answerRoutes = require('./routes/answers');
 const statsRoutes = require('./routes/stats');
 const twitterAuthRoutes = require('./routes/twitter-auth');
 const telegramRoutes = require('./routes/telegram');
+const activityRoutes = require('./routes/activity');
+const eventRoutes = require('./routes/events');
+const searchRoutes = require('./routes/search');
+const trashRoutes = require('./routes/trash');
+const sessionRoutes = require('./routes/sessions');
+const permalinkRoutes = require('./routes/permalinks');
+const feedRoutes = require('./routes/feeds');
+const activityPubRoutes = require('./routes/activitypub');
 
 // Import database
 const db = require('./utils/database');
-const { statements } = require('./utils/database');
+const { startTelegramUpdates } = require('./utils/telegramUpdates');
+const { startTrashPurge } = require('./utils/trash');
+const { startDeliveryQueue } = require('./utils/federation');
+const { startSessionCleanup } = require('./utils/sessions');
+const activityEvents = require('./utils/events');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -72,6 +90,7 @@ console.log('🔗 Base URL:', process.env.BASE_URL || 'Not set (using defaults)'
 console.log('🔗 Twitter Callback URL:', process.env.TWITTER_CALLBACK_URL || 'Not set (using defaults)');
 console.log('🤖 Telegram Bot Token:', process.env.TELEGRAM_BOT_TOKEN ? 'Set ✅' : 'Not set (notifications disabled)');
 console.log('🤖 Telegram Bot Username:', process.env.TELEGRAM_BOT_USERNAME || 'Not set');
+console.log('🤖 Telegram Updates:', process.env.TELEGRAM_WEBHOOK_URL ? `Webhook (${process.env.TELEGRAM_WEBHOOK_URL})` : (process.env.TELEGRAM_POLLING === 'true' ? 'Long polling' : 'Webhook (not managed)'));
 
 // Security middleware with updated CSP for Twitter images
 app.use(helmet({
@@ -95,7 +114,14 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json());
+// ActivityPub servers post activity+json; the raw body is kept so inbox
+// requests can be checked against their Digest header
+app.use(express.json({
+  type: ['application/json', 'application/activity+json', 'application/ld+json'],
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Session middleware - required for Twitter OAuth 1.0a
@@ -171,41 +197,40 @@ const authLimiter = rateLimit({
   keyGenerator: (req) => req.ip
 });
 
+// Share cards are rendered on the CPU; the global limiter skips /api/answers/
+const cardLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: 'Too many card requests. Please wait a moment.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip
+});
+
+// Inbox deliveries make us fetch the sender's actor from their server, so
+// keep any one client from having us fetch all day
+const inboxLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: 'Too many deliveries. Please slow down.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip
+});
+
 // API Routes
+app.use('/api/users/recover', authLimiter);
 app.use('/api/users', userRoutes);
 app.use('/api/questions', questionRoutes);
+app.use('/api/answers/single/:id/card.png', cardLimiter);
 app.use('/api/answers', answerRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/telegram', telegramRoutes);
-
-// Activity endpoint for real-time updates
-app.get('/api/activity', async (req, res) => {
-  try {
-    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 30000); // Last 30 seconds by default
-    
-    // Get recent questions, answers, and new users
-    const [recentQuestions, recentAnswers, recentUsers] = await Promise.all([
-      statements.getRecentQuestions.all(since.toISOString()),
-      statements.getRecentAnswers.all(since.toISOString()),
-      statements.getRecentUsers.all(since.toISOString())
-    ]);
-    
-    res.json({
-      timestamp: new Date().toISOString(),
-      questions: recentQuestions || [],
-      answers: recentAnswers || [],
-      users: recentUsers || []
-    });
-  } catch (error) {
-    console.error('Activity endpoint error:', error);
-    res.json({ 
-      timestamp: new Date().toISOString(),
-      questions: [], 
-      answers: [], 
-      users: [] 
-    });
-  }
-});
+app.use('/api/activity', activityRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/sessions', sessionRoutes);
 
 // Apply auth-specific rate limiter to Twitter auth routes
 app.use('/api/auth', authLimiter, twitterAuthRoutes);
@@ -284,10 +309,20 @@ app.get('/api/debug', async (req, res) => {
   }
 });
 
+// RSS, Atom and JSON feeds of answers (outside /api so readers get short URLs)
+app.use(feedRoutes);
+
+// ActivityPub: WebFinger, actors, outboxes and inboxes
+app.use('/ap/users/:id/inbox', inboxLimiter);
+app.use(activityPubRoutes);
+
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../../frontend/dist')));
   
+  // Answer and profile pages with link preview and feed tags
+  app.use(permalinkRoutes);
+  
   app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../../frontend/dist/index.html'));
   });
@@ -314,14 +349,25 @@ app.use((req, res) => {
 });
 
 // Initialize database
-db.init().then(() => {
+db.init().then(async () => {
   console.log('✅ Database initialized');
+
+  // Live events reach SSE clients on every instance
+  await activityEvents.connect(db.storage);
   
   // Start server
   app.listen(PORT, () => {
     console.log(`🌟 Server running on port ${PORT}`);
     console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+    
+    startTelegramUpdates().catch(err => {
+      console.error('❌ Failed to set up Telegram updates:', err.message);
+    });
+
+    startTrashPurge();
+    startDeliveryQueue();
+    startSessionCleanup();
   });
 }).catch(err => {
   console.error('❌ Failed to initialize database:', err);
@@ -1,17 +1,44 @@
 const jwt = require('jsonwebtoken');
 const { statements } = require('../utils/database');
+const { toDbTimestamp } = require('../utils/timestamps');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
 
-// Generate JWT token
-const generateToken = (userId, handle) => {
+// Access tokens are short-lived; clients get new ones with their session's
+// refresh token (see utils/sessions.js)
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+// Generate an access token for a session
+const generateToken = (userId, handle, sessionId) => {
   return jwt.sign(
-    { userId, handle },
+    { userId, handle, sid: sessionId },
     JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
   );
 };
 
+// Browser navigations and EventSource can't send an Authorization header, so
+// they carry a ticket instead: a short-lived token for one purpose, fetched
+// with an authenticated POST right before
+const TICKET_TTL = '1m';
+
+const generateTicket = (user, purpose) => {
+  return jwt.sign(
+    { purpose, userId: user.id, sid: user.sessionId },
+    JWT_SECRET,
+    { expiresIn: TICKET_TTL }
+  );
+};
+
+// The user a token's session belongs to, or null if the session has been
+// revoked or has expired. Tokens from before sessions existed have no sid.
+// Access tokens have no purpose; tickets must have the one asked for.
+const getTokenUser = async (decoded, purpose) => {
+  if (!decoded.sid || decoded.purpose !== purpose) return null;
+  const user = await statements.getSessionUser.get(decoded.sid, toDbTimestamp(new Date()));
+  return user && user.id === decoded.userId ? user : null;
+};
+
 // Verify JWT token middleware
 const authenticate = async (req, res, next) => {
   try {
@@ -26,17 +53,20 @@ const authenticate = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
       
-      // Get user from database
-      const user = await statements.getUserById.get(decoded.userId);
+      // Get user from database, through their session
+      const user = await getTokenUser(decoded);
       
       if (!user) {
-        return res.status(401).json({ message: 'User not found' });
+        return res.status(401).json({ message: 'Session expired' });
       }
       
       // Attach user to request
       req.user = {
         id: user.id,
-        handle: user.handle
+        handle: user.handle,
+        sessionId: user.session_id,
+        telegram_chat_id: user.telegram_chat_id,
+        telegram_notifications_paused: user.telegram_notifications_paused
       };
       
       next();
@@ -59,7 +89,7 @@ const optionalAuth = async (req, res, next) => {
       
       try {
         const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await statements.getUserById.get(decoded.userId);
+        const user = await getTokenUser(decoded);
         
         if (user) {
           req.user = {
@@ -79,8 +109,38 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Like authenticate, for a ?ticket= issued for purpose (see generateTicket)
+const authenticateTicket = (purpose) => async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(req.query.ticket || ''), JWT_SECRET);
+    } catch (jwtError) {
+      return res.status(401).json({ message: 'Invalid ticket' });
+    }
+    
+    const user = await getTokenUser(decoded, purpose);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid ticket' });
+    }
+    
+    req.user = {
+      id: user.id,
+      handle: user.handle,
+      sessionId: user.session_id
+    };
+    next();
+  } catch (error) {
+    console.error('Ticket auth error:', error);
+    res.status(500).json({ message: 'Authentication error' });
+  }
+};
+
 module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
   generateToken,
+  generateTicket,
   authenticate,
+  authenticateTicket,
   optionalAuth
 }; 
\ No newline at end of file
@@ -1,4 +1,7 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { decodeCursor } = require('../utils/cursor');
+const { PROVIDERS } = require('../utils/identities');
+const { HANDLE_MIN_LENGTH, HANDLE_MAX_LENGTH, HANDLE_PATTERN, RESERVED_HANDLES } = require('../utils/handles');
 const Filter = require('bad-words');
 
 const filter = new Filter();
@@ -15,27 +18,34 @@ const validate = (req, res, next) => {
   next();
 };
 
+// The checks every new handle must pass, on a body field or a URL parameter
+const handleChecks = (field) => field
+  .trim()
+  .isLength({ min: HANDLE_MIN_LENGTH, max: HANDLE_MAX_LENGTH })
+  .withMessage(`Handle must be between ${HANDLE_MIN_LENGTH} and ${HANDLE_MAX_LENGTH} characters`)
+  .matches(HANDLE_PATTERN)
+  .withMessage('Handle can only contain lowercase letters and numbers')
+  .custom((value) => {
+    if (/^\d+$/.test(value)) {
+      throw new Error('Handle cannot be only numbers');
+    }
+    return true;
+  })
+  .custom((value) => {
+    if (RESERVED_HANDLES.includes(value.toLowerCase())) {
+      throw new Error('This handle is reserved');
+    }
+    return true;
+  });
+
 // Handle validation rules
 const handleRules = [
-  body('handle')
-    .trim()
-    .isLength({ min: 3, max: 20 })
-    .withMessage('Handle must be between 3 and 20 characters')
-    .matches(/^[a-z0-9]+$/)
-    .withMessage('Handle can only contain lowercase letters and numbers')
-    .custom((value) => {
-      if (/^\d+$/.test(value)) {
-        throw new Error('Handle cannot be only numbers');
-      }
-      return true;
-    })
-    .custom((value) => {
-      const reserved = ['api', 'admin', 'inbox', 'login', 'signup', 'about', 'help', 'support'];
-      if (reserved.includes(value.toLowerCase())) {
-        throw new Error('This handle is reserved');
-      }
-      return true;
-    })
+  handleChecks(body('handle')),
+  // Ask for recovery codes along with the secret key
+  body('recoveryCodes')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('recoveryCodes must be true or false')
 ];
 
 // Question validation rules
@@ -87,6 +97,79 @@ const authRules = [
     .withMessage('Secret key is required')
 ];
 
+// Sign in with a recovery code instead of the secret key
+const recoveryRules = [
+  body('handle')
+    .trim()
+    .notEmpty()
+    .withMessage('Handle is required'),
+  body('recoveryCode')
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code is required')
+];
+
+// Finish signing up with Twitter by picking a handle
+const twitterSignupRules = [
+  handleChecks(body('handle')),
+  body('signupCode')
+    .isString()
+    .notEmpty()
+    .withMessage('Sign-up code is required')
+];
+
+// Trade a sign-in code from the Twitter callback for tokens
+const signInCodeRules = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Sign-in code is required')
+];
+
+// Exchange a refresh token for new tokens
+const refreshRules = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// Feed privacy settings validation rules
+const privacyRules = [
+  body(['hideQuestions', 'hideAnswers', 'hideJoin', 'showQuestionText'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Privacy settings must be true or false')
+];
+
+// Search query validation rules
+const searchRules = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search must be between 2 and 100 characters'),
+  query('handle')
+    .optional()
+    .matches(/^[a-z0-9]+$/)
+    .withMessage('Invalid handle format'),
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page and limit must be positive numbers')
+];
+
+// Answer list paging: a cursor from a previous page, or legacy page numbers
+const answersPageRules = [
+  query('cursor')
+    .optional()
+    .custom((value) => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page and limit must be positive numbers')
+];
+
 // Parameter validation
 const handleParamRules = [
   param('handle')
@@ -94,18 +177,38 @@ const handleParamRules = [
     .withMessage('Invalid handle format')
 ];
 
+// Is this handle free to sign up with?
+const handleAvailabilityRules = [
+  handleChecks(param('handle'))
+];
+
 const idParamRules = [
   param('id')
     .isInt({ min: 1 })
     .withMessage('Invalid ID')
 ];
 
+const providerParamRules = [
+  param('provider')
+    .isIn(PROVIDERS)
+    .withMessage('Unknown sign-in method')
+];
+
 module.exports = {
   validate,
   handleRules,
   questionRules,
   answerRules,
   authRules,
+  recoveryRules,
+  refreshRules,
+  twitterSignupRules,
+  signInCodeRules,
+  privacyRules,
+  searchRules,
+  answersPageRules,
   handleParamRules,
-  idParamRules
+  handleAvailabilityRules,
+  idParamRules,
+  providerParamRules
 }; 
\ No newline at end of file
@@ -0,0 +1,98 @@
+// Tables that predate the migration framework. Existing databases already have
+// them, so everything here is IF NOT EXISTS.
+
+// Trigger to update the users.updated_at timestamp
+const usersTimestampTrigger = {
+  sqlite: `
+    CREATE TRIGGER IF NOT EXISTS update_users_timestamp 
+    AFTER UPDATE ON users
+    BEGIN
+      UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END
+  `,
+  postgres: `
+    CREATE OR REPLACE FUNCTION update_users_timestamp() RETURNS TRIGGER AS $$
+    BEGIN
+      NEW.updated_at = CURRENT_TIMESTAMP;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS update_users_timestamp ON users;
+    CREATE TRIGGER update_users_timestamp
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_users_timestamp();
+  `
+};
+
+module.exports = {
+  description: 'Create users, questions and answers tables',
+
+  up: async (db) => {
+    // Users table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        handle TEXT UNIQUE NOT NULL,
+        secret_key TEXT,
+        twitter_id TEXT UNIQUE,
+        twitter_username TEXT UNIQUE,
+        twitter_name TEXT,
+        twitter_profile_image TEXT,
+        auth_type TEXT DEFAULT 'secret_key' CHECK (auth_type IN ('secret_key', 'twitter')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Users table ready');
+
+    // Questions table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS questions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Questions table ready');
+
+    // Answers table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS answers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        question_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        question_text TEXT NOT NULL,
+        answer_text TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Answers table ready');
+
+    // Create indexes for better performance
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_questions_user_id ON questions(user_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_answers_user_id ON answers(user_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_answers_created_at ON answers(created_at)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_users_handle ON users(handle)');
+    console.log('✅ Database indexes created');
+
+    await db.exec(usersTimestampTrigger[db.dialect]);
+    console.log('✅ Database triggers created');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TRIGGER IF EXISTS update_users_timestamp' + (db.dialect === 'postgres' ? ' ON users' : ''));
+    if (db.dialect === 'postgres') {
+      await db.exec('DROP FUNCTION IF EXISTS update_users_timestamp()');
+    }
+
+    await db.exec('DROP TABLE IF EXISTS answers');
+    await db.exec('DROP TABLE IF EXISTS questions');
+    await db.exec('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,38 @@
+module.exports = {
+  description: 'Add Twitter OAuth columns to users table',
+
+  up: async (db) => {
+    const columnNames = await db.getColumns('users');
+
+    // If twitter_id already exists, the users table came from the current base schema
+    if (columnNames.includes('twitter_id')) {
+      console.log('✓ Twitter columns already exist, skipping migration');
+      return;
+    }
+
+    // This is an old database that needs updating
+    console.log('📝 Updating existing database with Twitter OAuth columns...');
+
+    const columnsToAdd = [
+      { name: 'twitter_id', sql: 'ALTER TABLE users ADD COLUMN twitter_id TEXT UNIQUE' },
+      { name: 'twitter_username', sql: 'ALTER TABLE users ADD COLUMN twitter_username TEXT UNIQUE' },
+      { name: 'twitter_name', sql: 'ALTER TABLE users ADD COLUMN twitter_name TEXT' },
+      { name: 'twitter_profile_image', sql: 'ALTER TABLE users ADD COLUMN twitter_profile_image TEXT' },
+      { name: 'auth_type', sql: "ALTER TABLE users ADD COLUMN auth_type TEXT DEFAULT 'secret_key'" }
+    ];
+
+    for (const column of columnsToAdd) {
+      if (!columnNames.includes(column.name)) {
+        await db.exec(column.sql);
+        console.log(`✅ Added column: ${column.name}`);
+      }
+    }
+
+    // Update existing users to have auth_type = 'secret_key' if they have a secret_key
+    await db.run("UPDATE users SET auth_type = 'secret_key' WHERE secret_key IS NOT NULL AND auth_type IS NULL");
+  },
+
+  // Only ever changed databases created before the base schema had these
+  // columns; rolling back leaves the table as the base schema creates it
+  down: async () => {}
+};
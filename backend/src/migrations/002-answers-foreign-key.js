@@ -0,0 +1,45 @@
+module.exports = {
+  description: 'Fix answers table foreign key constraint',
+
+  up: async (db) => {
+    // Only old SQLite databases were created with the question_id foreign key
+    if (db.dialect !== 'sqlite') {
+      console.log('✓ Not a SQLite database, skipping migration');
+      return;
+    }
+
+    // SQLite doesn't support dropping constraints, so we need to recreate the table
+    console.log('📝 Recreating answers table without question_id foreign key constraint...');
+
+    await db.transaction(async () => {
+      // Create new table without the problematic foreign key
+      await db.exec(`
+        CREATE TABLE answers_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          question_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          question_text TEXT NOT NULL,
+          answer_text TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Copy data from old table to new table
+      await db.run(`
+        INSERT INTO answers_new (id, question_id, user_id, question_text, answer_text, created_at)
+        SELECT id, question_id, user_id, question_text, answer_text, created_at FROM answers
+      `);
+
+      await db.exec('DROP TABLE answers');
+      await db.exec('ALTER TABLE answers_new RENAME TO answers');
+
+      // Recreate indexes
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_answers_user_id ON answers(user_id)');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_answers_created_at ON answers(created_at)');
+    });
+  },
+
+  // Answers must outlive their question, so the constraint is never put back
+  down: async () => {}
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  description: 'Add updated_at column to answers table',
+
+  up: async (db) => {
+    const columnNames = await db.getColumns('answers');
+
+    if (columnNames.includes('updated_at')) {
+      console.log('✓ updated_at column already exists, skipping migration');
+      return;
+    }
+
+    await db.exec('ALTER TABLE answers ADD COLUMN updated_at DATETIME DEFAULT CURRENT_TIMESTAMP');
+    console.log('✅ Added updated_at column');
+
+    // Set updated_at to created_at for existing records
+    await db.run('UPDATE answers SET updated_at = created_at WHERE updated_at IS NULL');
+  },
+
+  // The base schema creates answers.updated_at too, so it stays
+  down: async () => {}
+};
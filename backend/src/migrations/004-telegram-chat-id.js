@@ -0,0 +1,19 @@
+module.exports = {
+  description: 'Add telegram_chat_id column to users table for notifications',
+
+  up: async (db) => {
+    const columnNames = await db.getColumns('users');
+
+    if (columnNames.includes('telegram_chat_id')) {
+      console.log('✓ telegram_chat_id column already exists, skipping migration');
+      return;
+    }
+
+    await db.exec('ALTER TABLE users ADD COLUMN telegram_chat_id TEXT');
+    console.log('✅ Added telegram_chat_id column');
+  },
+
+  down: async (db) => {
+    await db.exec('ALTER TABLE users DROP COLUMN telegram_chat_id');
+  }
+};
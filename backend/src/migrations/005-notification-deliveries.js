@@ -0,0 +1,31 @@
+module.exports = {
+  description: 'Add notification_deliveries table for tracking Telegram notifications',
+
+  up: async (db) => {
+    // No foreign key on question_id: the delivery record is kept even if the
+    // question is deleted so the Telegram message can still be traced
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        question_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        channel TEXT NOT NULL DEFAULT 'telegram',
+        chat_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'retrying', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        telegram_message_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created notification_deliveries table');
+
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_question_id ON notification_deliveries(question_id)');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS notification_deliveries');
+  }
+};
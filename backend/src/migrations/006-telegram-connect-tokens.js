@@ -0,0 +1,24 @@
+module.exports = {
+  description: 'Add telegram_connect_tokens table for persistent connection links',
+
+  up: async (db) => {
+    // expires_at is stored as epoch milliseconds to match generateConnectionToken()
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS telegram_connect_tokens (
+        token TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_at BIGINT NOT NULL,
+        consumed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created telegram_connect_tokens table');
+
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_telegram_connect_tokens_user_id ON telegram_connect_tokens(user_id)');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS telegram_connect_tokens');
+  }
+};
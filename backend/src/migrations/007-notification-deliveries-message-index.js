@@ -0,0 +1,12 @@
+module.exports = {
+  description: 'Index notification_deliveries by Telegram message for reply lookups',
+
+  up: async (db) => {
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_message ON notification_deliveries(chat_id, telegram_message_id)');
+    console.log('✅ Created notification_deliveries message index');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP INDEX IF EXISTS idx_notification_deliveries_message');
+  }
+};
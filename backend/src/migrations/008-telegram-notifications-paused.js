@@ -0,0 +1,19 @@
+module.exports = {
+  description: 'Add telegram_notifications_paused column to users table',
+
+  up: async (db) => {
+    const columnNames = await db.getColumns('users');
+
+    if (columnNames.includes('telegram_notifications_paused')) {
+      console.log('✓ telegram_notifications_paused column already exists, skipping migration');
+      return;
+    }
+
+    await db.exec('ALTER TABLE users ADD COLUMN telegram_notifications_paused INTEGER NOT NULL DEFAULT 0');
+    console.log('✅ Added telegram_notifications_paused column');
+  },
+
+  down: async (db) => {
+    await db.exec('ALTER TABLE users DROP COLUMN telegram_notifications_paused');
+  }
+};
@@ -0,0 +1,28 @@
+// Question text stays private unless the trader opts in
+const columns = [
+  { name: 'feed_hide_questions', sql: 'ALTER TABLE users ADD COLUMN feed_hide_questions INTEGER NOT NULL DEFAULT 0' },
+  { name: 'feed_hide_answers', sql: 'ALTER TABLE users ADD COLUMN feed_hide_answers INTEGER NOT NULL DEFAULT 0' },
+  { name: 'feed_hide_join', sql: 'ALTER TABLE users ADD COLUMN feed_hide_join INTEGER NOT NULL DEFAULT 0' },
+  { name: 'feed_show_question_text', sql: 'ALTER TABLE users ADD COLUMN feed_show_question_text INTEGER NOT NULL DEFAULT 0' }
+];
+
+module.exports = {
+  description: 'Add activity feed privacy settings to users table',
+
+  up: async (db) => {
+    const columnNames = await db.getColumns('users');
+
+    for (const column of columns) {
+      if (!columnNames.includes(column.name)) {
+        await db.exec(column.sql);
+        console.log(`✅ Added column: ${column.name}`);
+      }
+    }
+  },
+
+  down: async (db) => {
+    for (const column of columns) {
+      await db.exec(`ALTER TABLE users DROP COLUMN ${column.name}`);
+    }
+  }
+};
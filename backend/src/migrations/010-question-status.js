@@ -0,0 +1,62 @@
+const columns = [
+  { name: 'status', sql: "ALTER TABLE questions ADD COLUMN status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'answered', 'dismissed', 'archived'))" },
+  { name: 'answered_at', sql: 'ALTER TABLE questions ADD COLUMN answered_at DATETIME' },
+  { name: 'dismissed_at', sql: 'ALTER TABLE questions ADD COLUMN dismissed_at DATETIME' },
+  { name: 'archived_at', sql: 'ALTER TABLE questions ADD COLUMN archived_at DATETIME' },
+  { name: 'updated_at', sql: 'ALTER TABLE questions ADD COLUMN updated_at DATETIME' }
+];
+
+module.exports = {
+  description: 'Add status lifecycle to questions and backfill answered questions',
+
+  up: async (db) => {
+    const columnNames = await db.getColumns('questions');
+
+    await db.transaction(async () => {
+      for (const column of columns) {
+        if (!columnNames.includes(column.name)) {
+          await db.exec(column.sql);
+          console.log(`✅ Added column: ${column.name}`);
+        }
+      }
+
+      // Questions that still exist but already have an answer
+      await db.run(`
+        UPDATE questions
+        SET status = 'answered',
+            answered_at = (SELECT MIN(a.created_at) FROM answers a WHERE a.question_id = questions.id)
+        WHERE EXISTS (SELECT 1 FROM answers a WHERE a.question_id = questions.id)
+      `);
+
+      // Answered questions used to be deleted - recreate them from the answer's copy of the text.
+      // The original ask time is gone, so the answer time is the best we have.
+      const backfilled = await db.run(`
+        INSERT INTO questions (id, user_id, text, status, created_at, answered_at)
+        SELECT a.question_id, MIN(a.user_id), MIN(a.question_text), 'answered', MIN(a.created_at), MIN(a.created_at)
+        FROM answers a
+        WHERE NOT EXISTS (SELECT 1 FROM questions q WHERE q.id = a.question_id)
+        GROUP BY a.question_id
+      `);
+      console.log('✅ Backfilled answered questions from answers');
+
+      // Explicit ids don't advance a Postgres sequence
+      if (db.dialect === 'postgres' && backfilled.changes > 0) {
+        await db.get("SELECT setval(pg_get_serial_sequence('questions', 'id'), (SELECT MAX(id) FROM questions))");
+      }
+
+      await db.run('UPDATE questions SET updated_at = COALESCE(answered_at, created_at) WHERE updated_at IS NULL');
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_questions_user_status ON questions(user_id, status)');
+    });
+  },
+
+  // Answered questions are kept; with the columns gone they are simply questions
+  down: async (db) => {
+    await db.transaction(async () => {
+      await db.exec('DROP INDEX IF EXISTS idx_questions_user_status');
+      for (const column of columns) {
+        await db.exec(`ALTER TABLE questions DROP COLUMN ${column.name}`);
+      }
+    });
+  }
+};
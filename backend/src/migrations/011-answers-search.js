@@ -0,0 +1,65 @@
+// Full-text search over answers. SQLite keeps an external-content FTS5 table
+// in sync with triggers; Postgres uses a generated tsvector column.
+module.exports = {
+  description: 'Add full-text search index over answers',
+
+  up: async (db) => {
+    if (db.dialect === 'postgres') {
+      await db.exec(`
+        ALTER TABLE answers ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', question_text), 'B') ||
+          setweight(to_tsvector('english', answer_text), 'A')
+        ) STORED
+      `);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_answers_search ON answers USING GIN (search_vector)');
+      console.log('✅ Created answers search index');
+      return;
+    }
+
+    await db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS answers_fts USING fts5(
+        question_text,
+        answer_text,
+        content='answers',
+        content_rowid='id',
+        tokenize='porter unicode61'
+      )
+    `);
+
+    await db.exec(`
+      CREATE TRIGGER IF NOT EXISTS answers_fts_insert AFTER INSERT ON answers BEGIN
+        INSERT INTO answers_fts (rowid, question_text, answer_text)
+        VALUES (NEW.id, NEW.question_text, NEW.answer_text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS answers_fts_delete AFTER DELETE ON answers BEGIN
+        INSERT INTO answers_fts (answers_fts, rowid, question_text, answer_text)
+        VALUES ('delete', OLD.id, OLD.question_text, OLD.answer_text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS answers_fts_update AFTER UPDATE OF question_text, answer_text ON answers BEGIN
+        INSERT INTO answers_fts (answers_fts, rowid, question_text, answer_text)
+        VALUES ('delete', OLD.id, OLD.question_text, OLD.answer_text);
+        INSERT INTO answers_fts (rowid, question_text, answer_text)
+        VALUES (NEW.id, NEW.question_text, NEW.answer_text);
+      END;
+    `);
+
+    // Index the answers that already exist
+    await db.exec("INSERT INTO answers_fts (answers_fts) VALUES ('rebuild')");
+    console.log('✅ Created answers_fts table and triggers');
+  },
+
+  down: async (db) => {
+    if (db.dialect === 'postgres') {
+      await db.exec('DROP INDEX IF EXISTS idx_answers_search');
+      await db.exec('ALTER TABLE answers DROP COLUMN search_vector');
+      return;
+    }
+
+    await db.exec('DROP TRIGGER IF EXISTS answers_fts_insert');
+    await db.exec('DROP TRIGGER IF EXISTS answers_fts_delete');
+    await db.exec('DROP TRIGGER IF EXISTS answers_fts_update');
+    await db.exec('DROP TABLE IF EXISTS answers_fts');
+  }
+};
@@ -0,0 +1,40 @@
+module.exports = {
+  description: 'Add answer_revisions table and answers.revision column',
+
+  up: async (db) => {
+    // Every version of an answer's text, starting with the original (revision 1)
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS answer_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        answer_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        answer_text TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (answer_id, revision),
+        FOREIGN KEY (answer_id) REFERENCES answers(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created answer_revisions table');
+
+    const columnNames = await db.getColumns('answers');
+    if (!columnNames.includes('revision')) {
+      await db.exec('ALTER TABLE answers ADD COLUMN revision INTEGER NOT NULL DEFAULT 1');
+      console.log('✅ Added column: revision');
+    }
+
+    // Earlier edits overwrote the text, so the current text becomes revision 1
+    await db.run(`
+      INSERT INTO answer_revisions (answer_id, user_id, revision, answer_text, created_at)
+      SELECT a.id, a.user_id, 1, a.answer_text, COALESCE(a.updated_at, a.created_at)
+      FROM answers a
+      WHERE NOT EXISTS (SELECT 1 FROM answer_revisions r WHERE r.answer_id = a.id)
+    `);
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS answer_revisions');
+    await db.exec('ALTER TABLE answers DROP COLUMN revision');
+  }
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  description: 'Add deleted_at to questions and answers for soft deletion',
+
+  up: async (db) => {
+    for (const table of ['questions', 'answers']) {
+      const columnNames = await db.getColumns(table);
+      if (!columnNames.includes('deleted_at')) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME`);
+        console.log(`✅ Added column: ${table}.deleted_at`);
+      }
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table}(deleted_at)`);
+    }
+  },
+
+  // Without the column, trashed rows would come back to life - delete them for good
+  down: async (db) => {
+    for (const table of ['answers', 'questions']) {
+      await db.run(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+      await db.exec(`DROP INDEX IF EXISTS idx_${table}_deleted_at`);
+      await db.exec(`ALTER TABLE ${table} DROP COLUMN deleted_at`);
+    }
+  }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  description: 'Index answers by user, created_at and id for cursor pagination',
+
+  up: async (db) => {
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_answers_user_created ON answers(user_id, created_at, id)');
+    console.log('✅ Created answers cursor index');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP INDEX IF EXISTS idx_answers_user_created');
+  }
+};
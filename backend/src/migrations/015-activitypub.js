@@ -0,0 +1,58 @@
+module.exports = {
+  description: 'Add ActivityPub actor keys, followers and delivery queue tables',
+
+  up: async (db) => {
+    // One RSA key pair per user, created the first time their actor is needed
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS activitypub_keys (
+        user_id INTEGER PRIMARY KEY,
+        public_key TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created activitypub_keys table');
+
+    // Remote actors following a user
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS activitypub_followers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        actor_id TEXT NOT NULL,
+        inbox_url TEXT NOT NULL,
+        shared_inbox_url TEXT,
+        follow_activity_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, actor_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created activitypub_followers table');
+
+    // Outgoing activities waiting to be delivered. next_attempt_at is epoch
+    // milliseconds; delivered or abandoned rows are deleted.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS activitypub_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        inbox_url TEXT NOT NULL,
+        activity TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at BIGINT NOT NULL,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created activitypub_deliveries table');
+
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_activitypub_deliveries_next_attempt ON activitypub_deliveries(next_attempt_at)');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS activitypub_deliveries');
+    await db.exec('DROP TABLE IF EXISTS activitypub_followers');
+    await db.exec('DROP TABLE IF EXISTS activitypub_keys');
+  }
+};
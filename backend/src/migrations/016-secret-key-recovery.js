@@ -0,0 +1,23 @@
+module.exports = {
+  description: 'Add recovery_codes for secret key recovery',
+
+  up: async (db) => {
+    // One-time codes for signing in without the secret key. Only hashes are stored.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL UNIQUE,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id)');
+    console.log('✅ Created recovery_codes table');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS recovery_codes');
+  }
+};
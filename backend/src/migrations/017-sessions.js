@@ -0,0 +1,31 @@
+module.exports = {
+  description: 'Add sessions for refresh tokens',
+
+  up: async (db) => {
+    // One row per sign-in. Only hashes of refresh tokens are stored; the
+    // previous one is kept to notice a stolen token being replayed.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        previous_token_hash TEXT,
+        rotated_at DATETIME,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)');
+    console.log('✅ Created sessions table');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS sessions');
+  }
+};
@@ -0,0 +1,41 @@
+module.exports = {
+  description: 'Add user_identities so one user can sign in several ways',
+
+  up: async (db) => {
+    // One row per way of signing in. Secret-key identities have no
+    // provider_user_id; the key's hash stays in users.secret_key.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        provider_user_id TEXT,
+        username TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, provider),
+        UNIQUE (provider, provider_user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created user_identities table');
+
+    // Every existing user signs in one way, as users.auth_type says
+    await db.exec(`
+      INSERT INTO user_identities (user_id, provider)
+      SELECT id, 'secret_key' FROM users
+      WHERE secret_key IS NOT NULL
+        AND id NOT IN (SELECT user_id FROM user_identities WHERE provider = 'secret_key')
+    `);
+    await db.exec(`
+      INSERT INTO user_identities (user_id, provider, provider_user_id, username)
+      SELECT id, 'twitter', twitter_id, twitter_username FROM users
+      WHERE twitter_id IS NOT NULL
+        AND id NOT IN (SELECT user_id FROM user_identities WHERE provider = 'twitter')
+    `);
+    console.log('✅ Backfilled user_identities from users');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS user_identities');
+  }
+};
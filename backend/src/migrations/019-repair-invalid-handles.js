@@ -0,0 +1,25 @@
+const { isValidHandle, findAvailableHandle } = require('../utils/handles');
+
+module.exports = {
+  description: 'Give users with invalid handles (from Twitter sign-up) valid ones',
+
+  up: async (db) => {
+    // Twitter sign-up used to take the Twitter username as is (capitals,
+    // underscores) and add _<timestamp> on a collision. Profile routes reject
+    // those handles, so their owners couldn't use them.
+    const users = await db.all('SELECT id, handle FROM users ORDER BY id', []);
+    const taken = new Set(users.map(user => user.handle));
+
+    for (const user of users.filter(user => !isValidHandle(user.handle))) {
+      const name = user.handle.replace(/_\d{13}$/, '');
+      const handle = await findAvailableHandle(name, async (candidate) => taken.has(candidate));
+
+      await db.run('UPDATE users SET handle = ? WHERE id = ?', [handle, user.id]);
+      taken.add(handle);
+      console.log(`✅ Repaired handle: ${user.handle} -> ${handle}`);
+    }
+  },
+
+  // The old handles were unusable, so there is nothing to go back to
+  down: async () => {}
+};
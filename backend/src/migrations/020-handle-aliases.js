@@ -0,0 +1,24 @@
+module.exports = {
+  description: 'Add handle_aliases for renamed handles',
+
+  up: async (db) => {
+    // A user's previous handles. Old links keep resolving to the user; nobody
+    // else can take an old handle until reserved_until.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS handle_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        handle TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        reserved_until DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_handle_aliases_user ON handle_aliases(user_id)');
+    console.log('✅ Created handle_aliases table');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS handle_aliases');
+  }
+};
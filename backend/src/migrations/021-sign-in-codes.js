@@ -0,0 +1,23 @@
+module.exports = {
+  description: 'Add sign_in_codes for handing a Twitter sign-in to the frontend',
+
+  up: async (db) => {
+    // The OAuth callback redirects with a code instead of tokens; the frontend
+    // trades it for a session once, within a minute. Only hashes are stored.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS sign_in_codes (
+        code_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        consumed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Created sign_in_codes table');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS sign_in_codes');
+  }
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  description: 'Add pending_signups for new Twitter users picking a handle',
+
+  up: async (db) => {
+    // A new Twitter user's profile waits here until they pick a handle. The
+    // OAuth callback hands the frontend a code for it, kept until the account
+    // is created so a taken handle can be retried. Only hashes are stored.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS pending_signups (
+        code_hash TEXT PRIMARY KEY,
+        twitter_id TEXT NOT NULL,
+        twitter_username TEXT,
+        twitter_name TEXT,
+        twitter_profile_image TEXT,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Created pending_signups table');
+  },
+
+  down: async (db) => {
+    await db.exec('DROP TABLE IF EXISTS pending_signups');
+  }
+};
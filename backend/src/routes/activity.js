@@ -0,0 +1,52 @@
+const express = require('express');
+const { statements } = require('../utils/database');
+const activityEvents = require('../utils/events');
+const { openEventStream } = require('../utils/sse');
+
+const router = express.Router();
+
+// Recent activity since a timestamp (polling fallback for the stream below)
+router.get('/', async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 30000); // Last 30 seconds by default
+
+    // Get recent questions, answers, and new users
+    const [recentQuestions, recentAnswers, recentUsers] = await Promise.all([
+      statements.getRecentQuestions.all(since.toISOString()),
+      statements.getRecentAnswers.all(since.toISOString()),
+      statements.getRecentUsers.all(since.toISOString())
+    ]);
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      questions: recentQuestions || [],
+      answers: recentAnswers || [],
+      users: recentUsers || []
+    });
+  } catch (error) {
+    console.error('Activity endpoint error:', error);
+    res.json({
+      timestamp: new Date().toISOString(),
+      questions: [],
+      answers: [],
+      users: []
+    });
+  }
+});
+
+// Server-Sent Events stream of new questions, answers and users
+router.get('/stream', (req, res) => {
+  const sendEvent = openEventStream(req, res, () => {
+    activityEvents.off('activity', sendEvent);
+  });
+
+  // Replay anything missed since the client's last event
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (lastEventId) {
+    activityEvents.getEventsSince(lastEventId).forEach(sendEvent);
+  }
+
+  activityEvents.on('activity', sendEvent);
+});
+
+module.exports = router;
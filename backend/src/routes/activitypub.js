@@ -0,0 +1,274 @@
+const express = require('express');
+const { statements } = require('../utils/database');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const {
+  AS_CONTEXT,
+  ACTIVITY_JSON,
+  getSiteUrl,
+  getDomain,
+  actorId,
+  noteId,
+  getActorKeys,
+  actorDocument,
+  noteObject,
+  answerActivity,
+  acceptActivity,
+  verifyRequest,
+  wantsActivityJson,
+  assertFetchableUrl
+} = require('../utils/activitypub');
+const { enqueueActivity } = require('../utils/federation');
+const { resolveHandle } = require('../utils/handleAliases');
+
+const router = express.Router();
+
+const OUTBOX_PAGE_SIZE = 20;
+
+const SIGNATURE_ERRORS = ['Missing signature', 'Invalid signature', 'Invalid digest', 'Request expired'];
+
+const sendActivityJson = (res, body) => {
+  res.set('Content-Type', `${ACTIVITY_JSON}; charset=utf-8`);
+  res.send(JSON.stringify(body));
+};
+
+// Resolves :id to a user or sends a 404
+const findActorUser = async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  const user = Number.isInteger(userId) ? await statements.getUserById.get(userId) : null;
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// Object ids may be given inline or as a bare string
+const idOf = (value) => (typeof value === 'string' ? value : value?.id);
+
+const isFetchable = (url) => {
+  try {
+    assertFetchableUrl(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// acct:handle@domain -> user. The domain may be the API's or the app's.
+router.get('/.well-known/webfinger', async (req, res) => {
+  try {
+    const match = /^acct:@?([^@]+)@(.+)$/i.exec(String(req.query.resource || ''));
+    if (!match) {
+      return res.status(400).json({ message: 'resource must be acct:handle@domain' });
+    }
+
+    const [, handle, domain] = match;
+    const domains = [getDomain(), new URL(getSiteUrl()).host];
+    if (!domains.includes(domain.toLowerCase())) {
+      return res.status(404).json({ message: 'Handle not found' });
+    }
+
+    const user = await resolveHandle(handle);
+    if (!user) {
+      return res.status(404).json({ message: 'Handle not found' });
+    }
+    // An old handle: point the server at the current one
+    if (user.handle !== handle) {
+      const resource = `acct:${user.handle}@${domain.toLowerCase()}`;
+      return res.redirect(301, `/.well-known/webfinger?resource=${encodeURIComponent(resource)}`);
+    }
+
+    const profileUrl = `${getSiteUrl()}/u/${user.handle}`;
+    res.set('Content-Type', 'application/jrd+json; charset=utf-8');
+    res.send(JSON.stringify({
+      subject: `acct:${user.handle}@${domain.toLowerCase()}`,
+      aliases: [profileUrl, actorId(user.id)],
+      links: [
+        { rel: 'http://webfinger.net/rel/profile-page', type: 'text/html', href: profileUrl },
+        { rel: 'self', type: ACTIVITY_JSON, href: actorId(user.id) }
+      ]
+    }));
+  } catch (error) {
+    console.error('WebFinger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/ap/users/:id', async (req, res) => {
+  try {
+    const user = await findActorUser(req, res);
+    if (!user) return;
+
+    const keys = await getActorKeys(user.id);
+    sendActivityJson(res, actorDocument(user, keys));
+  } catch (error) {
+    console.error('ActivityPub actor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Answers as Create activities, newest first. ?page=true starts the first
+// page; later pages add the cursor of the previous page's last answer.
+router.get('/ap/users/:id/outbox', async (req, res) => {
+  try {
+    const user = await findActorUser(req, res);
+    if (!user) return;
+
+    const outboxUrl = `${actorId(user.id)}/outbox`;
+
+    if (!req.query.page) {
+      const { count } = await statements.countAnswersByUserId.get(user.id);
+      return sendActivityJson(res, {
+        '@context': AS_CONTEXT,
+        id: outboxUrl,
+        type: 'OrderedCollection',
+        totalItems: count,
+        first: `${outboxUrl}?page=true`
+      });
+    }
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const rows = await statements.getAnswersPageByUserId.all(user.id, cursor, OUTBOX_PAGE_SIZE + 1);
+    const answers = rows.slice(0, OUTBOX_PAGE_SIZE);
+    const hasMore = rows.length > OUTBOX_PAGE_SIZE;
+
+    sendActivityJson(res, {
+      '@context': AS_CONTEXT,
+      id: `${outboxUrl}?page=true${req.query.cursor ? `&cursor=${req.query.cursor}` : ''}`,
+      type: 'OrderedCollectionPage',
+      partOf: outboxUrl,
+      ...(hasMore && {
+        next: `${outboxUrl}?page=true&cursor=${encodeCursor(answers[answers.length - 1])}`
+      }),
+      orderedItems: answers.map((answer) => {
+        const { '@context': context, ...activity } = answerActivity('Create', user, answer);
+        return activity;
+      })
+    });
+  } catch (error) {
+    console.error('ActivityPub outbox error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Only the count is public; who follows a trader is their business
+router.get('/ap/users/:id/followers', async (req, res) => {
+  try {
+    const user = await findActorUser(req, res);
+    if (!user) return;
+
+    const { count } = await statements.countActivityPubFollowers.get(user.id);
+    sendActivityJson(res, {
+      '@context': AS_CONTEXT,
+      id: `${actorId(user.id)}/followers`,
+      type: 'OrderedCollection',
+      totalItems: count
+    });
+  } catch (error) {
+    console.error('ActivityPub followers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Signed activities from other servers. Follow and Undo(Follow) are acted
+// on; anything else is accepted and ignored.
+router.post('/ap/users/:id/inbox', async (req, res) => {
+  try {
+    const user = await findActorUser(req, res);
+    if (!user) return;
+
+    const activity = req.body;
+    if (!activity || typeof activity !== 'object' || !activity.type || !activity.actor) {
+      return res.status(400).json({ message: 'Invalid activity' });
+    }
+
+    let sender;
+    try {
+      sender = await verifyRequest(req, user);
+    } catch (error) {
+      const message = SIGNATURE_ERRORS.includes(error.message) ? error.message : 'Could not verify signature';
+      console.warn(`⚠️ Rejected inbox delivery for user ${user.id}: ${error.message}`);
+      return res.status(401).json({ message });
+    }
+
+    // Servers may only speak for their own actors
+    if (idOf(activity.actor) !== sender.id) {
+      return res.status(401).json({ message: 'Signature does not match actor' });
+    }
+
+    if (activity.type === 'Follow' && idOf(activity.object) === actorId(user.id)) {
+      // Nothing could be delivered to an inbox we won't connect to
+      if (typeof sender.inbox !== 'string' || !isFetchable(sender.inbox)) {
+        return res.status(400).json({ message: 'Invalid inbox' });
+      }
+      const sharedInbox = sender.endpoints?.sharedInbox;
+
+      await statements.addActivityPubFollower.run({
+        user_id: user.id,
+        actor_id: sender.id,
+        inbox_url: sender.inbox,
+        shared_inbox_url: typeof sharedInbox === 'string' && isFetchable(sharedInbox) ? sharedInbox : null,
+        follow_activity_id: activity.id || null
+      });
+      await enqueueActivity(user.id, acceptActivity(user.id, activity), [sender.inbox]);
+      console.log(`🤝 ${sender.id} followed user ${user.id}`);
+    } else if (activity.type === 'Undo' && activity.object?.type === 'Follow') {
+      await statements.removeActivityPubFollower.run(user.id, sender.id);
+      console.log(`👋 ${sender.id} unfollowed user ${user.id}`);
+    }
+
+    res.status(202).end();
+  } catch (error) {
+    console.error('ActivityPub inbox error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/ap/answers/:id', async (req, res) => {
+  try {
+    const answerId = parseInt(req.params.id, 10);
+    const answer = Number.isInteger(answerId) ? await statements.getAnswerById.get(answerId) : null;
+    if (!answer) {
+      return res.status(404).json({ message: 'Answer not found' });
+    }
+
+    const user = await statements.getUserById.get(answer.user_id);
+    sendActivityJson(res, { '@context': AS_CONTEXT, ...noteObject(user, answer) });
+  } catch (error) {
+    console.error('ActivityPub note error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pasting a profile or answer link into a Mastodon search fetches it as
+// ActivityPub JSON; send those requests to the matching object
+router.get('/u/:handle', async (req, res, next) => {
+  if (!wantsActivityJson(req)) {
+    return next();
+  }
+
+  try {
+    const user = await resolveHandle(req.params.handle);
+    if (!user) {
+      return res.status(404).json({ message: 'Handle not found' });
+    }
+    res.redirect(302, actorId(user.id));
+  } catch (error) {
+    console.error('ActivityPub profile redirect error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/a/:id', (req, res, next) => {
+  const answerId = parseInt(req.params.id, 10);
+  if (!wantsActivityJson(req) || !Number.isInteger(answerId)) {
+    return next();
+  }
+  res.redirect(302, noteId(answerId));
+});
+
+module.exports = router;
@@ -1,21 +1,15 @@
 const express = require('express');
 const { statements } = require('../utils/database');
 const { authenticate, optionalAuth } = require('../middleware/auth');
-const { validate, handleParamRules, idParamRules } = require('../middleware/validation');
+const { validate, handleParamRules, idParamRules, answersPageRules } = require('../middleware/validation');
+const { transformAnswer, transformRevision } = require('../utils/transform');
+const { editAnswer, deleteAnswer, restoreAnswer } = require('../utils/answers');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { answerCardEtag, renderAnswerCard } = require('../utils/shareCard');
+const { resolveHandle } = require('../utils/handleAliases');
 
 const router = express.Router();
 
-// Helper function to transform snake_case to camelCase
-const transformAnswer = (answer) => ({
-  id: answer.id,
-  questionId: answer.question_id,
-  userId: answer.user_id,
-  questionText: answer.question_text,
-  answerText: answer.answer_text,
-  createdAt: answer.created_at,
-  updatedAt: answer.updated_at
-});
-
 // Get a single answer by ID (public)
 router.get('/single/:id', idParamRules, validate, async (req, res) => {
   try {
@@ -49,39 +43,128 @@ router.get('/single/:id', idParamRules, validate, async (req, res) => {
   }
 });
 
-// Get answers by handle (public)
-router.get('/:handle', handleParamRules, validate, async (req, res) => {
+// Share card image of a single answer (public), used by the /a/:id link preview
+router.get('/single/:id/card.png', idParamRules, validate, async (req, res) => {
+  try {
+    const answerId = parseInt(req.params.id);
+    
+    const answer = await statements.getAnswerById.get(answerId);
+    if (!answer) {
+      return res.status(404).json({ message: 'Answer not found' });
+    }
+    
+    const user = await statements.getUserById.get(answer.user_id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=3600',
+      ETag: answerCardEtag(answer, user)
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(renderAnswerCard(answer, user));
+  } catch (error) {
+    console.error('Answer card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revision history of an answer (public). Readers get the original and the
+// current text so they can see what changed; the owner gets every revision.
+router.get('/:id/revisions', optionalAuth, idParamRules, validate, async (req, res) => {
+  try {
+    const answerId = parseInt(req.params.id);
+    
+    const answer = await statements.getAnswerById.get(answerId);
+    if (!answer) {
+      return res.status(404).json({ message: 'Answer not found' });
+    }
+    
+    const revisions = await statements.getAnswerRevisions.all(answerId);
+    const isOwner = req.user?.id === answer.user_id;
+    const visible = isOwner || revisions.length <= 2
+      ? revisions
+      : [revisions[0], revisions[revisions.length - 1]];
+    
+    res.json({
+      answerId,
+      revision: answer.revision,
+      totalRevisions: revisions.length,
+      fullHistory: visible.length === revisions.length,
+      revisions: visible.map(transformRevision)
+    });
+  } catch (error) {
+    console.error('Get answer revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get answers by handle (public). Pages are fetched with ?cursor=<nextCursor
+// from the previous page>; ?page=N still works for older clients.
+router.get('/:handle', handleParamRules, answersPageRules, validate, async (req, res) => {
   try {
     const { handle } = req.params;
-    const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per page
-    const offset = (page - 1) * limit;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
     
     console.log('📖 Getting answers for handle:', handle);
     
-    // Get user by handle
-    const user = await statements.getUserByHandle.get(handle);
+    // Get user by handle, following renames
+    const user = await resolveHandle(handle);
     if (!user) {
       return res.status(404).json({ message: 'Handle not found' });
     }
     
+    // Renamed: the answers are the same, under the new handle
+    const renamed = user.handle !== handle ? { handle: user.handle, renamedFrom: handle } : {};
+    
     console.log('👤 Found user:', { id: user.id, handle: user.handle });
     
-    // Get answers
-    const answers = await statements.getAnswersByUserId.all(user.id, limit, offset);
-    const totalCount = await statements.countAnswersByUserId.get(user.id);
+    // Legacy offset paging
+    if (req.query.page && !cursor) {
+      const page = parseInt(req.query.page) || 1;
+      const offset = (page - 1) * limit;
+      const answers = await statements.getAnswersByUserId.all(user.id, limit, offset);
+      const totalCount = await statements.countAnswersByUserId.get(user.id);
+      
+      console.log('💬 Found answers:', { count: answers.length, total: totalCount.count });
+      
+      return res.json({
+        ...renamed,
+        answers: answers.map(transformAnswer),
+        total: totalCount.count,
+        page,
+        pages: Math.ceil(totalCount.count / limit),
+        nextCursor: answers.length === limit && offset + limit < totalCount.count
+          ? encodeCursor(answers[answers.length - 1])
+          : null
+      });
+    }
     
-    console.log('💬 Found answers:', { count: answers.length, total: totalCount.count });
+    // One extra row tells us whether there is another page
+    const rows = await statements.getAnswersPageByUserId.all(user.id, cursor, limit + 1);
+    const answers = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(answers[answers.length - 1]) : null;
     
-    // Transform to camelCase
-    const transformedAnswers = answers.map(transformAnswer);
+    console.log('💬 Found answers:', { count: answers.length, hasMore: !!nextCursor });
     
-    res.json({
-      answers: transformedAnswers,
-      total: totalCount.count,
-      page,
-      pages: Math.ceil(totalCount.count / limit)
-    });
+    const response = {
+      ...renamed,
+      answers: answers.map(transformAnswer),
+      nextCursor
+    };
+    
+    // The total only changes the header, so it's counted once, on the first page
+    if (!cursor) {
+      const totalCount = await statements.countAnswersByUserId.get(user.id);
+      response.total = totalCount.count;
+    }
+    
+    res.json(response);
   } catch (error) {
     console.error('Get answers error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -93,25 +176,44 @@ router.delete('/:id', authenticate, idParamRules, validate, async (req, res) =>
   try {
     const answerId = parseInt(req.params.id);
     
-    // Delete answer (only if user owns it)
-    const result = await statements.deleteAnswer.run(answerId, req.user.id);
+    // Move answer to the trash (only if user owns it)
+    const deleted = await deleteAnswer(answerId, req.user.id);
     
-    if (result.changes === 0) {
+    if (!deleted) {
       return res.status(404).json({ message: 'Answer not found or unauthorized' });
     }
     
-    res.json({ message: 'Answer deleted successfully' });
+    res.json({ message: 'Answer moved to trash' });
   } catch (error) {
     console.error('Delete answer error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Restore an answer from the trash (requires auth)
+router.post('/:id/restore', authenticate, idParamRules, validate, async (req, res) => {
+  try {
+    const answerId = parseInt(req.params.id);
+    
+    const restored = await restoreAnswer(answerId, req.user.id);
+    if (!restored) {
+      return res.status(404).json({ message: 'Answer not found in trash' });
+    }
+    
+    res.json({ message: 'Answer restored' });
+  } catch (error) {
+    console.error('Restore answer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Edit an answer (requires auth)
 router.put('/:id', authenticate, idParamRules, validate, async (req, res) => {
   try {
     const answerId = parseInt(req.params.id);
-    const { answerText } = req.body;
+    // expectedRevision is the revision the client edited; if the answer has
+    // moved on since, the edit is refused rather than silently overwriting it
+    const { answerText, expectedRevision } = req.body;
     
     // Validate answer text
     if (!answerText || answerText.trim().length === 0) {
@@ -122,15 +224,25 @@ router.put('/:id', authenticate, idParamRules, validate, async (req, res) => {
       return res.status(400).json({ message: 'Answer must be less than 1000 characters' });
     }
     
-    // Update answer (only if user owns it)
-    const result = await statements.updateAnswer.run(answerText.trim(), answerId, req.user.id);
-    
-    if (result.changes === 0) {
-      return res.status(404).json({ message: 'Answer not found or unauthorized' });
+    if (expectedRevision !== undefined && (!Number.isInteger(expectedRevision) || expectedRevision < 1)) {
+      return res.status(400).json({ message: 'Invalid expected revision' });
     }
     
-    res.json({ message: 'Answer updated successfully' });
+    // Update answer (only if user owns it), keeping the old text as a revision
+    const answer = await editAnswer(answerId, req.user.id, answerText.trim(), expectedRevision);
+    
+    res.json({ message: 'Answer updated successfully', answer: transformAnswer(answer) });
   } catch (error) {
+    if (error.message === 'Answer not found') {
+      return res.status(404).json({ message: 'Answer not found or unauthorized' });
+    }
+    if (error.message === 'Answer changed') {
+      const current = await statements.getAnswerById.get(parseInt(req.params.id)).catch(() => null);
+      return res.status(409).json({
+        message: 'This answer was changed somewhere else',
+        answer: current ? transformAnswer(current) : null
+      });
+    }
     console.error('Update answer error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -0,0 +1,31 @@
+const express = require('express');
+const { authenticate, authenticateTicket, generateTicket } = require('../middleware/auth');
+const { validate, handleParamRules } = require('../middleware/validation');
+const activityEvents = require('../utils/events');
+const { openEventStream } = require('../utils/sse');
+
+const router = express.Router();
+
+// Ticket for opening an event stream; EventSource can't send the access token
+router.post('/ticket', authenticate, (req, res) => {
+  res.json({ ticket: generateTicket(req.user, 'events') });
+});
+
+// Private event stream for the owner of a handle (requires a ticket)
+router.get('/:handle', authenticateTicket('events'), handleParamRules, validate, (req, res) => {
+  const { handle } = req.params;
+
+  // Verify user owns this handle
+  if (req.user.handle !== handle) {
+    return res.status(403).json({ message: 'Unauthorized' });
+  }
+
+  const channel = `user:${req.user.id}`;
+  const sendEvent = openEventStream(req, res, () => {
+    activityEvents.off(channel, sendEvent);
+  });
+
+  activityEvents.on(channel, sendEvent);
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const { statements } = require('../utils/database');
+const { FEED_FORMATS, toFeedItems, feedUpdated, feedEtag } = require('../utils/feeds');
+const { resolveHandle } = require('../utils/handleAliases');
+
+const router = express.Router();
+
+// Entries per feed
+const FEED_LIMIT = 50;
+
+// Answer links point at the app, which may live on another host
+const getSiteUrl = (req) => process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+
+// Render a feed, or 304 if the reader already has this version
+const sendFeed = (req, res, feed, format) => {
+  const { contentType, render } = FEED_FORMATS[format];
+
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': 'public, max-age=300',
+    'ETag': feedEtag(feed, format),
+    'Last-Modified': feedUpdated(feed).toUTCString()
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(render(feed));
+};
+
+// A trader's answers: /u/:handle/feed.xml (RSS), feed.atom, feed.json
+router.get('/u/:handle/feed.:format', async (req, res, next) => {
+  const { handle, format } = req.params;
+  if (!FEED_FORMATS[format]) {
+    return next();
+  }
+
+  try {
+    const user = await resolveHandle(handle);
+    if (!user) {
+      return res.status(404).json({ message: 'Handle not found' });
+    }
+    // Subscribed before a rename; readers update the URL on a 301
+    if (user.handle !== handle) {
+      return res.redirect(301, `/u/${user.handle}/feed.${format}`);
+    }
+
+    const siteUrl = getSiteUrl(req);
+    const rows = await statements.getAnswersByUserId.all(user.id, FEED_LIMIT, 0);
+
+    sendFeed(req, res, {
+      title: `@${user.handle} on TraderFM`,
+      description: `Answers from @${user.handle} to anonymous questions on TraderFM`,
+      homeUrl: `${siteUrl}/u/${user.handle}`,
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`,
+      items: toFeedItems(rows.map(row => ({ ...row, user_handle: user.handle })), siteUrl)
+    }, format);
+  } catch (error) {
+    console.error('User feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Newest answers across the site: /feed.xml, /feed.atom, /feed.json
+router.get('/feed.:format', async (req, res, next) => {
+  const { format } = req.params;
+  if (!FEED_FORMATS[format]) {
+    return next();
+  }
+
+  try {
+    const siteUrl = getSiteUrl(req);
+    const rows = await statements.getLatestAnswers.all(FEED_LIMIT);
+
+    sendFeed(req, res, {
+      title: 'TraderFM',
+      description: 'The latest answers from traders on TraderFM',
+      homeUrl: siteUrl,
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`,
+      items: toFeedItems(rows, siteUrl)
+    }, format);
+  } catch (error) {
+    console.error('Site feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { statements } = require('../utils/database');
+const { escapeHtml } = require('../utils/search');
+const { resolveHandle } = require('../utils/handleAliases');
+
+const router = express.Router();
+
+const INDEX_PATH = path.join(__dirname, '../../../frontend/dist/index.html');
+const DESCRIPTION_LENGTH = 200;
+
+// The built index.html, read once
+let indexHtml = null;
+const getIndexHtml = () => {
+  if (!indexHtml) {
+    indexHtml = fs.readFileSync(INDEX_PATH, 'utf8');
+  }
+  return indexHtml;
+};
+
+// Pages link to the app's host, images to this server's. They differ in a
+// split deployment, where crawlers reach these routes through the frontend
+// host's rewrites (see VERCEL_SPLIT_DEPLOY.md).
+const requestOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+const getSiteUrl = (req) => process.env.FRONTEND_URL || requestOrigin(req);
+const getApiUrl = (req) => process.env.BASE_URL || requestOrigin(req);
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+// Open Graph and Twitter card tags for a single answer
+const answerMetaTags = (answer, user, siteUrl, apiUrl) => {
+  const url = `${siteUrl}/a/${answer.id}`;
+  const image = `${apiUrl}/api/answers/single/${answer.id}/card.png?v=${answer.revision}`;
+  const title = `@${user.handle} answered: ${truncate(answer.question_text, 100)}`;
+  const description = truncate(answer.answer_text.replace(/\s+/g, ' '), DESCRIPTION_LENGTH);
+
+  const tags = [
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', 'TraderFM'],
+    ['property', 'og:url', url],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', image],
+    ['property', 'og:image:width', '1200'],
+    ['property', 'og:image:height', '630'],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image]
+  ];
+
+  return {
+    title,
+    description,
+    tags: tags
+      .map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`)
+      .concat(`<link rel="canonical" href="${escapeHtml(url)}" />`)
+      .join('\n    ')
+  };
+};
+
+// Feed autodiscovery links for a trader's profile
+const feedLinkTags = (handle, siteUrl) => [
+  ['application/rss+xml', 'xml', 'RSS'],
+  ['application/atom+xml', 'atom', 'Atom'],
+  ['application/feed+json', 'json', 'JSON Feed']
+]
+  .map(([type, extension, label]) =>
+    `<link rel="alternate" type="${type}" title="@${escapeHtml(handle)} answers (${label})" href="${escapeHtml(`${siteUrl}/u/${handle}/feed.${extension}`)}" />`)
+  .join('\n    ');
+
+// Link previews for answer permalinks. Crawlers from X and Telegram don't run
+// the app, so the tags go into index.html here; browsers get the same page
+// and the app takes over. Anything unknown falls through to the plain page.
+router.get('/a/:id', async (req, res, next) => {
+  try {
+    const answerId = parseInt(req.params.id);
+    if (!Number.isInteger(answerId) || answerId < 1 || String(answerId) !== req.params.id) {
+      return next();
+    }
+
+    const answer = await statements.getAnswerById.get(answerId);
+    const user = answer && await statements.getUserById.get(answer.user_id);
+    if (!user) {
+      return next();
+    }
+
+    const meta = answerMetaTags(answer, user, getSiteUrl(req), getApiUrl(req));
+
+    const html = getIndexHtml()
+      .replace(/<title>.*?<\/title>/, `<title>${escapeHtml(meta.title)} · TraderFM</title>`)
+      .replace(/<meta name="description"[^>]*>/, `<meta name="description" content="${escapeHtml(meta.description)}" />`)
+      .replace('</head>', `  ${meta.tags}\n  </head>`);
+
+    res.set('Content-Type', 'text/html');
+    res.send(html);
+  } catch (error) {
+    console.error('Answer permalink error:', error);
+    next();
+  }
+});
+
+// Profile pages, so feed readers given a profile URL find its feeds
+router.get('/u/:handle', async (req, res, next) => {
+  try {
+    const user = await resolveHandle(req.params.handle);
+    if (!user) {
+      return next();
+    }
+    if (user.handle !== req.params.handle) {
+      return res.redirect(301, `/u/${user.handle}`);
+    }
+
+    const html = getIndexHtml()
+      .replace(/<title>.*?<\/title>/, `<title>@${escapeHtml(user.handle)} · TraderFM</title>`)
+      .replace('</head>', `  ${feedLinkTags(user.handle, getSiteUrl(req))}\n  </head>`);
+
+    res.set('Content-Type', 'text/html');
+    res.send(html);
+  } catch (error) {
+    console.error('Profile page error:', error);
+    next();
+  }
+});
+
+module.exports = router;
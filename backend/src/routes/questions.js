@@ -1,27 +1,23 @@
 const express = require('express');
-const { statements, db } = require('../utils/database');
+const { statements } = require('../utils/database');
 const { authenticate } = require('../middleware/auth');
+const notificationDispatcher = require('../utils/notifications');
+const { answerQuestion, deleteQuestion, restoreQuestion, setQuestionStatus, publishQuestionCreated } = require('../utils/questions');
+const activityEvents = require('../utils/events');
 const { validate, questionRules, answerRules, handleParamRules, idParamRules } = require('../middleware/validation');
+const { transformQuestion } = require('../utils/transform');
+const { resolveHandle } = require('../utils/handleAliases');
 
 const router = express.Router();
 
-// Helper function to transform snake_case to camelCase
-const transformQuestion = (question) => ({
-  id: question.id,
-  userId: question.user_id,
-  text: question.text,
-  ipAddress: question.ip_address,
-  createdAt: question.created_at
-});
-
 // Ask a question (anonymous)
 router.post('/:handle', handleParamRules, questionRules, validate, async (req, res) => {
   try {
     const { handle } = req.params;
     const { text } = req.body;
     
-    // Get user by handle
-    const user = await statements.getUserByHandle.get(handle);
+    // Get user by handle, following renames
+    const user = await resolveHandle(handle);
     if (!user) {
       return res.status(404).json({ message: 'Handle not found' });
     }
@@ -36,6 +32,21 @@ router.post('/:handle', handleParamRules, questionRules, validate, async (req, r
       ip_address: ipAddress
     });
     
+    // Notify the trader (async, doesn't hold up the response)
+    notificationDispatcher.questionCreated(user, {
+      id: result.lastInsertRowid,
+      text: text.trim()
+    });
+    
+    activityEvents.publishQuestion(user, {
+      id: result.lastInsertRowid,
+      text: text.trim()
+    });
+    
+    publishQuestionCreated(result.lastInsertRowid).catch((error) => {
+      console.error('Publish question event error:', error);
+    });
+    
     res.status(201).json({
       message: 'Question sent successfully',
       questionId: result.lastInsertRowid
@@ -75,42 +86,7 @@ router.post('/:id/answer', authenticate, idParamRules, answerRules, validate, as
     const questionId = parseInt(req.params.id);
     const { answerText } = req.body;
     
-    console.log('📝 Answering question:', { questionId, userId: req.user.id, answerText });
-    
-    let answerId;
-    
-    // Run transaction
-    const transaction = db.transaction(async () => {
-      // Get question
-      const question = await statements.getQuestionById.get(questionId);
-      if (!question) {
-        throw new Error('Question not found');
-      }
-      
-      console.log('❓ Found question:', question);
-      
-      // Verify user owns this question
-      if (question.user_id !== req.user.id) {
-        throw new Error('Unauthorized');
-      }
-      
-      // Create answer
-      const result = await statements.createAnswer.run({
-        question_id: questionId,
-        user_id: req.user.id,
-        question_text: question.text,
-        answer_text: answerText.trim()
-      });
-      
-      answerId = result.lastInsertRowid;
-      console.log('✅ Answer created with ID:', answerId);
-      
-      // Delete the question (it's been answered)
-      await statements.deleteQuestion.run(questionId);
-      console.log('🗑️ Question deleted');
-    });
-    
-    await transaction();
+    const answerId = await answerQuestion(questionId, req.user.id, answerText);
     
     res.status(201).json({
       message: 'Answer posted successfully',
@@ -125,11 +101,49 @@ router.post('/:id/answer', authenticate, idParamRules, answerRules, validate, as
     if (error.message === 'Unauthorized') {
       return res.status(403).json({ message: 'Unauthorized' });
     }
+    if (error.message === 'Question already answered') {
+      return res.status(409).json({ message: 'Question already answered' });
+    }
     
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Move a pending question out of the inbox without answering it
+const changeStatus = (status) => async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id);
+    
+    // Get question
+    const question = await statements.getQuestionById.get(questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    
+    // Verify user owns this question
+    if (question.user_id !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+    
+    if (question.status !== 'pending') {
+      return res.status(409).json({ message: `Question is already ${question.status}` });
+    }
+    
+    await setQuestionStatus(question, status);
+    
+    res.json({ message: `Question ${status}`, status });
+  } catch (error) {
+    console.error(`Set question ${status} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Dismiss a question (requires auth)
+router.post('/:id/dismiss', authenticate, idParamRules, validate, changeStatus('dismissed'));
+
+// Archive a question (requires auth)
+router.post('/:id/archive', authenticate, idParamRules, validate, changeStatus('archived'));
+
 // Delete a question (requires auth)
 router.delete('/:id', authenticate, idParamRules, validate, async (req, res) => {
   try {
@@ -146,14 +160,31 @@ router.delete('/:id', authenticate, idParamRules, validate, async (req, res) =>
       return res.status(403).json({ message: 'Unauthorized' });
     }
     
-    // Delete question
-    await statements.deleteQuestion.run(questionId);
+    // Move question to the trash
+    await deleteQuestion(question);
     
-    res.json({ message: 'Question deleted successfully' });
+    res.json({ message: 'Question moved to trash' });
   } catch (error) {
     console.error('Delete question error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Restore a question from the trash (requires auth)
+router.post('/:id/restore', authenticate, idParamRules, validate, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id);
+    
+    const restored = await restoreQuestion(questionId, req.user.id);
+    if (!restored) {
+      return res.status(404).json({ message: 'Question not found in trash' });
+    }
+    
+    res.json({ message: 'Question restored' });
+  } catch (error) {
+    console.error('Restore question error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
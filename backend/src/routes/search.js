@@ -0,0 +1,49 @@
+const express = require('express');
+const { statements } = require('../utils/database');
+const { validate, searchRules } = require('../middleware/validation');
+const { parseSearchTerms } = require('../utils/search');
+const { transformSearchResult } = require('../utils/transform');
+const { resolveHandle } = require('../utils/handleAliases');
+
+const router = express.Router();
+
+// Search published answers, site-wide or for one handle (public)
+router.get('/', searchRules, validate, async (req, res) => {
+  try {
+    const { q, handle } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50); // Max 50 per page
+    const offset = (page - 1) * limit;
+
+    const terms = parseSearchTerms(q);
+    if (terms.length === 0) {
+      return res.status(400).json({ message: 'Search must contain letters or numbers' });
+    }
+
+    let userId = null;
+    if (handle) {
+      const user = await resolveHandle(handle);
+      if (!user) {
+        return res.status(404).json({ message: 'Handle not found' });
+      }
+      userId = user.id;
+    }
+
+    const [results, totalCount] = await Promise.all([
+      statements.searchAnswers.all(terms, userId, limit, offset),
+      statements.countSearchAnswers.get(terms, userId)
+    ]);
+
+    res.json({
+      results: results.map(transformSearchResult),
+      total: totalCount.count,
+      page,
+      pages: Math.ceil(totalCount.count / limit)
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const { statements } = require('../utils/database');
+const { authenticate } = require('../middleware/auth');
+const { validate, refreshRules, idParamRules } = require('../middleware/validation');
+const { refreshSession, listSessions } = require('../utils/sessions');
+
+const router = express.Router();
+
+// Trade a refresh token for a new access token and refresh token. The old
+// refresh token stops working.
+router.post('/refresh', refreshRules, validate, async (req, res) => {
+  try {
+    res.json(await refreshSession(req.body.refreshToken, req));
+  } catch (error) {
+    if (error.message === 'Invalid refresh token') {
+      return res.status(401).json({ message: 'Session expired' });
+    }
+    console.error('Refresh session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Signed-in devices (requires auth)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    res.json({ sessions: await listSessions(req.user.id, req.user.sessionId) });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out (requires auth)
+router.delete('/current', authenticate, async (req, res) => {
+  try {
+    await statements.revokeSession.run(req.user.sessionId, req.user.id);
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Revoke current session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out another device (requires auth)
+router.delete('/:id', authenticate, idParamRules, validate, async (req, res) => {
+  try {
+    const result = await statements.revokeSession.run(parseInt(req.params.id), req.user.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out everywhere, or everywhere else with ?except=current (requires auth)
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    const keepSessionId = req.query.except === 'current' ? req.user.sessionId : null;
+    const result = await statements.revokeUserSessions.run(req.user.id, keepSessionId);
+    console.log(`🚪 Revoked ${result.changes} session(s) for user ${req.user.id}`);
+    res.json({ message: 'Sessions revoked', revoked: result.changes });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
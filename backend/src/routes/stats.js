@@ -2,6 +2,7 @@ const express = require('express');
 const { statements } = require('../utils/database');
 const { authenticate } = require('../middleware/auth');
 const { validate, handleParamRules } = require('../middleware/validation');
+const { transformStats } = require('../utils/transform');
 
 const router = express.Router();
 
@@ -20,9 +21,7 @@ router.get('/:handle', authenticate, handleParamRules, validate, async (req, res
     
     res.json({
       handle,
-      totalQuestions: stats.total_questions,
-      totalAnswers: stats.total_answers,
-      unansweredQuestions: stats.total_questions - stats.total_answers
+      ...transformStats(stats)
     });
   } catch (error) {
     console.error('Get stats error:', error);
@@ -1,13 +1,12 @@
 const express = require('express');
+const crypto = require('crypto');
 const { statements } = require('../utils/database');
 const { authenticate } = require('../middleware/auth');
 const telegramService = require('../utils/telegram');
+const { handleUpdate } = require('../utils/telegramUpdates');
 
 const router = express.Router();
 
-// In-memory store for connection tokens (in production, use Redis)
-const connectionTokens = new Map();
-
 // Generate connection link for authenticated user
 router.post('/connect', authenticate, async (req, res) => {
   try {
@@ -21,16 +20,19 @@ router.post('/connect', authenticate, async (req, res) => {
       });
     }
     
+    // Clean up expired and used tokens
+    await statements.deleteExpiredTelegramConnectTokens.run();
+    
+    // Only the most recent link should work
+    await statements.invalidateTelegramConnectTokens.run(userId);
+    
     // Generate connection token
     const tokenData = telegramService.generateConnectionToken(userId);
-    connectionTokens.set(tokenData.token, tokenData);
-    
-    // Clean up expired tokens
-    for (const [token, data] of connectionTokens) {
-      if (Date.now() > data.expiresAt) {
-        connectionTokens.delete(token);
-      }
-    }
+    await statements.createTelegramConnectToken.run({
+      token: tokenData.token,
+      user_id: tokenData.userId,
+      expires_at: tokenData.expiresAt
+    });
     
     // Generate bot link
     const botUsername = process.env.TELEGRAM_BOT_USERNAME || 'traderfm_bot';
@@ -50,6 +52,7 @@ router.post('/connect', authenticate, async (req, res) => {
 router.post('/disconnect', authenticate, async (req, res) => {
   try {
     await statements.updateUserTelegramId.run(req.user.id, null);
+    await statements.invalidateTelegramConnectTokens.run(req.user.id);
     res.json({ message: 'Telegram disconnected successfully' });
   } catch (error) {
     console.error('Disconnect error:', error);
@@ -57,54 +60,34 @@ router.post('/disconnect', authenticate, async (req, res) => {
   }
 });
 
+// Reject webhook calls that don't carry the secret we registered with setWebhook.
+// Updates are trusted by chat id alone, so without a secret the webhook is only
+// open outside production (local testing).
+const verifyWebhookSecret = (req, res, next) => {
+  const secret = telegramService.webhookSecret;
+  if (!secret) {
+    if (process.env.NODE_ENV !== 'production') {
+      return next();
+    }
+    console.log('🚫 Rejected Telegram webhook call - no webhook secret configured');
+    return res.status(403).json({ message: 'Webhook not configured' });
+  }
+  
+  const received = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+  const expected = Buffer.from(secret);
+  
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    console.log('🚫 Rejected Telegram webhook call with invalid secret token');
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  
+  next();
+};
+
 // Telegram webhook endpoint
-router.post('/webhook', async (req, res) => {
+router.post('/webhook', verifyWebhookSecret, async (req, res) => {
   try {
-    const update = req.body;
-    const result = await telegramService.processUpdate(update);
-    
-    if (result.action === 'connect' && result.token) {
-      // Validate token
-      const tokenData = connectionTokens.get(result.token);
-      
-      if (telegramService.validateConnectionToken(result.token, tokenData)) {
-        // Update user with telegram chat ID
-        await statements.updateUserTelegramId.run(tokenData.userId, result.chatId);
-        
-        // Get user info
-        const user = await statements.getUserById.get(tokenData.userId);
-        
-        // Send success message
-        await telegramService.sendNotification(result.chatId, 
-          `✅ Success! Your trader.fm account (@${user.handle}) is now connected.
-
-You'll receive notifications here whenever someone asks you a question.
-
-Happy answering! 🎯`
-        );
-        
-        // Clean up token
-        connectionTokens.delete(result.token);
-      } else {
-        await telegramService.sendNotification(result.chatId, 
-          '❌ Invalid or expired connection link. Please generate a new one from your trader.fm inbox.'
-        );
-      }
-    } else if (result.action === 'disconnect') {
-      // Find user by telegram chat ID
-      const user = await statements.getUserByTelegramId.get(result.chatId);
-      
-      if (user) {
-        await statements.updateUserTelegramId.run(user.id, null);
-        await telegramService.sendNotification(result.chatId, 
-          '👋 Notifications disconnected. You can reconnect anytime from your trader.fm inbox.'
-        );
-      } else {
-        await telegramService.sendNotification(result.chatId, 
-          '❓ No connected account found.'
-        );
-      }
-    }
+    await handleUpdate(req.body);
     
     res.json({ ok: true });
   } catch (error) {
@@ -118,6 +101,7 @@ router.get('/status', authenticate, async (req, res) => {
   try {
     res.json({
       connected: !!req.user.telegram_chat_id,
+      paused: !!req.user.telegram_notifications_paused,
       botUsername: process.env.TELEGRAM_BOT_USERNAME || 'traderfm_bot'
     });
   } catch (error) {
@@ -0,0 +1,17 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getTrash } = require('../utils/trash');
+
+const router = express.Router();
+
+// Deleted questions and answers that can still be restored (requires auth)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    res.json(await getTrash(req.user.id));
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
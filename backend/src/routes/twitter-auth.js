@@ -1,26 +1,58 @@
 const express = require('express');
 const passport = require('passport');
 const TwitterStrategy = require('passport-twitter').Strategy;
-const { statements } = require('../utils/database');
-const { generateToken } = require('../middleware/auth');
+const { statements, db, storage } = require('../utils/database');
+const { authenticate, authenticateTicket, generateTicket } = require('../middleware/auth');
+const { validate, twitterSignupRules, signInCodeRules } = require('../middleware/validation');
+const { findAvailableHandle } = require('../utils/handles');
+const { isHandleTaken } = require('../utils/handleAliases');
+const { createSession, createSignInCode, redeemSignInCode, createSignupCode, getPendingSignup } = require('../utils/sessions');
+const { twitterProfileColumns, linkTwitter } = require('../utils/identities');
+const activityEvents = require('../utils/events');
 
 const router = express.Router();
 
+// A page on the frontend; in production it is served from the same host
+const frontendUrl = (req, path) => {
+  if (process.env.NODE_ENV === 'production') {
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+    return `${protocol}://${req.get('host')}${path}`;
+  }
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+};
+
 // Configure Twitter OAuth strategy (OAuth 1.0a)
 passport.use(new TwitterStrategy({
   consumerKey: process.env.TWITTER_API_KEY,
   consumerSecret: process.env.TWITTER_API_SECRET,
   callbackURL: process.env.TWITTER_CALLBACK_URL || `${process.env.BASE_URL}/api/auth/twitter/callback`,
-  passReqToCallback: false
-}, async (token, tokenSecret, profile, done) => {
+  passReqToCallback: true
+}, async (req, token, tokenSecret, profile, done) => {
   try {
     global.logger?.log('🐦 Twitter OAuth callback received');
     global.logger?.log(`👤 Twitter profile: ${JSON.stringify(profile, null, 2)}`);
     
-    const twitterId = profile.id;
-    const twitterUsername = profile.username;
-    const twitterName = profile.displayName;
-    const profileImage = profile.photos?.[0]?.value || null;
+    // Connecting Twitter to the signed-in user (see /twitter/link)
+    const { linkUserId } = req.session;
+    if (linkUserId) {
+      delete req.session.linkUserId;
+      try {
+        return done(null, await linkTwitter(linkUserId, profile), { linked: true });
+      } catch (error) {
+        if (error.message === 'Twitter account already linked' || error.message === 'Twitter already connected') {
+          global.logger?.log(`❌ Twitter link refused for user ${linkUserId}: ${error.message}`);
+          return done(null, false, { linkUserId, error: 'twitter_already_linked' });
+        }
+        throw error;
+      }
+    }
+    
+    const {
+      twitter_id: twitterId,
+      twitter_username: twitterUsername,
+      twitter_name: twitterName,
+      twitter_profile_image: profileImage
+    } = twitterProfileColumns(profile);
     
     // Check if user already exists with this Twitter ID
     let user;
@@ -40,44 +72,70 @@ passport.use(new TwitterStrategy({
       return done(null, user);
     }
     
-    // Check if handle (same as Twitter username) already exists
-    const existingUser = await statements.getUserByHandle.get(twitterUsername);
-    let finalHandle = twitterUsername;
-    
-    if (existingUser) {
-      // Generate a unique handle by appending timestamp
-      finalHandle = `${twitterUsername}_${Date.now()}`;
-      global.logger?.log(`📝 Handle collision, using: ${finalHandle}`);
-    }
-    
-    // Create new user
-    const result = await statements.createTwitterUser.run({
-      handle: finalHandle,
-      twitter_id: twitterId,
-      twitter_username: twitterUsername,
-      twitter_name: twitterName,
-      twitter_profile_image: profileImage
+    // New here: the account is created once they pick a handle
+    global.logger?.log(`👋 New Twitter user @${twitterUsername}, asking for a handle`);
+    return done(null, false, {
+      signup: {
+        twitter_id: twitterId,
+        twitter_username: twitterUsername,
+        twitter_name: twitterName,
+        twitter_profile_image: profileImage
+      }
     });
     
-    user = {
-      id: result.lastInsertRowid,
-      handle: finalHandle,
-      twitter_id: twitterId,
-      twitter_username: twitterUsername,
-      twitter_name: twitterName,
-      twitter_profile_image: profileImage,
-      auth_type: 'twitter'
-    };
-    
-    global.logger?.log(`🎉 New Twitter user created: ${finalHandle}`);
-    return done(null, user);
-    
   } catch (error) {
     global.logger?.error('❌ Twitter OAuth error:', error);
     return done(error, null);
   }
 }));
 
+// Create the account for a pending Twitter sign-up with the handle they
+// picked. Throws 'Invalid sign-up code' if the sign-up was already used, or
+// 'Handle already exists' if someone took the handle since it was checked.
+const createTwitterAccount = async (handle, signup) => {
+  const twitter = {
+    twitter_id: signup.twitter_id,
+    twitter_username: signup.twitter_username,
+    twitter_name: signup.twitter_name,
+    twitter_profile_image: signup.twitter_profile_image
+  };
+
+  let result;
+  const transaction = db.transaction(async () => {
+    const consumed = await statements.deletePendingSignup.run(signup.code_hash);
+    if (consumed.changes === 0) {
+      throw new Error('Invalid sign-up code');
+    }
+    await statements.deleteHandleAlias.run(handle); // Reservation ran out
+    result = await statements.createTwitterUser.run({ handle, ...twitter });
+    await statements.createUserIdentity.run({
+      user_id: result.lastInsertRowid,
+      provider: 'twitter',
+      provider_user_id: twitter.twitter_id,
+      username: twitter.twitter_username
+    });
+  });
+  try {
+    await transaction();
+  } catch (error) {
+    if (storage.isUniqueViolation(error, 'users', 'handle')) {
+      throw new Error('Handle already exists');
+    }
+    throw error;
+  }
+  
+  const user = {
+    id: result.lastInsertRowid,
+    handle,
+    ...twitter,
+    auth_type: 'twitter'
+  };
+  
+  global.logger?.log(`🎉 New Twitter user created: ${handle}`);
+  activityEvents.publishUser(user);
+  return user;
+};
+
 // Session serialization for Twitter OAuth 1.0a
 passport.serializeUser((user, done) => {
   done(null, user.id);
@@ -95,50 +153,127 @@ passport.deserializeUser(async (id, done) => {
 // Start Twitter OAuth flow
 router.get('/twitter', (req, res, next) => {
   global.logger?.log('🐦 Starting Twitter OAuth flow...');
+  delete req.session.linkUserId;
+  passport.authenticate('twitter')(req, res, next);
+});
+
+// Ticket for starting a Twitter link; the browser navigates to the GET below
+// and can't send the access token
+router.post('/twitter/link', authenticate, (req, res) => {
+  res.json({ ticket: generateTicket(req.user, 'twitter-link') });
+});
+
+// Start connecting Twitter to the signed-in account
+router.get('/twitter/link', authenticateTicket('twitter-link'), (req, res, next) => {
+  global.logger?.log(`🔗 Starting Twitter link for @${req.user.handle}...`);
+  req.session.linkUserId = req.user.id;
   passport.authenticate('twitter')(req, res, next);
 });
 
 // Twitter OAuth callback
-router.get('/twitter/callback', passport.authenticate('twitter', {
-  failureRedirect: process.env.NODE_ENV === 'production' 
-    ? '/?error=twitter_auth_failed'
-    : `${process.env.FRONTEND_URL || 'http://localhost:3000'}?error=twitter_auth_failed`
-}), (req, res) => {
-  try {
-    // Generate JWT token
-    const token = generateToken(req.user.id, req.user.handle);
+router.get('/twitter/callback', (req, res, next) => {
+  passport.authenticate('twitter', async (authError, user, info) => {
+    // New user: on to the frontend to pick a handle, with the Twitter
+    // username (made valid and free) as a suggestion
+    if (info?.signup) {
+      try {
+        const suggested = await findAvailableHandle(info.signup.twitter_username, isHandleTaken);
+        const params = new URLSearchParams({
+          signup: await createSignupCode(info.signup),
+          suggested,
+          twitter: info.signup.twitter_username
+        });
+        return res.redirect(frontendUrl(req, `/welcome?${params}`));
+      } catch (error) {
+        global.logger?.error('❌ Twitter sign-up error:', error);
+        return res.redirect(frontendUrl(req, '/?error=twitter_auth_failed'));
+      }
+    }
     
-    // Redirect to frontend with token
-    // In production on Railway, use the host from the request
-    let redirectUrl;
+    if (authError || !user) {
+      if (info?.linkUserId) {
+        const linkUser = await statements.getUserById.get(info.linkUserId).catch(() => null);
+        return res.redirect(frontendUrl(req, `/inbox/${linkUser?.handle || ''}?error=${info.error}`));
+      }
+      global.logger?.error('❌ Twitter authentication failed:', authError || info);
+      return res.redirect(frontendUrl(req, '/?error=twitter_auth_failed'));
+    }
     
-    if (process.env.NODE_ENV === 'production') {
-      // Use the same domain as the request
-      const host = req.get('host');
-      const protocol = req.get('x-forwarded-proto') || req.protocol;
-      redirectUrl = `${protocol}://${host}/?token=${encodeURIComponent(token)}&handle=${encodeURIComponent(req.user.handle)}&auth_type=twitter`;
-    } else {
-      // Development mode
-      const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-      redirectUrl = `${baseUrl}/?token=${encodeURIComponent(token)}&handle=${encodeURIComponent(req.user.handle)}&auth_type=twitter`;
+    // Twitter was connected to an account that is already signed in
+    if (info?.linked) {
+      global.logger?.log(`🔄 Twitter linked, sending @${user.handle} back to the inbox`);
+      return res.redirect(frontendUrl(req, `/inbox/${user.handle}?linked=twitter`));
     }
     
-    global.logger?.log(`🔄 Redirecting to: ${redirectUrl}`);
+    try {
+      // The frontend trades the code for a session (POST /twitter/session)
+      const code = await createSignInCode(user);
+      global.logger?.log(`🔄 Redirecting @${user.handle} to the frontend`);
+      res.redirect(frontendUrl(req, `/?signin=${encodeURIComponent(code)}`));
+    } catch (error) {
+      global.logger?.error('❌ Twitter callback error:', error);
+      res.redirect(frontendUrl(req, '/?error=token_generation_failed'));
+    }
+  })(req, res, next);
+});
+
+// Start the session for a sign-in code from the callback
+router.post('/twitter/session', signInCodeRules, validate, async (req, res) => {
+  try {
+    const session = await redeemSignInCode(req.body.code, req);
+    res.json({ message: 'Signed in', ...session });
+  } catch (error) {
+    if (error.message === 'Invalid sign-in code') {
+      return res.status(400).json({ message: 'Sign-in expired. Please sign in with Twitter again.' });
+    }
+    global.logger?.error('❌ Twitter sign-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const SIGNUP_EXPIRED = 'Sign-up expired. Please sign in with Twitter again.';
+
+// Finish signing up a new Twitter user with the handle they picked. The
+// code from the callback keeps working until the account is created, so a
+// taken handle can be swapped for another.
+router.post('/twitter/signup', twitterSignupRules, validate, async (req, res) => {
+  try {
+    const signup = await getPendingSignup(req.body.signupCode);
+    if (!signup) {
+      return res.status(400).json({ message: SIGNUP_EXPIRED });
+    }
+    const { handle } = req.body;
     
-    // Clear session after successful authentication (we only need it for OAuth flow)
-    req.logout((err) => {
-      if (err) {
-        global.logger?.error('❌ Session logout error:', err);
+    // Already signed up with another code, e.g. from a second tab
+    let user = await statements.getUserByTwitterId.get(signup.twitter_id);
+    if (user) {
+      const consumed = await statements.deletePendingSignup.run(signup.code_hash);
+      if (consumed.changes === 0) {
+        return res.status(400).json({ message: SIGNUP_EXPIRED });
       }
-      res.redirect(redirectUrl);
+    } else {
+      if (await isHandleTaken(handle)) {
+        return res.status(400).json({ message: 'Handle already exists' });
+      }
+      user = await createTwitterAccount(handle, signup);
+    }
+    
+    res.status(201).json({
+      message: 'Welcome aboard',
+      ...await createSession(user, req),
+      handle: user.handle,
+      authType: user.auth_type
     });
-      } catch (error) {
-      global.logger?.error('❌ Twitter callback error:', error);
-      const errorRedirect = process.env.NODE_ENV === 'production'
-        ? '/?error=token_generation_failed'
-        : `${process.env.FRONTEND_URL || 'http://localhost:3000'}?error=token_generation_failed`;
-      res.redirect(errorRedirect);
+  } catch (error) {
+    if (error.message === 'Invalid sign-up code') {
+      return res.status(400).json({ message: SIGNUP_EXPIRED });
     }
+    if (error.message === 'Handle already exists') {
+      return res.status(400).json({ message: 'Handle already exists' });
+    }
+    global.logger?.error('❌ Twitter sign-up error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -1,9 +1,14 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
-const { statements } = require('../utils/database');
-const { generateToken } = require('../middleware/auth');
-const { validate, handleRules, authRules, handleParamRules } = require('../middleware/validation');
+const { statements, db } = require('../utils/database');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const activityEvents = require('../utils/events');
+const { validate, handleRules, authRules, recoveryRules, privacyRules, handleParamRules, handleAvailabilityRules, providerParamRules } = require('../middleware/validation');
+const { hashSecretKey, addSecretKey, rotateSecretKey, issueRecoveryCodes, redeemRecoveryCode } = require('../utils/secretKeys');
+const { hasIdentity, listIdentities, unlinkIdentity } = require('../utils/identities');
+const { isHandleTaken, resolveHandle, nextRenameAt, renameHandle } = require('../utils/handleAliases');
+const { createSession } = require('../utils/sessions');
 
 const router = express.Router();
 
@@ -24,12 +29,13 @@ router.get('/directory', async (req, res) => {
   }
 });
 
-// Check if handle exists
+// Check if handle exists. Old handles of renamed users resolve to the user,
+// with renamedFrom set, so links to them can be redirected.
 router.get('/check/:handle', handleParamRules, validate, async (req, res) => {
   try {
     const { handle } = req.params;
     global.logger?.log(`🔍 Checking handle: ${handle}`);
-    const user = await statements.getUserByHandle.get(handle);
+    const user = await resolveHandle(handle);
     
     if (!user) {
       global.logger?.log(`❌ Handle not found: ${handle}`);
@@ -38,14 +44,18 @@ router.get('/check/:handle', handleParamRules, validate, async (req, res) => {
     
     global.logger?.log(`✅ Handle exists: ${handle}`);
     
-    // Return public profile info for Twitter users
+    // Return public profile info for users with Twitter connected
     const publicInfo = {
       exists: true,
       handle: user.handle,
       auth_type: user.auth_type
     };
     
-    if (user.auth_type === 'twitter') {
+    if (user.handle !== handle) {
+      publicInfo.renamedFrom = handle;
+    }
+    
+    if (user.twitter_username) {
       publicInfo.twitter_username = user.twitter_username;
       publicInfo.twitter_name = user.twitter_name;
       publicInfo.twitter_profile_image = user.twitter_profile_image;
@@ -58,17 +68,30 @@ router.get('/check/:handle', handleParamRules, validate, async (req, res) => {
   }
 });
 
+// Is a handle free for a new account, or for the signed-in user to rename
+// to? Invalid handles get a 400 with the reasons, like creating it would.
+router.get('/available/:handle', optionalAuth, handleAvailabilityRules, validate, async (req, res) => {
+  try {
+    const { handle } = req.params;
+    const taken = await isHandleTaken(handle, req.user?.id);
+    res.json({ handle, available: !taken });
+  } catch (error) {
+    global.logger?.error('❌ Handle availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create new handle
 router.post('/create', handleRules, validate, async (req, res) => {
   try {
     global.logger?.log('🚀 Starting user creation...');
-    const { handle } = req.body;
+    const { handle, recoveryCodes: wantsRecoveryCodes } = req.body;
     global.logger?.log(`👤 Creating handle: ${handle}`);
     
     // Check if handle already exists
     global.logger?.log('🔍 Checking if handle exists...');
-    const existingUser = await statements.getUserByHandle.get(handle);
-    if (existingUser) {
+    const handleTaken = await isHandleTaken(handle);
+    if (handleTaken) {
       global.logger?.log(`❌ Handle already exists: ${handle}`);
       return res.status(400).json({ message: 'Handle already exists' });
     }
@@ -81,21 +104,42 @@ router.post('/create', handleRules, validate, async (req, res) => {
     
     // Hash the secret key
     global.logger?.log('🔐 Hashing secret key...');
-    const hashedSecretKey = await bcrypt.hash(secretKey, 10);
+    const hashedSecretKey = await hashSecretKey(secretKey);
     global.logger?.log('✅ Secret key hashed');
     
-    // Create user
+    // Create user, with their recovery codes if asked for: the secret key
+    // is only ever sent in this response, so all of it succeeds or none does
     global.logger?.log('💾 Creating user in database...');
-    const result = await statements.createUser.run({
-      handle,
-      secret_key: hashedSecretKey
+    let result;
+    let recoveryCodes;
+    const transaction = db.transaction(async () => {
+      await statements.deleteHandleAlias.run(handle); // Reservation ran out
+      result = await statements.createUser.run({
+        handle,
+        secret_key: hashedSecretKey
+      });
+      await statements.createUserIdentity.run({
+        user_id: result.lastInsertRowid,
+        provider: 'secret_key'
+      });
+      if (wantsRecoveryCodes) {
+        recoveryCodes = await issueRecoveryCodes(result.lastInsertRowid);
+      }
     });
+    await transaction();
     global.logger?.log(`✅ User created successfully: ${JSON.stringify(result)}`);
     
+    activityEvents.publishUser({
+      id: result.lastInsertRowid,
+      handle,
+      auth_type: 'secret_key'
+    });
+    
     res.status(201).json({
       message: 'Handle created successfully',
       handle,
-      secretKey // Only sent once during creation
+      secretKey, // Only sent once during creation
+      recoveryCodes // Likewise, when asked for
     });
     global.logger?.log(`🎉 User creation completed for: ${handle}`);
   } catch (error) {
@@ -125,8 +169,8 @@ router.post('/auth', authRules, validate, async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
-    // Check if user is Twitter-only
-    if (user.auth_type === 'twitter') {
+    // Check if user has a secret key at all
+    if (!(await hasIdentity(user.id, 'secret_key'))) {
       global.logger?.log(`❌ User ${handle} is Twitter-only, cannot use secret key auth`);
       return res.status(401).json({ message: 'This account uses Twitter authentication. Please sign in with Twitter.' });
     }
@@ -139,14 +183,16 @@ router.post('/auth', authRules, validate, async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
-    // Generate JWT token
-    global.logger?.log('🎫 Generating JWT token...');
-    const token = generateToken(user.id, user.handle);
+    // Start a session
+    global.logger?.log('🎫 Starting session...');
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
     
     global.logger?.log(`✅ Authentication successful for: ${handle}`);
     res.json({
       message: 'Authentication successful',
       token,
+      refreshToken,
+      expiresIn,
       handle: user.handle,
       authType: user.auth_type
     });
@@ -156,4 +202,212 @@ router.post('/auth', authRules, validate, async (req, res) => {
   }
 });
 
+// Sign in with a recovery code after losing the secret key. The code is used
+// up and the account gets a new secret key, which signs out every session.
+router.post('/recover', recoveryRules, validate, async (req, res) => {
+  try {
+    const { handle, recoveryCode } = req.body;
+    global.logger?.log(`🛟 Account recovery for: ${handle}`);
+    
+    const user = await statements.getUserByHandle.get(handle);
+    if (!user || !(await hasIdentity(user.id, 'secret_key'))) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    const { secretKey, recoveryCodesLeft } = await redeemRecoveryCode(user.id, recoveryCode);
+    
+    res.json({
+      message: 'Account recovered',
+      ...await createSession(user, req),
+      handle: user.handle,
+      authType: user.auth_type,
+      secretKey,
+      recoveryCodesLeft
+    });
+  } catch (error) {
+    if (error.message === 'Invalid recovery code') {
+      global.logger?.log(`❌ Invalid recovery code for: ${req.body.handle}`);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    global.logger?.error('❌ Recovery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Secret keys and recovery codes only exist for users who sign in with a
+// secret key
+const requireSecretKeyAccount = async (req, res, next) => {
+  try {
+    if (!(await hasIdentity(req.user.id, 'secret_key'))) {
+      return res.status(400).json({ message: 'This account has no secret key' });
+    }
+    next();
+  } catch (error) {
+    global.logger?.error('❌ Account type check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Sign-in methods connected to this account (requires auth)
+router.get('/me/identities', authenticate, async (req, res) => {
+  try {
+    res.json({ identities: await listIdentities(req.user.id) });
+  } catch (error) {
+    global.logger?.error('❌ Get identities error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a sign-in method, as long as another one is left (requires auth)
+router.delete('/me/identities/:provider', authenticate, providerParamRules, validate, async (req, res) => {
+  try {
+    await unlinkIdentity(req.user.id, req.params.provider);
+    res.json({ identities: await listIdentities(req.user.id) });
+  } catch (error) {
+    if (error.message === 'Identity not found') {
+      return res.status(404).json({ message: 'This sign-in method is not connected' });
+    }
+    if (error.message === 'Last sign-in method') {
+      return res.status(400).json({ message: 'You need at least one way to sign in' });
+    }
+    global.logger?.error('❌ Remove identity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a fallback secret key for an account that signs in with Twitter
+// (requires auth)
+router.post('/me/secret-key', authenticate, async (req, res) => {
+  try {
+    const secretKey = await addSecretKey(req.user.id);
+    
+    res.status(201).json({
+      message: 'Secret key created',
+      handle: req.user.handle,
+      secretKey // Only sent once
+    });
+  } catch (error) {
+    if (error.message === 'Secret key already set') {
+      return res.status(409).json({ message: 'This account already has a secret key' });
+    }
+    global.logger?.error('❌ Add secret key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace a leaked secret key (requires auth). The old key stops working and
+// every other session is signed out.
+router.post('/me/rotate-key', authenticate, requireSecretKeyAccount, async (req, res) => {
+  try {
+    const secretKey = await rotateSecretKey(req.user.id, req.user.sessionId);
+    
+    res.json({
+      message: 'Secret key rotated',
+      secretKey // Only sent once
+    });
+  } catch (error) {
+    global.logger?.error('❌ Rotate key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// How many unused recovery codes are left (requires auth)
+router.get('/me/recovery-codes', authenticate, requireSecretKeyAccount, async (req, res) => {
+  try {
+    const { count } = await statements.countUnusedRecoveryCodes.get(req.user.id);
+    res.json({ remaining: Number(count) });
+  } catch (error) {
+    global.logger?.error('❌ Get recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issue a new set of recovery codes, invalidating the old ones (requires auth)
+router.post('/me/recovery-codes', authenticate, requireSecretKeyAccount, async (req, res) => {
+  try {
+    const recoveryCodes = await issueRecoveryCodes(req.user.id);
+    res.json({ recoveryCodes }); // Only sent once
+  } catch (error) {
+    global.logger?.error('❌ Issue recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change handle (requires auth). The old handle keeps pointing here and
+// stays reserved for a while.
+router.put('/me/handle', authenticate, handleRules, validate, async (req, res) => {
+  try {
+    const { handle, previousHandle, reservedUntil } = await renameHandle(req.user.id, req.body.handle);
+    res.json({
+      message: 'Handle changed',
+      handle,
+      previousHandle,
+      reservedUntil: reservedUntil.toISOString()
+    });
+  } catch (error) {
+    if (error.message === 'Handle unchanged') {
+      return res.status(400).json({ message: 'That is already your handle' });
+    }
+    if (error.message === 'Rename cooldown') {
+      const retryAt = await nextRenameAt(req.user.id).catch(() => null);
+      return res.status(429).json({
+        message: 'You changed your handle recently. Try again later.',
+        retryAt: retryAt?.toISOString()
+      });
+    }
+    if (error.message === 'Handle already exists') {
+      return res.status(400).json({ message: 'Handle already exists' });
+    }
+    global.logger?.error('❌ Rename handle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shape feed privacy columns for the API
+const transformPrivacy = (user) => ({
+  hideQuestions: !!user.feed_hide_questions,
+  hideAnswers: !!user.feed_hide_answers,
+  hideJoin: !!user.feed_hide_join,
+  showQuestionText: !!user.feed_show_question_text
+});
+
+// Get activity feed privacy settings (requires auth)
+router.get('/me/privacy', authenticate, async (req, res) => {
+  try {
+    const user = await statements.getUserById.get(req.user.id);
+    res.json(transformPrivacy(user));
+  } catch (error) {
+    global.logger?.error('❌ Get privacy settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update activity feed privacy settings (requires auth)
+router.put('/me/privacy', authenticate, privacyRules, validate, async (req, res) => {
+  try {
+    const current = transformPrivacy(await statements.getUserById.get(req.user.id));
+    const settings = { ...current };
+    
+    // Only change what was sent
+    for (const key of Object.keys(current)) {
+      if (typeof req.body[key] === 'boolean') {
+        settings[key] = req.body[key];
+      }
+    }
+    
+    await statements.updateFeedPrivacy.run(req.user.id, {
+      hide_questions: settings.hideQuestions,
+      hide_answers: settings.hideAnswers,
+      hide_join: settings.hideJoin,
+      show_question_text: settings.showQuestionText
+    });
+    
+    global.logger?.log(`🔒 Updated feed privacy for: ${req.user.handle}`);
+    res.json(settings);
+  } catch (error) {
+    global.logger?.error('❌ Update privacy settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
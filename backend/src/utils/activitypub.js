@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { promisify } = require('util');
+const axios = require('axios');
+const { statements } = require('./database');
+const { escapeHtml } = require('./search');
+const { fromDbTimestamp } = require('./timestamps');
+
+// ActivityPub actors for TraderFM users. Actor ids use the numeric user id,
+// not the handle, so they stay valid if a handle changes.
+
+const AS_CONTEXT = 'https://www.w3.org/ns/activitystreams';
+const SECURITY_CONTEXT = 'https://w3id.org/security/v1';
+const PUBLIC_ADDRESS = 'https://www.w3.org/ns/activitystreams#Public';
+const ACTIVITY_JSON = 'application/activity+json';
+
+// Signed requests whose Date is further off than this are refused
+const MAX_CLOCK_SKEW_MS = 12 * 60 * 60 * 1000;
+const FETCH_TIMEOUT = 10000;
+
+// Remote actors (and their public keys) are cached for an hour
+const ACTOR_CACHE_TTL = 60 * 60 * 1000;
+const ACTOR_CACHE_SIZE = 500;
+const actorCache = new Map();
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// Where this server is reachable; ActivityPub ids are absolute URLs
+const getPublicUrl = () => (process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// Where people browse profiles and answers
+const getSiteUrl = () => (process.env.FRONTEND_URL || getPublicUrl()).replace(/\/$/, '');
+
+const getDomain = () => new URL(getPublicUrl()).host;
+
+const actorId = (userId) => `${getPublicUrl()}/ap/users/${userId}`;
+const noteId = (answerId) => `${getPublicUrl()}/ap/answers/${answerId}`;
+
+// Fetched keys belong to the actor document they're embedded in
+const keyOwnerUrl = (keyId) => keyId.split('#')[0];
+
+// The user's key pair, created on first use
+const getActorKeys = async (userId) => {
+  const existing = await statements.getActivityPubKey.get(userId);
+  if (existing) {
+    return existing;
+  }
+
+  const { publicKey, privateKey } = await generateKeyPair('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  await statements.createActivityPubKey.run({ user_id: userId, public_key: publicKey, private_key: privateKey });
+  console.log(`🔑 Created ActivityPub key for user ${userId}`);
+
+  return statements.getActivityPubKey.get(userId);
+};
+
+const actorDocument = (user, keys) => {
+  const id = actorId(user.id);
+  return {
+    '@context': [AS_CONTEXT, SECURITY_CONTEXT],
+    id,
+    type: 'Person',
+    preferredUsername: user.handle,
+    name: user.twitter_name || `@${user.handle}`,
+    summary: `<p>Answers to anonymous questions on TraderFM. Ask @${escapeHtml(user.handle)} something at <a href="${getSiteUrl()}/u/${user.handle}">${getSiteUrl()}/u/${user.handle}</a></p>`,
+    url: `${getSiteUrl()}/u/${user.handle}`,
+    inbox: `${id}/inbox`,
+    outbox: `${id}/outbox`,
+    followers: `${id}/followers`,
+    manuallyApprovesFollowers: false,
+    discoverable: true,
+    published: fromDbTimestamp(user.created_at).toISOString(),
+    ...(user.twitter_profile_image && {
+      icon: { type: 'Image', url: user.twitter_profile_image }
+    }),
+    publicKey: {
+      id: `${id}#main-key`,
+      owner: id,
+      publicKeyPem: keys.public_key
+    }
+  };
+};
+
+// An answer as a Note. The question is part of the content: a Question
+// object would show up in Mastodon as a poll.
+const noteObject = (user, answer) => {
+  const paragraphs = (text) => escapeHtml(text).replace(/\r?\n/g, '<br>');
+  return {
+    id: noteId(answer.id),
+    type: 'Note',
+    attributedTo: actorId(user.id),
+    content: `<p><strong>Anonymous asked:</strong> ${paragraphs(answer.question_text)}</p><p>${paragraphs(answer.answer_text)}</p>`,
+    url: `${getSiteUrl()}/a/${answer.id}`,
+    published: fromDbTimestamp(answer.created_at).toISOString(),
+    ...(answer.revision > 1 && {
+      updated: fromDbTimestamp(answer.updated_at).toISOString()
+    }),
+    to: [PUBLIC_ADDRESS],
+    cc: [`${actorId(user.id)}/followers`]
+  };
+};
+
+// Create/Update activities wrapping an answer's Note. Ids include the
+// revision so each edit is a distinct activity.
+const answerActivity = (type, user, answer) => {
+  const note = noteObject(user, answer);
+  return {
+    '@context': AS_CONTEXT,
+    id: `${note.id}/${type.toLowerCase()}/${answer.revision}`,
+    type,
+    actor: note.attributedTo,
+    published: type === 'Create' ? note.published : note.updated,
+    to: note.to,
+    cc: note.cc,
+    object: note
+  };
+};
+
+const deleteActivity = (userId, answerId) => ({
+  '@context': AS_CONTEXT,
+  id: `${noteId(answerId)}/delete/${Date.now()}`,
+  type: 'Delete',
+  actor: actorId(userId),
+  to: [PUBLIC_ADDRESS],
+  cc: [`${actorId(userId)}/followers`],
+  object: { id: noteId(answerId), type: 'Tombstone' }
+});
+
+const acceptActivity = (userId, follow) => ({
+  '@context': AS_CONTEXT,
+  id: `${actorId(userId)}#accepts/${crypto.randomUUID()}`,
+  type: 'Accept',
+  actor: actorId(userId),
+  object: follow
+});
+
+const digestHeader = (body) => `SHA-256=${crypto.createHash('sha256').update(body).digest('base64')}`;
+
+// HTTP signature (draft-cavage) headers for a request made as the user
+const signRequest = ({ method, url, body, userId, privateKey }) => {
+  const { host, pathname, search } = new URL(url);
+  const headers = {
+    host,
+    date: new Date().toUTCString(),
+    ...(body !== undefined && { digest: digestHeader(body) })
+  };
+
+  const signedHeaders = ['(request-target)', ...Object.keys(headers)];
+  const signingString = signedHeaders
+    .map(name => (name === '(request-target)'
+      ? `(request-target): ${method.toLowerCase()} ${pathname}${search}`
+      : `${name}: ${headers[name]}`))
+    .join('\n');
+  const signature = crypto.sign('sha256', Buffer.from(signingString), privateKey).toString('base64');
+
+  return {
+    Host: headers.host,
+    Date: headers.date,
+    ...(headers.digest && { Digest: headers.digest }),
+    Signature: `keyId="${actorId(userId)}#main-key",algorithm="rsa-sha256",headers="${signedHeaders.join(' ')}",signature="${signature}"`
+  };
+};
+
+// Addresses remote servers can't make us connect to: loopback, private
+// networks, link-local (cloud metadata) and the like
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => privateAddresses.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => privateAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+// Development talks to a local stub server, so only production is strict
+const isStrict = () => process.env.NODE_ENV === 'production';
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+const isPrivateAddress = (address) =>
+  privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Refusals are marked so deliveries to such an address aren't retried: it
+// would be refused again every time
+const refuse = (message) => Object.assign(new Error(message), { refused: true });
+
+// dns.lookup for outgoing requests that refuses private addresses. Checked
+// when connecting, so a name can't resolve to something else afterwards.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = isStrict() && addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(refuse(`Refusing to connect to ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Agents for every request to another server, with redirects off: a
+// redirect would be a second URL nobody checked
+const remoteRequestOptions = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  maxRedirects: 0
+};
+
+// Remote URLs must be https, except in development where a local stub
+// server is handy. IP literals skip the lookup, so they're checked here.
+const assertFetchableUrl = (url) => {
+  const { protocol, hostname } = new URL(url);
+  const allowed = isStrict() ? ['https:'] : ['https:', 'http:'];
+  if (!allowed.includes(protocol)) {
+    throw refuse(`Refusing to fetch ${protocol} URL`);
+  }
+  const address = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (isStrict() && net.isIP(address) && isPrivateAddress(address)) {
+    throw refuse(`Refusing to fetch ${address}`);
+  }
+};
+
+// Fetch a remote actor document, signed as localUser for servers that
+// require authorized fetch
+const fetchActor = async (url, localUser, { refresh = false } = {}) => {
+  const cached = actorCache.get(url);
+  if (cached && !refresh && cached.expiresAt > Date.now()) {
+    return cached.actor;
+  }
+
+  assertFetchableUrl(url);
+  const keys = await getActorKeys(localUser.id);
+  const response = await axios.get(url, {
+    headers: {
+      Accept: ACTIVITY_JSON,
+      ...signRequest({ method: 'GET', url, userId: localUser.id, privateKey: keys.private_key })
+    },
+    timeout: FETCH_TIMEOUT,
+    maxContentLength: 1024 * 1024,
+    ...remoteRequestOptions
+  });
+
+  const actor = response.data;
+  if (!actor || typeof actor !== 'object' || !actor.id || !actor.inbox) {
+    throw new Error('Not an ActivityPub actor');
+  }
+
+  actorCache.set(url, { actor, expiresAt: Date.now() + ACTOR_CACHE_TTL });
+  if (actorCache.size > ACTOR_CACHE_SIZE) {
+    actorCache.delete(actorCache.keys().next().value);
+  }
+  return actor;
+};
+
+const parseSignatureHeader = (header) => {
+  const params = {};
+  for (const [, key, value] of header.matchAll(/(\w+)="([^"]*)"/g)) {
+    params[key] = value;
+  }
+  return params;
+};
+
+const findPublicKey = (actor, keyId) => {
+  const keys = [].concat(actor.publicKey || []);
+  return keys.find(key => key.id === keyId) || null;
+};
+
+// Check the HTTP signature on an incoming request to localUser's inbox and
+// return the signing actor's document. Throws 'Missing signature', 'Invalid
+// digest', 'Request expired' or 'Invalid signature'.
+const verifyRequest = async (req, localUser) => {
+  const header = req.get('signature');
+  if (!header) {
+    throw new Error('Missing signature');
+  }
+
+  const { keyId, headers = 'date', signature } = parseSignatureHeader(header);
+  const signedHeaders = headers.toLowerCase().split(/\s+/);
+  const required = ['(request-target)', 'host', 'date', ...(req.method === 'POST' ? ['digest'] : [])];
+  if (!keyId || !signature || required.some(name => !signedHeaders.includes(name))) {
+    throw new Error('Invalid signature');
+  }
+
+  const date = Date.parse(req.get('date'));
+  if (Number.isNaN(date) || Math.abs(Date.now() - date) > MAX_CLOCK_SKEW_MS) {
+    throw new Error('Request expired');
+  }
+
+  if (req.method === 'POST' && req.get('digest') !== digestHeader(req.rawBody || '')) {
+    throw new Error('Invalid digest');
+  }
+
+  const signingString = signedHeaders
+    .map(name => (name === '(request-target)'
+      ? `(request-target): ${req.method.toLowerCase()} ${req.originalUrl}`
+      : `${name}: ${req.get(name)}`))
+    .join('\n');
+
+  // The document must be the actor it was fetched as, and the key theirs:
+  // otherwise any server could serve a key document claiming someone
+  // else's id and speak for them
+  const verifyWith = (actor) => {
+    if (actor.id !== keyOwnerUrl(keyId)) return false;
+    const key = findPublicKey(actor, keyId);
+    return !!key && key.owner === actor.id &&
+      crypto.verify('sha256', Buffer.from(signingString), key.publicKeyPem, Buffer.from(signature, 'base64'));
+  };
+
+  // Keys can be rotated, so a failure against a cached key gets one refetch
+  let actor = await fetchActor(keyOwnerUrl(keyId), localUser);
+  if (!verifyWith(actor)) {
+    actor = await fetchActor(keyOwnerUrl(keyId), localUser, { refresh: true });
+    if (!verifyWith(actor)) {
+      throw new Error('Invalid signature');
+    }
+  }
+  return actor;
+};
+
+// Whether a request asks for ActivityPub JSON rather than a web page
+const wantsActivityJson = (req) => /application\/(activity\+json|ld\+json)/.test(req.get('accept') || '');
+
+module.exports = {
+  AS_CONTEXT,
+  ACTIVITY_JSON,
+  getPublicUrl,
+  getSiteUrl,
+  getDomain,
+  actorId,
+  noteId,
+  getActorKeys,
+  actorDocument,
+  noteObject,
+  answerActivity,
+  deleteActivity,
+  acceptActivity,
+  signRequest,
+  remoteRequestOptions,
+  assertFetchableUrl,
+  fetchActor,
+  verifyRequest,
+  wantsActivityJson
+};
@@ -0,0 +1,81 @@
+const { statements, db } = require('./database');
+const activityEvents = require('./events');
+const { transformAnswer } = require('./transform');
+const { federateAnswer } = require('./federation');
+
+// Replace an answer's text, keeping the previous text as a revision. Throws
+// 'Answer not found' if the answer doesn't exist or belongs to someone else,
+// and 'Answer changed' if expectedRevision is given and no longer current
+// (it was edited somewhere else in the meantime).
+const editAnswer = async (answerId, userId, answerText, expectedRevision) => {
+  let answer;
+  let changed = false;
+
+  const transaction = db.transaction(async () => {
+    const current = await statements.getAnswerById.get(answerId);
+    if (!current || current.user_id !== userId) {
+      throw new Error('Answer not found');
+    }
+
+    if (expectedRevision !== undefined && current.revision !== expectedRevision) {
+      throw new Error('Answer changed');
+    }
+
+    // Saving the same text again is not a new revision
+    if (current.answer_text === answerText) {
+      answer = current;
+      return;
+    }
+
+    await statements.updateAnswer.run(answerText, answerId, userId);
+    answer = await statements.getAnswerById.get(answerId);
+
+    await statements.createAnswerRevision.run({
+      answer_id: answerId,
+      user_id: userId,
+      revision: answer.revision,
+      answer_text: answerText
+    });
+    changed = true;
+    console.log(`✏️ Answer ${answerId} edited (revision ${answer.revision})`);
+  });
+
+  await transaction();
+
+  if (changed) {
+    activityEvents.publishToUser(userId, 'answer.updated', transformAnswer(answer));
+    federateAnswer(userId, answerId, 'Update');
+  }
+  return answer;
+};
+
+// Move an answer to the trash. Returns false if the user has no such answer.
+const deleteAnswer = async (answerId, userId) => {
+  const result = await statements.deleteAnswer.run(answerId, userId);
+  if (result.changes === 0) {
+    return false;
+  }
+
+  activityEvents.publishToUser(userId, 'answer.deleted', { id: answerId });
+  federateAnswer(userId, answerId, 'Delete');
+  return true;
+};
+
+// Take an answer out of the trash. Returns false if it isn't there.
+const restoreAnswer = async (answerId, userId) => {
+  const result = await statements.restoreAnswer.run(answerId, userId);
+  if (result.changes === 0) {
+    return false;
+  }
+
+  const answer = await statements.getAnswerById.get(answerId);
+  activityEvents.publishToUser(userId, 'answer.restored', transformAnswer(answer));
+  federateAnswer(userId, answerId, 'Create');
+  return true;
+};
+
+module.exports = {
+  editAnswer,
+  deleteAnswer,
+  restoreAnswer
+};
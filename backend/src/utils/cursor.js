@@ -0,0 +1,24 @@
+// Opaque keyset cursors for list endpoints. A cursor points at the last row of
+// a page by (created_at, id); the next page starts strictly after it.
+
+const encodeCursor = (row) => Buffer
+  .from(JSON.stringify([row.created_at, row.id]))
+  .toString('base64url');
+
+// Returns { createdAt, id }, or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || !Number.isInteger(id) || id < 1) {
+      return null;
+    }
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -1,158 +1,26 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-const { promisify } = require('util');
+const { createStorage } = require('./storage');
 const { runMigrations } = require('./migrations');
+const { HIGHLIGHT_START, HIGHLIGHT_END, toFtsQuery, toTsQuery } = require('./search');
 
-// Determine data directory based on environment
-const isProduction = process.env.NODE_ENV === 'production';
-const dataDir = isProduction 
-  ? '/data'  // Railway volume mount point
-  : path.join(__dirname, '../../data'); // Local development
-
-// Ensure data directory exists
-console.log('📁 Database directory:', dataDir);
-
-try {
-  if (!fs.existsSync(dataDir)) {
-    console.log('📁 Creating data directory...');
-    fs.mkdirSync(dataDir, { recursive: true });
-    console.log('✅ Data directory created');
-  } else {
-    console.log('✅ Data directory exists');
-  }
-} catch (error) {
-  console.error('❌ Failed to create data directory:', error);
-}
-
-// Database file path
-const dbPath = path.join(dataDir, 'traderfm.db');
-console.log('🗄️ Database path:', dbPath);
-
-// Create database connection with error callback
-let db;
-try {
-  db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
-    if (err) {
-      console.error('❌ Failed to open database:', err);
-      console.error('Database path:', dbPath);
-      console.error('Directory exists:', fs.existsSync(dataDir));
-      console.error('Directory permissions:', fs.existsSync(dataDir) ? fs.statSync(dataDir).mode : 'N/A');
-      throw err;
-    }
-    console.log('✅ SQLite database connection created');
-  });
-} catch (error) {
-  console.error('❌ Failed to create database connection:', error);
-  throw error;
-}
-
-// Promisify database methods
-const runAsync = promisify(db.run.bind(db));
-const getAsync = promisify(db.get.bind(db));
-const allAsync = promisify(db.all.bind(db));
-
-// Custom run function that properly handles SQLite3 results
-const runWithResult = (sql, params) => {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({
-          lastID: this.lastID,
-          changes: this.changes
-        });
-      }
-    });
-  });
-};
+// SQLite or PostgreSQL, depending on DATABASE_URL
+const storage = createStorage();
+
+const getAsync = (sql, params) => storage.get(sql, params);
+const allAsync = (sql, params) => storage.all(sql, params);
+
+// Resolves with { lastID, changes } on every adapter
+const runWithResult = (sql, params) => storage.run(sql, params);
 
 // Initialize database schema
 const init = async () => {
   try {
-    console.log('🔧 Initializing database schema...');
-    
-    // Wait for database to be ready
-    await new Promise((resolve) => {
-      db.on('open', () => {
-        console.log('✅ Database is open and ready');
-        resolve();
-      });
-      // If already open, resolve immediately
-      if (db.open) {
-        resolve();
-      }
-    });
+    console.log(`🔧 Initializing database schema (${storage.dialect})...`);
     
-    // Enable foreign keys
-    await runAsync('PRAGMA foreign_keys = ON');
-    console.log('✅ Foreign keys enabled');
-
-    // Users table
-    await runAsync(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        handle TEXT UNIQUE NOT NULL,
-        secret_key TEXT,
-        twitter_id TEXT UNIQUE,
-        twitter_username TEXT UNIQUE,
-        twitter_name TEXT,
-        twitter_profile_image TEXT,
-        auth_type TEXT DEFAULT 'secret_key' CHECK (auth_type IN ('secret_key', 'twitter')),
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Users table ready');
-
-    // Questions table
-    await runAsync(`
-      CREATE TABLE IF NOT EXISTS questions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        text TEXT NOT NULL,
-        ip_address TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('✅ Questions table ready');
-
-    // Answers table
-    await runAsync(`
-      CREATE TABLE IF NOT EXISTS answers (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        question_id INTEGER NOT NULL,
-        user_id INTEGER NOT NULL,
-        question_text TEXT NOT NULL,
-        answer_text TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-    console.log('✅ Answers table ready');
-
-    // Create indexes for better performance
-    await runAsync('CREATE INDEX IF NOT EXISTS idx_questions_user_id ON questions(user_id)');
-    await runAsync('CREATE INDEX IF NOT EXISTS idx_answers_user_id ON answers(user_id)');
-    await runAsync('CREATE INDEX IF NOT EXISTS idx_answers_created_at ON answers(created_at)');
-    await runAsync('CREATE INDEX IF NOT EXISTS idx_users_handle ON users(handle)');
-    console.log('✅ Database indexes created');
-
-    // Create triggers to update the updated_at timestamp
-    await runAsync(`
-      CREATE TRIGGER IF NOT EXISTS update_users_timestamp 
-      AFTER UPDATE ON users
-      BEGIN
-        UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-      END
-    `);
-    console.log('✅ Database triggers created');
-
-    // Run migrations AFTER tables are created to update existing databases
-    await runMigrations(db);
+    await storage.connect();
+    console.log('✅ Database is open and ready');
+
+    // Several instances may start at once; only one of them migrates
+    await storage.withMigrationLock(() => runMigrations(storage));
 
     console.log('🎉 Database schema initialized successfully');
   } catch (error) {
@@ -190,9 +58,15 @@ const dbOperations = {
     }
   },
 
+  // Through user_identities, so it finds accounts that linked Twitter later
   getUserByTwitterId: async (twitterId) => {
     try {
-      return await getAsync('SELECT * FROM users WHERE twitter_id = ?', [twitterId]);
+      return await getAsync(
+        `SELECT users.* FROM user_identities
+         JOIN users ON users.id = user_identities.user_id
+         WHERE user_identities.provider = 'twitter' AND user_identities.provider_user_id = ?`,
+        [twitterId]
+      );
     } catch (error) {
       console.error('❌ getUserByTwitterId error:', error);
       throw error;
@@ -208,6 +82,22 @@ const dbOperations = {
     }
   },
 
+  // Whether a new account or rename can't have this handle: someone else
+  // has it, or had it and it is still reserved (see utils/handleAliases.js)
+  isHandleTaken: async (handle, exceptUserId, now) => {
+    try {
+      return await getAsync(
+        `SELECT 1 AS taken FROM users WHERE handle = ? AND id != ?
+         UNION ALL
+         SELECT 1 AS taken FROM handle_aliases WHERE handle = ? AND user_id != ? AND reserved_until > ?`,
+        [handle, exceptUserId || 0, handle, exceptUserId || 0, now]
+      );
+    } catch (error) {
+      console.error('❌ isHandleTaken error:', error);
+      throw error;
+    }
+  },
+
   getUserById: async (id) => {
     try {
       return await getAsync('SELECT * FROM users WHERE id = ?', [id]);
@@ -221,7 +111,7 @@ const dbOperations = {
   createQuestion: async (userId, text, ipAddress) => {
     try {
       const result = await runWithResult(
-        'INSERT INTO questions (user_id, text, ip_address) VALUES (?, ?, ?)',
+        'INSERT INTO questions (user_id, text, ip_address, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
         [userId, text, ipAddress]
       );
       return { lastInsertRowid: result.lastID };
@@ -235,8 +125,7 @@ const dbOperations = {
     try {
       return await allAsync(`
         SELECT q.* FROM questions q
-        LEFT JOIN answers a ON q.id = a.question_id
-        WHERE q.user_id = ? AND a.id IS NULL
+        WHERE q.user_id = ? AND q.status = 'pending' AND q.deleted_at IS NULL
         ORDER BY q.created_at DESC
       `, [userId]);
     } catch (error) {
@@ -247,16 +136,43 @@ const dbOperations = {
 
   getQuestionById: async (id) => {
     try {
-      return await getAsync('SELECT * FROM questions WHERE id = ?', [id]);
+      return await getAsync('SELECT * FROM questions WHERE id = ? AND deleted_at IS NULL', [id]);
     } catch (error) {
       console.error('❌ getQuestionById error:', error);
       throw error;
     }
   },
 
+  // Move a question through its lifecycle, stamping the matching *_at column
+  updateQuestionStatus: async (id, status) => {
+    const timestampColumns = {
+      answered: 'answered_at',
+      dismissed: 'dismissed_at',
+      archived: 'archived_at'
+    };
+    
+    try {
+      const timestampColumn = timestampColumns[status];
+      const result = await runWithResult(
+        `UPDATE questions
+         SET status = ?, ${timestampColumn ? `${timestampColumn} = CURRENT_TIMESTAMP, ` : ''}updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, id]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ updateQuestionStatus error:', error);
+      throw error;
+    }
+  },
+
+  // Moves the question to the trash; purgeDeletedQuestions removes it for good
   deleteQuestion: async (id) => {
     try {
-      const result = await runWithResult('DELETE FROM questions WHERE id = ?', [id]);
+      const result = await runWithResult(
+        'UPDATE questions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+        [id]
+      );
       return { changes: result.changes };
     } catch (error) {
       console.error('❌ deleteQuestion error:', error);
@@ -264,6 +180,41 @@ const dbOperations = {
     }
   },
 
+  restoreQuestion: async (id, userId) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE questions SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+        [id, userId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ restoreQuestion error:', error);
+      throw error;
+    }
+  },
+
+  getDeletedQuestions: async (userId, since) => {
+    try {
+      return await allAsync(
+        'SELECT * FROM questions WHERE user_id = ? AND deleted_at > ? ORDER BY deleted_at DESC',
+        [userId, since]
+      );
+    } catch (error) {
+      console.error('❌ getDeletedQuestions error:', error);
+      throw error;
+    }
+  },
+
+  purgeDeletedQuestions: async (before) => {
+    try {
+      const result = await runWithResult('DELETE FROM questions WHERE deleted_at <= ?', [before]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ purgeDeletedQuestions error:', error);
+      throw error;
+    }
+  },
+
   // Answer operations
   createAnswer: async (questionId, userId, questionText, answerText) => {
     try {
@@ -281,7 +232,7 @@ const dbOperations = {
   getAnswersByUserId: async (userId, limit, offset) => {
     try {
       return await allAsync(
-        'SELECT * FROM answers WHERE user_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?',
+        'SELECT * FROM answers WHERE user_id = ? AND deleted_at IS NULL ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
         [userId, limit, offset]
       );
     } catch (error) {
@@ -290,9 +241,30 @@ const dbOperations = {
     }
   },
 
+  // Newest first, starting after cursor ({ createdAt, id } of the previous
+  // page's last answer) when given
+  getAnswersPageByUserId: async (userId, cursor, limit) => {
+    try {
+      const after = cursor ? 'AND (created_at < ? OR (created_at = ? AND id < ?))' : '';
+      const params = cursor
+        ? [userId, cursor.createdAt, cursor.createdAt, cursor.id, limit]
+        : [userId, limit];
+      return await allAsync(
+        `SELECT * FROM answers
+         WHERE user_id = ? AND deleted_at IS NULL ${after}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`,
+        params
+      );
+    } catch (error) {
+      console.error('❌ getAnswersPageByUserId error:', error);
+      throw error;
+    }
+  },
+
   getAnswerById: async (id) => {
     try {
-      return await getAsync('SELECT * FROM answers WHERE id = ?', [id]);
+      return await getAsync('SELECT * FROM answers WHERE id = ? AND deleted_at IS NULL', [id]);
     } catch (error) {
       console.error('❌ getAnswerById error:', error);
       throw error;
@@ -302,7 +274,7 @@ const dbOperations = {
   countAnswersByUserId: async (userId) => {
     try {
       return await getAsync(
-        'SELECT COUNT(*) as count FROM answers WHERE user_id = ?',
+        'SELECT COUNT(*) as count FROM answers WHERE user_id = ? AND deleted_at IS NULL',
         [userId]
       );
     } catch (error) {
@@ -311,10 +283,11 @@ const dbOperations = {
     }
   },
 
+  // Moves the answer to the trash; purgeDeletedAnswers removes it for good
   deleteAnswer: async (id, userId) => {
     try {
       const result = await runWithResult(
-        'DELETE FROM answers WHERE id = ? AND user_id = ?',
+        'UPDATE answers SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
         [id, userId]
       );
       return { changes: result.changes };
@@ -324,11 +297,47 @@ const dbOperations = {
     }
   },
 
-  // Update answer
+  restoreAnswer: async (id, userId) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE answers SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+        [id, userId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ restoreAnswer error:', error);
+      throw error;
+    }
+  },
+
+  getDeletedAnswers: async (userId, since) => {
+    try {
+      return await allAsync(
+        'SELECT * FROM answers WHERE user_id = ? AND deleted_at > ? ORDER BY deleted_at DESC',
+        [userId, since]
+      );
+    } catch (error) {
+      console.error('❌ getDeletedAnswers error:', error);
+      throw error;
+    }
+  },
+
+  purgeDeletedAnswers: async (before) => {
+    try {
+      const result = await runWithResult('DELETE FROM answers WHERE deleted_at <= ?', [before]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ purgeDeletedAnswers error:', error);
+      throw error;
+    }
+  },
+
+  // Update answer, bumping its revision number. The caller records the new
+  // text in answer_revisions (see utils/answers.js).
   updateAnswer: async (answerText, id, userId) => {
     try {
       const result = await runWithResult(
-        'UPDATE answers SET answer_text = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+        'UPDATE answers SET answer_text = ?, revision = revision + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
         [answerText, id, userId]
       );
       return { changes: result.changes };
@@ -338,13 +347,125 @@ const dbOperations = {
     }
   },
 
+  // Answer revision operations
+  createAnswerRevision: async (answerId, userId, revision, answerText) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO answer_revisions (answer_id, user_id, revision, answer_text) VALUES (?, ?, ?, ?)',
+        [answerId, userId, revision, answerText]
+      );
+      return { lastInsertRowid: result.lastID };
+    } catch (error) {
+      console.error('❌ createAnswerRevision error:', error);
+      throw error;
+    }
+  },
+
+  getAnswerRevisions: async (answerId) => {
+    try {
+      return await allAsync(
+        'SELECT * FROM answer_revisions WHERE answer_id = ? ORDER BY revision ASC',
+        [answerId]
+      );
+    } catch (error) {
+      console.error('❌ getAnswerRevisions error:', error);
+      throw error;
+    }
+  },
+
+  // Search operations. Rows carry question_highlight (the full question) and
+  // answer_snippet with matches wrapped in HIGHLIGHT_START/HIGHLIGHT_END.
+  searchAnswers: async (terms, userId, limit, offset) => {
+    try {
+      if (storage.dialect === 'postgres') {
+        return await allAsync(`
+          SELECT 
+            a.*,
+            u.handle as user_handle,
+            u.twitter_profile_image,
+            ts_headline('english', a.question_text, query, ?) as question_highlight,
+            ts_headline('english', a.answer_text, query, ?) as answer_snippet,
+            ts_rank(a.search_vector, query) as rank
+          FROM answers a
+          JOIN users u ON a.user_id = u.id
+          CROSS JOIN to_tsquery('english', ?) query
+          WHERE a.search_vector @@ query
+            AND a.deleted_at IS NULL
+            ${userId ? 'AND a.user_id = ?' : ''}
+          ORDER BY rank DESC, a.created_at DESC
+          LIMIT ? OFFSET ?
+        `, [
+          `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=true`,
+          `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=30, MinWords=15`,
+          toTsQuery(terms), ...(userId ? [userId] : []), limit, offset
+        ]);
+      }
+
+      return await allAsync(`
+        SELECT 
+          a.*,
+          u.handle as user_handle,
+          u.twitter_profile_image,
+          highlight(answers_fts, 0, ?, ?) as question_highlight,
+          snippet(answers_fts, 1, ?, ?, '…', 30) as answer_snippet,
+          bm25(answers_fts, 1.0, 2.0) as rank
+        FROM answers_fts
+        JOIN answers a ON a.id = answers_fts.rowid
+        JOIN users u ON a.user_id = u.id
+        WHERE answers_fts MATCH ?
+          AND a.deleted_at IS NULL
+          ${userId ? 'AND a.user_id = ?' : ''}
+        ORDER BY rank, a.created_at DESC
+        LIMIT ? OFFSET ?
+      `, [
+        HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END,
+        toFtsQuery(terms), ...(userId ? [userId] : []), limit, offset
+      ]);
+    } catch (error) {
+      console.error('❌ searchAnswers error:', error);
+      throw error;
+    }
+  },
+
+  countSearchAnswers: async (terms, userId) => {
+    try {
+      if (storage.dialect === 'postgres') {
+        return await getAsync(`
+          SELECT COUNT(*) as count
+          FROM answers a
+          WHERE a.search_vector @@ to_tsquery('english', ?)
+            AND a.deleted_at IS NULL
+            ${userId ? 'AND a.user_id = ?' : ''}
+        `, [toTsQuery(terms), ...(userId ? [userId] : [])]);
+      }
+
+      return await getAsync(`
+        SELECT COUNT(*) as count
+        FROM answers_fts
+        JOIN answers a ON a.id = answers_fts.rowid
+        WHERE answers_fts MATCH ?
+          AND a.deleted_at IS NULL
+          ${userId ? 'AND a.user_id = ?' : ''}
+      `, [toFtsQuery(terms), ...(userId ? [userId] : [])]);
+    } catch (error) {
+      console.error('❌ countSearchAnswers error:', error);
+      throw error;
+    }
+  },
+
   // Stats operations
   getUserStats: async (userId) => {
     try {
       return await getAsync(`
         SELECT 
-          (SELECT COUNT(*) FROM questions WHERE user_id = ?) as total_questions,
-          (SELECT COUNT(*) FROM answers WHERE user_id = ?) as total_answers
+          COUNT(*) as total_questions,
+          COALESCE(SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END), 0) as pending_questions,
+          COALESCE(SUM(CASE WHEN status = 'answered' THEN 1 ELSE 0 END), 0) as answered_questions,
+          COALESCE(SUM(CASE WHEN status = 'dismissed' THEN 1 ELSE 0 END), 0) as dismissed_questions,
+          COALESCE(SUM(CASE WHEN status = 'archived' THEN 1 ELSE 0 END), 0) as archived_questions,
+          (SELECT COUNT(*) FROM answers WHERE user_id = ? AND deleted_at IS NULL) as total_answers
+        FROM questions
+        WHERE user_id = ? AND deleted_at IS NULL
       `, [userId, userId]);
     } catch (error) {
       console.error('❌ getUserStats error:', error);
@@ -366,7 +487,7 @@ const dbOperations = {
           users.created_at,
           COUNT(DISTINCT answers.id) as answer_count
         FROM users 
-        LEFT JOIN answers ON users.id = answers.user_id
+        LEFT JOIN answers ON users.id = answers.user_id AND answers.deleted_at IS NULL
         GROUP BY users.id
         ORDER BY users.created_at DESC 
         LIMIT 50
@@ -383,12 +504,12 @@ const dbOperations = {
       return await allAsync(`
         SELECT 
           q.id,
-          q.text,
+          CASE WHEN u.feed_show_question_text = 1 THEN q.text ELSE NULL END as text,
           q.created_at,
           u.handle as user_handle
         FROM questions q
         JOIN users u ON q.user_id = u.id
-        WHERE q.created_at > ?
+        WHERE q.created_at > ? AND q.deleted_at IS NULL AND u.feed_hide_questions = 0
         ORDER BY q.created_at DESC
         LIMIT 10
       `, [since]);
@@ -411,7 +532,7 @@ const dbOperations = {
           u.twitter_profile_image
         FROM answers a
         JOIN users u ON a.user_id = u.id
-        WHERE a.created_at > ?
+        WHERE a.created_at > ? AND a.deleted_at IS NULL AND u.feed_hide_answers = 0
         ORDER BY a.created_at DESC
         LIMIT 10
       `, [since]);
@@ -421,6 +542,24 @@ const dbOperations = {
     }
   },
 
+  // Newest answers across the site for the public feeds, leaving out users
+  // who hide their answers from the live feed
+  getLatestAnswers: async (limit) => {
+    try {
+      return await allAsync(`
+        SELECT a.*, u.handle as user_handle, u.twitter_name
+        FROM answers a
+        JOIN users u ON a.user_id = u.id
+        WHERE a.deleted_at IS NULL AND u.feed_hide_answers = 0
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT ?
+      `, [limit]);
+    } catch (error) {
+      console.error('❌ getLatestAnswers error:', error);
+      throw error;
+    }
+  },
+
   // Get recent users
   getRecentUsers: async (since) => {
     try {
@@ -434,7 +573,7 @@ const dbOperations = {
           auth_type,
           created_at
         FROM users
-        WHERE created_at > ?
+        WHERE created_at > ? AND feed_hide_join = 0
         ORDER BY created_at DESC
         LIMIT 10
       `, [since]);
@@ -444,6 +583,22 @@ const dbOperations = {
     }
   },
 
+  // Privacy operations
+  updateFeedPrivacy: async (userId, hideQuestions, hideAnswers, hideJoin, showQuestionText) => {
+    try {
+      const result = await runWithResult(
+        `UPDATE users
+         SET feed_hide_questions = ?, feed_hide_answers = ?, feed_hide_join = ?, feed_show_question_text = ?
+         WHERE id = ?`,
+        [hideQuestions ? 1 : 0, hideAnswers ? 1 : 0, hideJoin ? 1 : 0, showQuestionText ? 1 : 0, userId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ updateFeedPrivacy error:', error);
+      throw error;
+    }
+  },
+
   // Telegram operations
   updateUserTelegramId: async (userId, telegramChatId) => {
     try {
@@ -467,56 +622,713 @@ const dbOperations = {
     }
   },
 
-  // Transaction helper
-  runTransaction: async (callback) => {
-    await runAsync('BEGIN TRANSACTION');
+  setTelegramNotificationsPaused: async (userId, paused) => {
     try {
-      await callback();
-      await runAsync('COMMIT');
+      const result = await runWithResult(
+        'UPDATE users SET telegram_notifications_paused = ? WHERE id = ?',
+        [paused ? 1 : 0, userId]
+      );
+      return { changes: result.changes };
     } catch (error) {
-      await runAsync('ROLLBACK');
+      console.error('❌ setTelegramNotificationsPaused error:', error);
       throw error;
     }
-  }
-};
-
-// Wrap all operations to match the original API
-const statements = {
-  createUser: {
-    run: (params) => dbOperations.createUser(params.handle, params.secret_key)
   },
-  createTwitterUser: {
-    run: (params) => dbOperations.createTwitterUser(params.handle, params.twitter_id, params.twitter_username, params.twitter_name, params.twitter_profile_image)
-  },
-  getUserByHandle: {
-    get: (handle) => dbOperations.getUserByHandle(handle)
+
+  // Telegram connection token operations
+  createTelegramConnectToken: async (token, userId, expiresAt) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO telegram_connect_tokens (token, user_id, expires_at) VALUES (?, ?, ?)',
+        [token, userId, expiresAt]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ createTelegramConnectToken error:', error);
+      throw error;
+    }
   },
-  getUserById: {
-    get: (id) => dbOperations.getUserById(id)
+
+  // Single-use: only the first caller to claim an unexpired token gets it back
+  consumeTelegramConnectToken: async (token) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE telegram_connect_tokens SET consumed_at = CURRENT_TIMESTAMP WHERE token = ? AND consumed_at IS NULL AND expires_at > ?',
+        [token, Date.now()]
+      );
+      if (result.changes === 0) {
+        return null;
+      }
+      return await getAsync('SELECT * FROM telegram_connect_tokens WHERE token = ?', [token]);
+    } catch (error) {
+      console.error('❌ consumeTelegramConnectToken error:', error);
+      throw error;
+    }
   },
-  getUserByTwitterId: {
-    get: (twitterId) => dbOperations.getUserByTwitterId(twitterId)
+
+  deleteExpiredTelegramConnectTokens: async () => {
+    try {
+      const result = await runWithResult(
+        'DELETE FROM telegram_connect_tokens WHERE expires_at <= ? OR consumed_at IS NOT NULL',
+        [Date.now()]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteExpiredTelegramConnectTokens error:', error);
+      throw error;
+    }
   },
-  createQuestion: {
-    run: (params) => dbOperations.createQuestion(params.user_id, params.text, params.ip_address)
+
+  invalidateTelegramConnectTokens: async (userId) => {
+    try {
+      const result = await runWithResult(
+        'DELETE FROM telegram_connect_tokens WHERE user_id = ?',
+        [userId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ invalidateTelegramConnectTokens error:', error);
+      throw error;
+    }
   },
-  getUnansweredQuestions: {
-    all: (userId) => dbOperations.getUnansweredQuestions(userId)
+
+  // Notification delivery operations
+  createNotificationDelivery: async (questionId, userId, channel, chatId) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO notification_deliveries (question_id, user_id, channel, chat_id) VALUES (?, ?, ?, ?)',
+        [questionId, userId, channel, chatId]
+      );
+      return { lastInsertRowid: result.lastID };
+    } catch (error) {
+      console.error('❌ createNotificationDelivery error:', error);
+      throw error;
+    }
   },
-  getQuestionById: {
-    get: (id) => dbOperations.getQuestionById(id)
+
+  updateNotificationDelivery: async (id, status, attempts, lastError, telegramMessageId) => {
+    try {
+      const result = await runWithResult(
+        `UPDATE notification_deliveries
+         SET status = ?, attempts = ?, last_error = ?, telegram_message_id = COALESCE(?, telegram_message_id), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, attempts, lastError, telegramMessageId, id]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ updateNotificationDelivery error:', error);
+      throw error;
+    }
   },
-  deleteQuestion: {
-    run: (id) => dbOperations.deleteQuestion(id)
+
+  getNotificationDeliveryByMessage: async (chatId, telegramMessageId) => {
+    try {
+      return await getAsync(
+        'SELECT * FROM notification_deliveries WHERE chat_id = ? AND telegram_message_id = ?',
+        [String(chatId), telegramMessageId]
+      );
+    } catch (error) {
+      console.error('❌ getNotificationDeliveryByMessage error:', error);
+      throw error;
+    }
   },
-  createAnswer: {
-    run: (params) => dbOperations.createAnswer(params.question_id, params.user_id, params.question_text, params.answer_text)
+
+  // ActivityPub operations (see utils/activitypub.js)
+  getActivityPubKey: async (userId) => {
+    try {
+      return await getAsync('SELECT * FROM activitypub_keys WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('❌ getActivityPubKey error:', error);
+      throw error;
+    }
   },
-  getAnswersByUserId: {
-    all: (userId, limit, offset) => dbOperations.getAnswersByUserId(userId, limit, offset)
+
+  // Does nothing if the user already has a key (another request won the race)
+  createActivityPubKey: async (userId, publicKey, privateKey) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO activitypub_keys (user_id, public_key, private_key) VALUES (?, ?, ?) ON CONFLICT (user_id) DO NOTHING',
+        [userId, publicKey, privateKey]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ createActivityPubKey error:', error);
+      throw error;
+    }
   },
-  getAnswerById: {
-    get: (id) => dbOperations.getAnswerById(id)
+
+  // Following again (e.g. after the remote server lost state) refreshes the inboxes
+  addActivityPubFollower: async (userId, actorId, inboxUrl, sharedInboxUrl, followActivityId) => {
+    try {
+      const result = await runWithResult(
+        `INSERT INTO activitypub_followers (user_id, actor_id, inbox_url, shared_inbox_url, follow_activity_id)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (user_id, actor_id) DO UPDATE SET
+           inbox_url = excluded.inbox_url,
+           shared_inbox_url = excluded.shared_inbox_url,
+           follow_activity_id = excluded.follow_activity_id`,
+        [userId, actorId, inboxUrl, sharedInboxUrl, followActivityId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ addActivityPubFollower error:', error);
+      throw error;
+    }
+  },
+
+  removeActivityPubFollower: async (userId, actorId) => {
+    try {
+      const result = await runWithResult(
+        'DELETE FROM activitypub_followers WHERE user_id = ? AND actor_id = ?',
+        [userId, actorId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ removeActivityPubFollower error:', error);
+      throw error;
+    }
+  },
+
+  getActivityPubFollowers: async (userId) => {
+    try {
+      return await allAsync('SELECT * FROM activitypub_followers WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('❌ getActivityPubFollowers error:', error);
+      throw error;
+    }
+  },
+
+  countActivityPubFollowers: async (userId) => {
+    try {
+      return await getAsync('SELECT COUNT(*) as count FROM activitypub_followers WHERE user_id = ?', [userId]);
+    } catch (error) {
+      console.error('❌ countActivityPubFollowers error:', error);
+      throw error;
+    }
+  },
+
+  createActivityPubDelivery: async (userId, inboxUrl, activity, nextAttemptAt) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO activitypub_deliveries (user_id, inbox_url, activity, next_attempt_at) VALUES (?, ?, ?, ?)',
+        [userId, inboxUrl, activity, nextAttemptAt]
+      );
+      return { lastInsertRowid: result.lastID };
+    } catch (error) {
+      console.error('❌ createActivityPubDelivery error:', error);
+      throw error;
+    }
+  },
+
+  getDueActivityPubDeliveries: async (now, limit) => {
+    try {
+      return await allAsync(
+        'SELECT * FROM activitypub_deliveries WHERE next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?',
+        [now, limit]
+      );
+    } catch (error) {
+      console.error('❌ getDueActivityPubDeliveries error:', error);
+      throw error;
+    }
+  },
+
+  // Pushes next_attempt_at out so no other worker picks the delivery up while
+  // it is in flight. Only succeeds for the worker that saw the current value.
+  claimActivityPubDelivery: async (id, seenNextAttemptAt, leaseUntil) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE activitypub_deliveries SET next_attempt_at = ? WHERE id = ? AND next_attempt_at = ?',
+        [leaseUntil, id, seenNextAttemptAt]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ claimActivityPubDelivery error:', error);
+      throw error;
+    }
+  },
+
+  rescheduleActivityPubDelivery: async (id, attempts, nextAttemptAt, lastError) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE activitypub_deliveries SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?',
+        [attempts, nextAttemptAt, lastError, id]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ rescheduleActivityPubDelivery error:', error);
+      throw error;
+    }
+  },
+
+  deleteActivityPubDelivery: async (id) => {
+    try {
+      const result = await runWithResult('DELETE FROM activitypub_deliveries WHERE id = ?', [id]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteActivityPubDelivery error:', error);
+      throw error;
+    }
+  },
+
+  // Secret key and recovery code operations (see utils/secretKeys.js)
+
+  updateUserSecretKey: async (userId, secretKey) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE users SET secret_key = ? WHERE id = ?',
+        [secretKey, userId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ updateUserSecretKey error:', error);
+      throw error;
+    }
+  },
+
+  createRecoveryCode: async (userId, codeHash) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, codeHash]
+      );
+      return { lastInsertRowid: result.lastID };
+    } catch (error) {
+      console.error('❌ createRecoveryCode error:', error);
+      throw error;
+    }
+  },
+
+  deleteRecoveryCodes: async (userId) => {
+    try {
+      const result = await runWithResult('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteRecoveryCodes error:', error);
+      throw error;
+    }
+  },
+
+  // Marks an unused code as used; changes is 0 if there was none to use
+  useRecoveryCode: async (userId, codeHash) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [userId, codeHash]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ useRecoveryCode error:', error);
+      throw error;
+    }
+  },
+
+  countUnusedRecoveryCodes: async (userId) => {
+    try {
+      return await getAsync(
+        'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+    } catch (error) {
+      console.error('❌ countUnusedRecoveryCodes error:', error);
+      throw error;
+    }
+  },
+
+  // Handle alias operations (see utils/handleAliases.js)
+
+  // The user who used to have a handle
+  getUserByHandleAlias: async (handle) => {
+    try {
+      return await getAsync(
+        `SELECT users.* FROM handle_aliases
+         JOIN users ON users.id = handle_aliases.user_id
+         WHERE handle_aliases.handle = ?`,
+        [handle]
+      );
+    } catch (error) {
+      console.error('❌ getUserByHandleAlias error:', error);
+      throw error;
+    }
+  },
+
+  getLatestHandleAlias: async (userId) => {
+    try {
+      return await getAsync(
+        'SELECT * FROM handle_aliases WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+        [userId]
+      );
+    } catch (error) {
+      console.error('❌ getLatestHandleAlias error:', error);
+      throw error;
+    }
+  },
+
+  createHandleAlias: async (userId, handle, reservedUntil) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO handle_aliases (user_id, handle, reserved_until) VALUES (?, ?, ?)',
+        [userId, handle, reservedUntil]
+      );
+      return { lastInsertRowid: result.lastID };
+    } catch (error) {
+      console.error('❌ createHandleAlias error:', error);
+      throw error;
+    }
+  },
+
+  // Frees a handle someone is about to take
+  deleteHandleAlias: async (handle) => {
+    try {
+      const result = await runWithResult('DELETE FROM handle_aliases WHERE handle = ?', [handle]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteHandleAlias error:', error);
+      throw error;
+    }
+  },
+
+  updateUserHandle: async (userId, handle) => {
+    try {
+      const result = await runWithResult('UPDATE users SET handle = ? WHERE id = ?', [handle, userId]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ updateUserHandle error:', error);
+      throw error;
+    }
+  },
+
+  // Identity operations (see utils/identities.js)
+  createUserIdentity: async (userId, provider, providerUserId, username) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO user_identities (user_id, provider, provider_user_id, username) VALUES (?, ?, ?, ?)',
+        [userId, provider, providerUserId, username]
+      );
+      return { lastInsertRowid: result.lastID };
+    } catch (error) {
+      console.error('❌ createUserIdentity error:', error);
+      throw error;
+    }
+  },
+
+  getUserIdentity: async (userId, provider) => {
+    try {
+      return await getAsync(
+        'SELECT * FROM user_identities WHERE user_id = ? AND provider = ?',
+        [userId, provider]
+      );
+    } catch (error) {
+      console.error('❌ getUserIdentity error:', error);
+      throw error;
+    }
+  },
+
+  getUserIdentities: async (userId) => {
+    try {
+      return await allAsync(
+        'SELECT * FROM user_identities WHERE user_id = ? ORDER BY id',
+        [userId]
+      );
+    } catch (error) {
+      console.error('❌ getUserIdentities error:', error);
+      throw error;
+    }
+  },
+
+  deleteUserIdentity: async (userId, provider) => {
+    try {
+      const result = await runWithResult(
+        'DELETE FROM user_identities WHERE user_id = ? AND provider = ?',
+        [userId, provider]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteUserIdentity error:', error);
+      throw error;
+    }
+  },
+
+  // The Twitter profile shown with the handle; all null once unlinked
+  updateUserTwitterProfile: async (userId, twitterId, twitterUsername, twitterName, profileImage) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE users SET twitter_id = ?, twitter_username = ?, twitter_name = ?, twitter_profile_image = ? WHERE id = ?',
+        [twitterId, twitterUsername, twitterName, profileImage, userId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ updateUserTwitterProfile error:', error);
+      throw error;
+    }
+  },
+
+  // Session operations (see utils/sessions.js)
+  createSession: async (userId, refreshTokenHash, userAgent, ipAddress, expiresAt) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [userId, refreshTokenHash, userAgent, ipAddress, expiresAt]
+      );
+      return { lastInsertRowid: result.lastID };
+    } catch (error) {
+      console.error('❌ createSession error:', error);
+      throw error;
+    }
+  },
+
+  // Matches the current refresh token or the one it replaced
+  getSessionByTokenHash: async (tokenHash) => {
+    try {
+      return await getAsync(
+        'SELECT * FROM sessions WHERE refresh_token_hash = ? OR previous_token_hash = ?',
+        [tokenHash, tokenHash]
+      );
+    } catch (error) {
+      console.error('❌ getSessionByTokenHash error:', error);
+      throw error;
+    }
+  },
+
+  // Only succeeds if the session still has the refresh token the caller saw,
+  // so two refreshes racing can't both win
+  rotateSessionToken: async (id, seenTokenHash, newTokenHash, expiresAt, userAgent, ipAddress) => {
+    try {
+      const result = await runWithResult(
+        `UPDATE sessions SET
+           previous_token_hash = refresh_token_hash,
+           refresh_token_hash = ?,
+           rotated_at = CURRENT_TIMESTAMP,
+           last_used_at = CURRENT_TIMESTAMP,
+           expires_at = ?,
+           user_agent = ?,
+           ip_address = ?
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+        [newTokenHash, expiresAt, userAgent, ipAddress, id, seenTokenHash]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ rotateSessionToken error:', error);
+      throw error;
+    }
+  },
+
+  // The user behind a live session, with the session id as session_id
+  getSessionUser: async (sessionId, now) => {
+    try {
+      return await getAsync(
+        `SELECT users.*, sessions.id as session_id
+         FROM sessions
+         JOIN users ON users.id = sessions.user_id
+         WHERE sessions.id = ? AND sessions.revoked_at IS NULL AND sessions.expires_at > ?`,
+        [sessionId, now]
+      );
+    } catch (error) {
+      console.error('❌ getSessionUser error:', error);
+      throw error;
+    }
+  },
+
+  getActiveSessionsByUserId: async (userId, now) => {
+    try {
+      return await allAsync(
+        `SELECT * FROM sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+         ORDER BY last_used_at DESC, id DESC`,
+        [userId, now]
+      );
+    } catch (error) {
+      console.error('❌ getActiveSessionsByUserId error:', error);
+      throw error;
+    }
+  },
+
+  revokeSession: async (sessionId, userId) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [sessionId, userId]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ revokeSession error:', error);
+      throw error;
+    }
+  },
+
+  // Every session of the user's, except exceptSessionId when given
+  revokeUserSessions: async (userId, exceptSessionId) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id != ? AND revoked_at IS NULL',
+        [userId, exceptSessionId || 0]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ revokeUserSessions error:', error);
+      throw error;
+    }
+  },
+
+  deleteStaleSessions: async (now) => {
+    try {
+      const result = await runWithResult(
+        'DELETE FROM sessions WHERE revoked_at IS NOT NULL OR expires_at <= ?',
+        [now]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteStaleSessions error:', error);
+      throw error;
+    }
+  },
+
+  createSignInCode: async (codeHash, userId, expiresAt) => {
+    try {
+      const result = await runWithResult(
+        'INSERT INTO sign_in_codes (code_hash, user_id, expires_at) VALUES (?, ?, ?)',
+        [codeHash, userId, expiresAt]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ createSignInCode error:', error);
+      throw error;
+    }
+  },
+
+  // Single-use: only the first caller to claim an unexpired code gets it back
+  consumeSignInCode: async (codeHash, now) => {
+    try {
+      const result = await runWithResult(
+        'UPDATE sign_in_codes SET consumed_at = ? WHERE code_hash = ? AND consumed_at IS NULL AND expires_at > ?',
+        [now, codeHash, now]
+      );
+      if (result.changes === 0) {
+        return null;
+      }
+      return await getAsync('SELECT * FROM sign_in_codes WHERE code_hash = ?', [codeHash]);
+    } catch (error) {
+      console.error('❌ consumeSignInCode error:', error);
+      throw error;
+    }
+  },
+
+  deleteStaleSignInCodes: async (now) => {
+    try {
+      const result = await runWithResult(
+        'DELETE FROM sign_in_codes WHERE expires_at <= ? OR consumed_at IS NOT NULL',
+        [now]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteStaleSignInCodes error:', error);
+      throw error;
+    }
+  },
+
+  createPendingSignup: async (signup) => {
+    try {
+      const result = await runWithResult(
+        `INSERT INTO pending_signups (code_hash, twitter_id, twitter_username, twitter_name, twitter_profile_image, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [signup.code_hash, signup.twitter_id, signup.twitter_username, signup.twitter_name, signup.twitter_profile_image, signup.expires_at]
+      );
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ createPendingSignup error:', error);
+      throw error;
+    }
+  },
+
+  getPendingSignup: async (codeHash, now) => {
+    try {
+      return await getAsync('SELECT * FROM pending_signups WHERE code_hash = ? AND expires_at > ?', [codeHash, now]);
+    } catch (error) {
+      console.error('❌ getPendingSignup error:', error);
+      throw error;
+    }
+  },
+
+  deletePendingSignup: async (codeHash) => {
+    try {
+      const result = await runWithResult('DELETE FROM pending_signups WHERE code_hash = ?', [codeHash]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deletePendingSignup error:', error);
+      throw error;
+    }
+  },
+
+  deleteStalePendingSignups: async (now) => {
+    try {
+      const result = await runWithResult('DELETE FROM pending_signups WHERE expires_at <= ?', [now]);
+      return { changes: result.changes };
+    } catch (error) {
+      console.error('❌ deleteStalePendingSignups error:', error);
+      throw error;
+    }
+  },
+
+  // Transaction helper
+  runTransaction: async (callback) => {
+    await storage.transaction(callback);
+  }
+};
+
+// Wrap all operations to match the original API
+const statements = {
+  createUser: {
+    run: (params) => dbOperations.createUser(params.handle, params.secret_key)
+  },
+  createTwitterUser: {
+    run: (params) => dbOperations.createTwitterUser(params.handle, params.twitter_id, params.twitter_username, params.twitter_name, params.twitter_profile_image)
+  },
+  getUserByHandle: {
+    get: (handle) => dbOperations.getUserByHandle(handle)
+  },
+  isHandleTaken: {
+    get: (handle, exceptUserId, now) => dbOperations.isHandleTaken(handle, exceptUserId, now)
+  },
+  getUserById: {
+    get: (id) => dbOperations.getUserById(id)
+  },
+  getUserByTwitterId: {
+    get: (twitterId) => dbOperations.getUserByTwitterId(twitterId)
+  },
+  createQuestion: {
+    run: (params) => dbOperations.createQuestion(params.user_id, params.text, params.ip_address)
+  },
+  getUnansweredQuestions: {
+    all: (userId) => dbOperations.getUnansweredQuestions(userId)
+  },
+  getQuestionById: {
+    get: (id) => dbOperations.getQuestionById(id)
+  },
+  updateQuestionStatus: {
+    run: (id, status) => dbOperations.updateQuestionStatus(id, status)
+  },
+  deleteQuestion: {
+    run: (id) => dbOperations.deleteQuestion(id)
+  },
+  restoreQuestion: {
+    run: (id, userId) => dbOperations.restoreQuestion(id, userId)
+  },
+  getDeletedQuestions: {
+    all: (userId, since) => dbOperations.getDeletedQuestions(userId, since)
+  },
+  purgeDeletedQuestions: {
+    run: (before) => dbOperations.purgeDeletedQuestions(before)
+  },
+  createAnswer: {
+    run: (params) => dbOperations.createAnswer(params.question_id, params.user_id, params.question_text, params.answer_text)
+  },
+  getAnswersByUserId: {
+    all: (userId, limit, offset) => dbOperations.getAnswersByUserId(userId, limit, offset)
+  },
+  getAnswersPageByUserId: {
+    all: (userId, cursor, limit) => dbOperations.getAnswersPageByUserId(userId, cursor, limit)
+  },
+  getAnswerById: {
+    get: (id) => dbOperations.getAnswerById(id)
   },
   countAnswersByUserId: {
     get: (userId) => dbOperations.countAnswersByUserId(userId)
@@ -524,9 +1336,30 @@ const statements = {
   deleteAnswer: {
     run: (id, userId) => dbOperations.deleteAnswer(id, userId)
   },
+  restoreAnswer: {
+    run: (id, userId) => dbOperations.restoreAnswer(id, userId)
+  },
+  getDeletedAnswers: {
+    all: (userId, since) => dbOperations.getDeletedAnswers(userId, since)
+  },
+  purgeDeletedAnswers: {
+    run: (before) => dbOperations.purgeDeletedAnswers(before)
+  },
   updateAnswer: {
     run: (answerText, id, userId) => dbOperations.updateAnswer(answerText, id, userId)
   },
+  createAnswerRevision: {
+    run: (params) => dbOperations.createAnswerRevision(params.answer_id, params.user_id, params.revision, params.answer_text)
+  },
+  getAnswerRevisions: {
+    all: (answerId) => dbOperations.getAnswerRevisions(answerId)
+  },
+  searchAnswers: {
+    all: (terms, userId, limit, offset) => dbOperations.searchAnswers(terms, userId, limit, offset)
+  },
+  countSearchAnswers: {
+    get: (terms, userId) => dbOperations.countSearchAnswers(terms, userId)
+  },
   getUserStats: {
     get: (userId1, userId2) => dbOperations.getUserStats(userId1)
   },
@@ -539,14 +1372,167 @@ const statements = {
   getRecentAnswers: {
     all: (since) => dbOperations.getRecentAnswers(since)
   },
+  getLatestAnswers: {
+    all: (limit) => dbOperations.getLatestAnswers(limit)
+  },
   getRecentUsers: {
     all: (since) => dbOperations.getRecentUsers(since)
   },
+  updateFeedPrivacy: {
+    run: (userId, params) => dbOperations.updateFeedPrivacy(userId, params.hide_questions, params.hide_answers, params.hide_join, params.show_question_text)
+  },
   updateUserTelegramId: {
     run: (userId, telegramChatId) => dbOperations.updateUserTelegramId(userId, telegramChatId)
   },
   getUserByTelegramId: {
     get: (telegramChatId) => dbOperations.getUserByTelegramId(telegramChatId)
+  },
+  setTelegramNotificationsPaused: {
+    run: (userId, paused) => dbOperations.setTelegramNotificationsPaused(userId, paused)
+  },
+  createTelegramConnectToken: {
+    run: (params) => dbOperations.createTelegramConnectToken(params.token, params.user_id, params.expires_at)
+  },
+  consumeTelegramConnectToken: {
+    get: (token) => dbOperations.consumeTelegramConnectToken(token)
+  },
+  deleteExpiredTelegramConnectTokens: {
+    run: () => dbOperations.deleteExpiredTelegramConnectTokens()
+  },
+  invalidateTelegramConnectTokens: {
+    run: (userId) => dbOperations.invalidateTelegramConnectTokens(userId)
+  },
+  createNotificationDelivery: {
+    run: (params) => dbOperations.createNotificationDelivery(params.question_id, params.user_id, params.channel, params.chat_id)
+  },
+  updateNotificationDelivery: {
+    run: (params) => dbOperations.updateNotificationDelivery(params.id, params.status, params.attempts, params.last_error, params.telegram_message_id)
+  },
+  getNotificationDeliveryByMessage: {
+    get: (chatId, telegramMessageId) => dbOperations.getNotificationDeliveryByMessage(chatId, telegramMessageId)
+  },
+  getActivityPubKey: {
+    get: (userId) => dbOperations.getActivityPubKey(userId)
+  },
+  createActivityPubKey: {
+    run: (params) => dbOperations.createActivityPubKey(params.user_id, params.public_key, params.private_key)
+  },
+  addActivityPubFollower: {
+    run: (params) => dbOperations.addActivityPubFollower(params.user_id, params.actor_id, params.inbox_url, params.shared_inbox_url, params.follow_activity_id)
+  },
+  removeActivityPubFollower: {
+    run: (userId, actorId) => dbOperations.removeActivityPubFollower(userId, actorId)
+  },
+  getActivityPubFollowers: {
+    all: (userId) => dbOperations.getActivityPubFollowers(userId)
+  },
+  countActivityPubFollowers: {
+    get: (userId) => dbOperations.countActivityPubFollowers(userId)
+  },
+  createActivityPubDelivery: {
+    run: (params) => dbOperations.createActivityPubDelivery(params.user_id, params.inbox_url, params.activity, params.next_attempt_at)
+  },
+  getDueActivityPubDeliveries: {
+    all: (now, limit) => dbOperations.getDueActivityPubDeliveries(now, limit)
+  },
+  claimActivityPubDelivery: {
+    run: (id, seenNextAttemptAt, leaseUntil) => dbOperations.claimActivityPubDelivery(id, seenNextAttemptAt, leaseUntil)
+  },
+  rescheduleActivityPubDelivery: {
+    run: (params) => dbOperations.rescheduleActivityPubDelivery(params.id, params.attempts, params.next_attempt_at, params.last_error)
+  },
+  deleteActivityPubDelivery: {
+    run: (id) => dbOperations.deleteActivityPubDelivery(id)
+  },
+  updateUserSecretKey: {
+    run: (userId, secretKey) => dbOperations.updateUserSecretKey(userId, secretKey)
+  },
+  createRecoveryCode: {
+    run: (userId, codeHash) => dbOperations.createRecoveryCode(userId, codeHash)
+  },
+  deleteRecoveryCodes: {
+    run: (userId) => dbOperations.deleteRecoveryCodes(userId)
+  },
+  useRecoveryCode: {
+    run: (userId, codeHash) => dbOperations.useRecoveryCode(userId, codeHash)
+  },
+  countUnusedRecoveryCodes: {
+    get: (userId) => dbOperations.countUnusedRecoveryCodes(userId)
+  },
+  getUserByHandleAlias: {
+    get: (handle) => dbOperations.getUserByHandleAlias(handle)
+  },
+  getLatestHandleAlias: {
+    get: (userId) => dbOperations.getLatestHandleAlias(userId)
+  },
+  createHandleAlias: {
+    run: (params) => dbOperations.createHandleAlias(params.user_id, params.handle, params.reserved_until)
+  },
+  deleteHandleAlias: {
+    run: (handle) => dbOperations.deleteHandleAlias(handle)
+  },
+  updateUserHandle: {
+    run: (userId, handle) => dbOperations.updateUserHandle(userId, handle)
+  },
+  createUserIdentity: {
+    run: (params) => dbOperations.createUserIdentity(params.user_id, params.provider, params.provider_user_id || null, params.username || null)
+  },
+  getUserIdentity: {
+    get: (userId, provider) => dbOperations.getUserIdentity(userId, provider)
+  },
+  getUserIdentities: {
+    all: (userId) => dbOperations.getUserIdentities(userId)
+  },
+  deleteUserIdentity: {
+    run: (userId, provider) => dbOperations.deleteUserIdentity(userId, provider)
+  },
+  updateUserTwitterProfile: {
+    run: (userId, params) => dbOperations.updateUserTwitterProfile(userId, params.twitter_id, params.twitter_username, params.twitter_name, params.twitter_profile_image)
+  },
+  createSession: {
+    run: (params) => dbOperations.createSession(params.user_id, params.refresh_token_hash, params.user_agent, params.ip_address, params.expires_at)
+  },
+  getSessionByTokenHash: {
+    get: (tokenHash) => dbOperations.getSessionByTokenHash(tokenHash)
+  },
+  rotateSessionToken: {
+    run: (params) => dbOperations.rotateSessionToken(params.id, params.seen_token_hash, params.refresh_token_hash, params.expires_at, params.user_agent, params.ip_address)
+  },
+  getSessionUser: {
+    get: (sessionId, now) => dbOperations.getSessionUser(sessionId, now)
+  },
+  getActiveSessionsByUserId: {
+    all: (userId, now) => dbOperations.getActiveSessionsByUserId(userId, now)
+  },
+  revokeSession: {
+    run: (sessionId, userId) => dbOperations.revokeSession(sessionId, userId)
+  },
+  revokeUserSessions: {
+    run: (userId, exceptSessionId) => dbOperations.revokeUserSessions(userId, exceptSessionId)
+  },
+  deleteStaleSessions: {
+    run: (now) => dbOperations.deleteStaleSessions(now)
+  },
+  createSignInCode: {
+    run: (params) => dbOperations.createSignInCode(params.code_hash, params.user_id, params.expires_at)
+  },
+  consumeSignInCode: {
+    get: (codeHash, now) => dbOperations.consumeSignInCode(codeHash, now)
+  },
+  deleteStaleSignInCodes: {
+    run: (now) => dbOperations.deleteStaleSignInCodes(now)
+  },
+  createPendingSignup: {
+    run: (params) => dbOperations.createPendingSignup(params)
+  },
+  getPendingSignup: {
+    get: (codeHash, now) => dbOperations.getPendingSignup(codeHash, now)
+  },
+  deletePendingSignup: {
+    run: (codeHash) => dbOperations.deletePendingSignup(codeHash)
+  },
+  deleteStalePendingSignups: {
+    run: (now) => dbOperations.deleteStalePendingSignups(now)
   }
 };
 
@@ -557,5 +1543,6 @@ module.exports = {
     }
   },
   init,
+  storage,
   statements
 }; 
\ No newline at end of file
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How many recent activity events are kept for Last-Event-ID resume
+const MAX_BUFFERED_EVENTS = 200;
+
+// NOTIFY channel events are shared between app instances on
+const NOTIFY_CHANNEL = 'activity_events';
+
+// Postgres refuses NOTIFY payloads of 8000 bytes or more
+const MAX_NOTIFY_BYTES = 7999;
+
+class ActivityEvents extends EventEmitter {
+  constructor() {
+    super();
+    // Every open SSE connection adds a listener
+    this.setMaxListeners(0);
+    this.buffer = [];
+    this.lastId = 0;
+
+    // Tells this instance's own notifications apart from the others'
+    this.instanceId = crypto.randomUUID();
+    this.storage = null;
+  }
+
+  // Share events with every app instance through the database, so an SSE
+  // client sees them whichever instance it's connected to. PostgreSQL does
+  // this with LISTEN/NOTIFY. SQLite has no way to, and doesn't need one: its
+  // database file belongs to a single instance, so events stay in process.
+  async connect(storage) {
+    if (!storage.listen) return;
+
+    await storage.listen(NOTIFY_CHANNEL, (payload) => this.receive(payload));
+    this.storage = storage;
+  }
+
+  // An event published by another instance
+  receive(payload) {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      return;
+    }
+    if (message.instance === this.instanceId) return;
+
+    this.lastId = Math.max(this.lastId, message.event.id);
+    this.deliver(message.channel, message.event);
+  }
+
+  deliver(channel, event) {
+    if (channel === 'activity') {
+      this.buffer.push(event);
+      // Other instances' clocks differ a little, so keep the buffer in id order
+      if (this.buffer.length > 1 && this.buffer[this.buffer.length - 2].id > event.id) {
+        this.buffer.sort((a, b) => a.id - b.id);
+      }
+      if (this.buffer.length > MAX_BUFFERED_EVENTS) {
+        this.buffer.shift();
+      }
+    }
+
+    this.emit(channel, event);
+  }
+
+  // Emit here, then pass the event on to the other instances
+  send(channel, event) {
+    this.deliver(channel, event);
+    if (!this.storage) return event;
+
+    const payload = JSON.stringify({ instance: this.instanceId, channel, event });
+    if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+      console.warn(`⚠️ Event ${event.id} is too large to share with other instances`);
+      return event;
+    }
+    this.storage.notify(NOTIFY_CHANNEL, payload).catch((error) => {
+      console.error('❌ Event notify error:', error.message);
+    });
+    return event;
+  }
+
+  // Event ids are millisecond timestamps, bumped to stay unique. Ids keep
+  // increasing across restarts, so a client resuming with an id from a previous
+  // process (or another instance) just receives whatever is buffered.
+  nextId() {
+    this.lastId = Math.max(this.lastId + 1, Date.now());
+    return this.lastId;
+  }
+
+  // type is one of 'question', 'answer' or 'user'. data has the same shape as
+  // the rows returned by getRecentQuestions/getRecentAnswers/getRecentUsers.
+  publish(type, data) {
+    return this.send('activity', { id: this.nextId(), type, data });
+  }
+
+  // Public feed helpers. These apply the user's feed privacy settings the same
+  // way getRecentQuestions/getRecentAnswers/getRecentUsers do.
+  publishQuestion(user, question) {
+    if (user.feed_hide_questions) return;
+
+    this.publish('question', {
+      id: question.id,
+      text: user.feed_show_question_text ? question.text : null,
+      created_at: new Date().toISOString(),
+      user_handle: user.handle
+    });
+  }
+
+  publishAnswer(user, answer) {
+    if (user.feed_hide_answers) return;
+
+    this.publish('answer', {
+      id: answer.id,
+      question_text: answer.question_text,
+      answer_text: answer.answer_text,
+      created_at: new Date().toISOString(),
+      user_handle: user.handle,
+      twitter_profile_image: user.twitter_profile_image
+    });
+  }
+
+  publishUser(user) {
+    if (user.feed_hide_join) return;
+
+    this.publish('user', {
+      id: user.id,
+      handle: user.handle,
+      twitter_username: user.twitter_username || null,
+      twitter_name: user.twitter_name || null,
+      twitter_profile_image: user.twitter_profile_image || null,
+      auth_type: user.auth_type,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // Private events for one user's own channel (question.created,
+  // question.deleted, answer.published). data is the API (camelCase) shape.
+  publishToUser(userId, type, data) {
+    return this.send(`user:${userId}`, { id: this.nextId(), type, data });
+  }
+
+  getEventsSince(lastEventId) {
+    return this.buffer.filter(event => event.id > lastEventId);
+  }
+}
+
+module.exports = new ActivityEvents();
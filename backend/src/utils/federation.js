@@ -0,0 +1,185 @@
+const axios = require('axios');
+const { statements } = require('./database');
+const {
+  ACTIVITY_JSON,
+  getActorKeys,
+  answerActivity,
+  deleteActivity,
+  signRequest,
+  remoteRequestOptions,
+  assertFetchableUrl
+} = require('./activitypub');
+
+// Outgoing ActivityPub deliveries. Every activity is queued per inbox in
+// activitypub_deliveries and sent by a worker, so a slow or unreachable
+// server never holds up a request and failures are retried.
+
+const POLL_INTERVAL = 15 * 1000;
+const BATCH_SIZE = 20;
+const DELIVERY_TIMEOUT = 10000;
+
+// A claimed delivery is left alone for this long before another worker may
+// pick it up (e.g. after a crash mid-send)
+const LEASE_MS = 2 * 60 * 1000;
+
+// Retries back off from a minute, doubling; after the last one it's dropped
+const RETRY_BASE_MS = 60 * 1000;
+const MAX_ATTEMPTS = 8;
+
+let processing = false;
+let rerun = false;
+
+// Servers that reject an activity outright won't accept it on a retry
+// either, and neither will an inbox we refuse to connect to
+const isRetryable = (error) => {
+  if (error.refused) return false;
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+const deliver = async (delivery) => {
+  assertFetchableUrl(delivery.inbox_url);
+  const keys = await getActorKeys(delivery.user_id);
+  await axios.post(delivery.inbox_url, delivery.activity, {
+    headers: {
+      'Content-Type': ACTIVITY_JSON,
+      Accept: ACTIVITY_JSON,
+      ...signRequest({
+        method: 'POST',
+        url: delivery.inbox_url,
+        body: delivery.activity,
+        userId: delivery.user_id,
+        privateKey: keys.private_key
+      })
+    },
+    timeout: DELIVERY_TIMEOUT,
+    ...remoteRequestOptions,
+    // Keep the serialized body byte-for-byte so the digest matches
+    transformRequest: [(data) => data]
+  });
+};
+
+const attempt = async (delivery) => {
+  const claimed = await statements.claimActivityPubDelivery.run(delivery.id, delivery.next_attempt_at, Date.now() + LEASE_MS);
+  if (claimed.changes === 0) {
+    return;
+  }
+
+  try {
+    await deliver(delivery);
+    await statements.deleteActivityPubDelivery.run(delivery.id);
+    console.log(`🛰️ Delivered activity ${delivery.id} to ${delivery.inbox_url}`);
+  } catch (error) {
+    const attempts = delivery.attempts + 1;
+    const lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+    if (!isRetryable(error) || attempts >= MAX_ATTEMPTS) {
+      await statements.deleteActivityPubDelivery.run(delivery.id);
+      console.error(`❌ Dropped activity ${delivery.id} to ${delivery.inbox_url} after ${attempts} attempt(s): ${lastError}`);
+      return;
+    }
+
+    await statements.rescheduleActivityPubDelivery.run({
+      id: delivery.id,
+      attempts,
+      next_attempt_at: Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1),
+      last_error: lastError
+    });
+    console.warn(`⚠️ Activity ${delivery.id} to ${delivery.inbox_url} failed (${lastError}), will retry`);
+  }
+};
+
+// Send everything that is due. A call during a run makes that run go round
+// once more; the claim keeps separate processes from sending the same
+// delivery twice.
+const processDeliveries = async () => {
+  if (processing) {
+    rerun = true;
+    return;
+  }
+  processing = true;
+
+  try {
+    let due;
+    do {
+      rerun = false;
+      due = await statements.getDueActivityPubDeliveries.all(Date.now(), BATCH_SIZE);
+      for (const delivery of due) {
+        await attempt(delivery);
+      }
+    } while (rerun || due.length === BATCH_SIZE);
+  } finally {
+    processing = false;
+  }
+};
+
+const runQueue = () => {
+  processDeliveries().catch((error) => {
+    console.error('❌ ActivityPub delivery run failed:', error);
+  });
+};
+
+// Queue an activity for each of the given inboxes and start sending
+const enqueueActivity = async (userId, activity, inboxUrls) => {
+  const body = JSON.stringify(activity);
+  for (const inboxUrl of new Set(inboxUrls)) {
+    await statements.createActivityPubDelivery.run({
+      user_id: userId,
+      inbox_url: inboxUrl,
+      activity: body,
+      next_attempt_at: Date.now()
+    });
+  }
+  runQueue();
+};
+
+// Followers on the same server share one delivery when it has a shared inbox
+const followerInboxes = async (userId) => {
+  const followers = await statements.getActivityPubFollowers.all(userId);
+  return followers.map(follower => follower.shared_inbox_url || follower.inbox_url);
+};
+
+// Tell the user's followers about a new ('Create'), edited ('Update') or
+// removed ('Delete') answer. Restoring from the trash is a Create again.
+const queueAnswerActivity = async (userId, answerId, type) => {
+  const inboxes = await followerInboxes(userId);
+  if (inboxes.length === 0) {
+    return;
+  }
+
+  let activity;
+  if (type === 'Delete') {
+    activity = deleteActivity(userId, answerId);
+  } else {
+    const [user, answer] = await Promise.all([
+      statements.getUserById.get(userId),
+      statements.getAnswerById.get(answerId)
+    ]);
+    if (!user || !answer) return;
+    activity = answerActivity(type, user, answer);
+  }
+
+  await enqueueActivity(userId, activity, inboxes);
+};
+
+// Called from request handlers - never blocks the response and never throws
+const federateAnswer = (userId, answerId, type) => {
+  queueAnswerActivity(userId, answerId, type).catch((error) => {
+    console.error(`❌ Failed to federate answer ${answerId}:`, error);
+  });
+};
+
+// Pick up deliveries that are due for a retry or were left behind by a restart
+const startDeliveryQueue = () => {
+  runQueue();
+  const timer = setInterval(runQueue, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  enqueueActivity,
+  federateAnswer,
+  processDeliveries,
+  startDeliveryQueue
+};
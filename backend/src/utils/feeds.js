@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { escapeHtml } = require('./search');
+const { fromDbTimestamp } = require('./timestamps');
+
+// Answer feeds in RSS 2.0, Atom 1.0 and JSON Feed 1.1. A feed is
+// { title, description, homeUrl, selfUrl, items } and is built once per
+// request from answer rows, then rendered in the requested format.
+
+const TITLE_LENGTH = 100;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+const toHtml = (text) => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+// Answer rows (with user_handle) -> feed items
+const toFeedItems = (rows, siteUrl) => rows.map((row) => ({
+  id: `${siteUrl}/a/${row.id}`,
+  url: `${siteUrl}/a/${row.id}`,
+  title: truncate(row.question_text.replace(/\s+/g, ' '), TITLE_LENGTH),
+  text: `Anonymous asked: ${row.question_text}\n\n@${row.user_handle}: ${row.answer_text}`,
+  html: `<p><strong>Anonymous asked:</strong> ${toHtml(row.question_text)}</p><p>${toHtml(row.answer_text)}</p>`,
+  author: { name: `@${row.user_handle}`, url: `${siteUrl}/u/${row.user_handle}` },
+  published: fromDbTimestamp(row.created_at),
+  updated: fromDbTimestamp(row.updated_at || row.created_at)
+}));
+
+// Newest change in the feed; an empty feed has never been updated
+const feedUpdated = (feed) => new Date(Math.max(0, ...feed.items.map(item => item.updated.getTime())));
+
+// Strong validator over everything that ends up in the output
+const feedEtag = (feed, format) => {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([format, feed.title, feed.selfUrl, feed.items.map(item => [item.id, item.updated.getTime(), item.html])]))
+    .digest('hex');
+  return `"${hash}"`;
+};
+
+const renderRss = (feed) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <atom:link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${feedUpdated(feed).toUTCString()}</lastBuildDate>
+${feed.items.map(item => `    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(item.url)}</link>
+      <guid isPermaLink="true">${escapeHtml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeHtml(item.html)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+
+const renderAtom = (feed) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <id>${escapeHtml(feed.selfUrl)}</id>
+  <link href="${escapeHtml(feed.homeUrl)}" />
+  <link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/atom+xml" />
+  <updated>${feedUpdated(feed).toISOString()}</updated>
+${feed.items.map(item => `  <entry>
+    <title>${escapeHtml(item.title)}</title>
+    <id>${escapeHtml(item.id)}</id>
+    <link href="${escapeHtml(item.url)}" />
+    <author><name>${escapeHtml(item.author.name)}</name><uri>${escapeHtml(item.author.url)}</uri></author>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <content type="html">${escapeHtml(item.html)}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+
+const renderJson = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.selfUrl,
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    content_html: item.html,
+    content_text: item.text,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: [item.author]
+  }))
+}, null, 2);
+
+// Keyed by the file extension used in feed URLs
+const FEED_FORMATS = {
+  xml: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', render: renderJson }
+};
+
+module.exports = {
+  FEED_FORMATS,
+  toFeedItems,
+  feedUpdated,
+  feedEtag
+};
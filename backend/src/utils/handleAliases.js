@@ -0,0 +1,71 @@
+const { statements, db } = require('./database');
+const { toDbTimestamp, fromDbTimestamp } = require('./timestamps');
+
+// Renamed handles. The old handle is kept as an alias so links to it keep
+// working, and nobody else can take it for a while.
+
+const HANDLE_RESERVATION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Without a limit, renaming over and over would reserve handle after handle
+const RENAME_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Someone other than exceptUserId has this handle, or had it recently
+const isHandleTaken = async (handle, exceptUserId = null) =>
+  !!(await statements.isHandleTaken.get(handle, exceptUserId, toDbTimestamp(new Date())));
+
+// The user a handle belongs to, following renames, or null
+const resolveHandle = async (handle) =>
+  (await statements.getUserByHandle.get(handle)) ||
+  (await statements.getUserByHandleAlias.get(handle)) ||
+  null;
+
+// When the user may rename again, or null if they may now
+const nextRenameAt = async (userId) => {
+  const latest = await statements.getLatestHandleAlias.get(userId);
+  if (!latest) return null;
+  const next = new Date(fromDbTimestamp(latest.created_at).getTime() + RENAME_COOLDOWN_MS);
+  return next > new Date() ? next : null;
+};
+
+// Give the user a new handle, keeping the old one as an alias. Throws
+// 'Handle unchanged', 'Rename cooldown' (see nextRenameAt) or 'Handle
+// already exists'. Going back to one of their own old handles is always
+// allowed. Returns { handle, previousHandle, reservedUntil }.
+const renameHandle = async (userId, newHandle) => {
+  const user = await statements.getUserById.get(userId);
+  if (user.handle === newHandle) {
+    throw new Error('Handle unchanged');
+  }
+  const previousOwner = await statements.getUserByHandleAlias.get(newHandle);
+  if (previousOwner?.id !== userId && await nextRenameAt(userId)) {
+    throw new Error('Rename cooldown');
+  }
+  if (await isHandleTaken(newHandle, userId)) {
+    throw new Error('Handle already exists');
+  }
+
+  const reservedUntil = new Date(Date.now() + HANDLE_RESERVATION_MS);
+  const transaction = db.transaction(async () => {
+    // The new handle may be one of the user's own old ones, or someone
+    // else's whose reservation ran out
+    await statements.deleteHandleAlias.run(newHandle);
+    await statements.createHandleAlias.run({
+      user_id: userId,
+      handle: user.handle,
+      reserved_until: toDbTimestamp(reservedUntil)
+    });
+    await statements.updateUserHandle.run(userId, newHandle);
+  });
+  await transaction();
+
+  console.log(`✏️ Renamed @${user.handle} to @${newHandle}`);
+  return { handle: newHandle, previousHandle: user.handle, reservedUntil };
+};
+
+module.exports = {
+  HANDLE_RESERVATION_MS,
+  isHandleTaken,
+  resolveHandle,
+  nextRenameAt,
+  renameHandle
+};
@@ -0,0 +1,50 @@
+// What makes a valid handle, shared by the validation rules, Twitter
+// onboarding and the handle repair migration. Kept free of database access
+// so migrations can use it.
+
+const HANDLE_MIN_LENGTH = 3;
+const HANDLE_MAX_LENGTH = 20;
+const HANDLE_PATTERN = /^[a-z0-9]+$/;
+
+const RESERVED_HANDLES = ['api', 'admin', 'inbox', 'login', 'signup', 'about', 'help', 'support'];
+
+const isValidHandle = (handle) =>
+  typeof handle === 'string' &&
+  handle.length >= HANDLE_MIN_LENGTH &&
+  handle.length <= HANDLE_MAX_LENGTH &&
+  HANDLE_PATTERN.test(handle) &&
+  !/^\d+$/.test(handle) &&
+  !RESERVED_HANDLES.includes(handle);
+
+// Valid handles to try for a name, best first: "Jane_Doe" gives janedoe,
+// janedoe2, janedoe3... Names with too little to work with get a prefix.
+function* handleCandidates(name) {
+  let base = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (base.length < HANDLE_MIN_LENGTH || /^\d+$/.test(base) || RESERVED_HANDLES.includes(base)) {
+    base = `trader${base}`;
+  }
+  base = base.slice(0, HANDLE_MAX_LENGTH);
+
+  if (isValidHandle(base)) yield base;
+  for (let n = 2; ; n += 1) {
+    const suffix = String(n);
+    yield `${base.slice(0, HANDLE_MAX_LENGTH - suffix.length)}${suffix}`;
+  }
+}
+
+// The first candidate for name that isTaken (async) says is free
+const findAvailableHandle = async (name, isTaken) => {
+  for (const candidate of handleCandidates(name)) {
+    if (!(await isTaken(candidate))) return candidate;
+  }
+};
+
+module.exports = {
+  HANDLE_MIN_LENGTH,
+  HANDLE_MAX_LENGTH,
+  HANDLE_PATTERN,
+  RESERVED_HANDLES,
+  isValidHandle,
+  handleCandidates,
+  findAvailableHandle
+};
@@ -0,0 +1,95 @@
+const { statements, db } = require('./database');
+
+// Ways a user can sign in, one row each in user_identities. users.auth_type
+// only records how the account was created.
+
+const PROVIDERS = ['secret_key', 'twitter'];
+
+// The users columns for a passport-twitter profile
+const twitterProfileColumns = (profile) => ({
+  twitter_id: profile.id,
+  twitter_username: profile.username,
+  twitter_name: profile.displayName,
+  twitter_profile_image: profile.photos?.[0]?.value || null
+});
+
+const hasIdentity = async (userId, provider) =>
+  !!(await statements.getUserIdentity.get(userId, provider));
+
+// The user's sign-in methods for the API
+const listIdentities = async (userId) => {
+  const identities = await statements.getUserIdentities.all(userId);
+  return identities.map(identity => ({
+    provider: identity.provider,
+    username: identity.username,
+    createdAt: identity.created_at
+  }));
+};
+
+// Connect a Twitter account to an existing user. Throws 'Twitter account
+// already linked' if it signs in to another handle, and 'Twitter already
+// connected' if the user has a different Twitter account.
+const linkTwitter = async (userId, profile) => {
+  const owner = await statements.getUserByTwitterId.get(profile.id);
+  if (owner) {
+    if (owner.id === userId) return owner;
+    throw new Error('Twitter account already linked');
+  }
+  if (await hasIdentity(userId, 'twitter')) {
+    throw new Error('Twitter already connected');
+  }
+
+  const columns = twitterProfileColumns(profile);
+  const transaction = db.transaction(async () => {
+    await statements.createUserIdentity.run({
+      user_id: userId,
+      provider: 'twitter',
+      provider_user_id: columns.twitter_id,
+      username: columns.twitter_username
+    });
+    await statements.updateUserTwitterProfile.run(userId, columns);
+  });
+  await transaction();
+
+  console.log(`🔗 Linked Twitter @${columns.twitter_username} to user ${userId}`);
+  return statements.getUserById.get(userId);
+};
+
+// Remove a sign-in method. Throws 'Identity not found', or 'Last sign-in
+// method' rather than leave the user unable to sign in.
+const unlinkIdentity = async (userId, provider) => {
+  const identities = await statements.getUserIdentities.all(userId);
+  if (!identities.some(identity => identity.provider === provider)) {
+    throw new Error('Identity not found');
+  }
+  if (identities.length === 1) {
+    throw new Error('Last sign-in method');
+  }
+
+  const transaction = db.transaction(async () => {
+    await statements.deleteUserIdentity.run(userId, provider);
+    if (provider === 'secret_key') {
+      await statements.updateUserSecretKey.run(userId, null);
+      await statements.deleteRecoveryCodes.run(userId);
+    } else {
+      await statements.updateUserTwitterProfile.run(userId, {
+        twitter_id: null,
+        twitter_username: null,
+        twitter_name: null,
+        twitter_profile_image: null
+      });
+    }
+  });
+  await transaction();
+
+  console.log(`✂️ Removed ${provider} sign-in from user ${userId}`);
+};
+
+module.exports = {
+  PROVIDERS,
+  twitterProfileColumns,
+  hasIdentity,
+  listIdentities,
+  linkTwitter,
+  unlinkIdentity
+};
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const { storage } = require('./database');
+const {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  createMigration
+} = require('./migrations');
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  status               List migrations and whether they have been applied
+  up [--dry-run]       Apply all pending migrations
+  down [--steps=N]     Roll back the last N applied migrations (default 1)
+       [--dry-run]
+  create <name>        Create an empty migration file
+
+--dry-run prints the statements a command would run without changing anything.`;
+
+const STATE_LABELS = {
+  applied: '✅ applied',
+  pending: '⏳ pending',
+  changed: '⚠️ changed since applied',
+  missing: '❌ file missing'
+};
+
+const printStatus = (status) => {
+  status.forEach((migration) => {
+    const version = String(migration.version).padStart(3, '0');
+    const appliedAt = migration.appliedAt ? ` (${migration.appliedAt})` : '';
+    console.log(`${version}  ${STATE_LABELS[migration.state]}${appliedAt}  ${migration.description}`);
+  });
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const stepsArg = args.find(arg => arg.startsWith('--steps='));
+  const steps = stepsArg ? parseInt(stepsArg.split('=')[1], 10) : 1;
+
+  switch (command) {
+    case 'create': {
+      const name = args.filter(arg => !arg.startsWith('--')).join(' ');
+      if (!name) {
+        throw new Error('Migration name is required: npm run migrate -- create <name>');
+      }
+      console.log('✅ Created', createMigration(name));
+      return;
+    }
+
+    case 'status':
+      await storage.connect();
+      printStatus(await getMigrationStatus(storage));
+      return;
+
+    case 'up':
+      await storage.connect();
+      await storage.withMigrationLock(() => runMigrations(storage, { dryRun }));
+      return;
+
+    case 'down':
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive number');
+      }
+      await storage.connect();
+      await storage.withMigrationLock(() => rollbackMigrations(storage, { steps, dryRun }));
+      return;
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => storage.close());
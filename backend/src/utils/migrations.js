@@ -1,356 +1,278 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
-// Migration functions
-const migrations = [
-  {
-    version: 1,
-    description: 'Add Twitter OAuth columns to users table',
-    up: async (db) => {
-      console.log('🔄 Running migration 1: Add Twitter OAuth columns...');
-      
-      // Check if users table exists
-      const tableExists = await new Promise((resolve, reject) => {
-        db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='users'", (err, row) => {
-          if (err) reject(err);
-          else resolve(!!row);
-        });
-      });
-      
-      if (!tableExists) {
-        console.log('✓ Users table does not exist yet, skipping migration');
-        return;
-      }
-      
-      // Check if columns already exist
-      const tableInfo = await new Promise((resolve, reject) => {
-        db.all("PRAGMA table_info(users)", (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-      
-      const columnNames = tableInfo.map(col => col.name);
-      
-      // If twitter_id already exists, assume this is a fresh database with new schema
-      if (columnNames.includes('twitter_id')) {
-        console.log('✓ Twitter columns already exist, skipping migration');
-        return;
-      }
-      
-      // This is an old database that needs updating
-      console.log('📝 Updating existing database with Twitter OAuth columns...');
-      
-      const columnsToAdd = [
-        { name: 'twitter_id', sql: 'ALTER TABLE users ADD COLUMN twitter_id TEXT UNIQUE' },
-        { name: 'twitter_username', sql: 'ALTER TABLE users ADD COLUMN twitter_username TEXT UNIQUE' },
-        { name: 'twitter_name', sql: 'ALTER TABLE users ADD COLUMN twitter_name TEXT' },
-        { name: 'twitter_profile_image', sql: 'ALTER TABLE users ADD COLUMN twitter_profile_image TEXT' },
-        { name: 'auth_type', sql: "ALTER TABLE users ADD COLUMN auth_type TEXT DEFAULT 'secret_key'" }
-      ];
-      
-      for (const column of columnsToAdd) {
-        if (!columnNames.includes(column.name)) {
-          await new Promise((resolve, reject) => {
-            db.run(column.sql, (err) => {
-              if (err) {
-                console.error(`❌ Failed to add column ${column.name}:`, err);
-                reject(err);
-              } else {
-                console.log(`✅ Added column: ${column.name}`);
-                resolve();
-              }
-            });
-          });
-        }
-      }
-      
-      // Update existing users to have auth_type = 'secret_key' if they have a secret_key
-      await new Promise((resolve, reject) => {
-        db.run("UPDATE users SET auth_type = 'secret_key' WHERE secret_key IS NOT NULL AND auth_type IS NULL", (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-      
-      console.log('✅ Migration 1 completed');
-    }
+// One file per version: NNN-short-name.js exporting { description, up, down }.
+// up/down receive a storage adapter (see ./storage), so the same migrations
+// run against SQLite and PostgreSQL.
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-[\w-]+\.js$/;
+
+const MIGRATION_TEMPLATE = `module.exports = {
+  description: '{{description}}',
+
+  up: async (db) => {
   },
-  {
-    version: 2,
-    description: 'Fix answers table foreign key constraint',
-    up: async (db) => {
-      console.log('🔄 Running migration 2: Fix answers table foreign key constraint...');
-      
-      // Check if answers table exists
-      const tableExists = await new Promise((resolve, reject) => {
-        db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='answers'", (err, row) => {
-          if (err) reject(err);
-          else resolve(!!row);
-        });
-      });
-      
-      if (!tableExists) {
-        console.log('✓ Answers table does not exist yet, skipping migration');
-        return;
-      }
-      
-      // SQLite doesn't support dropping constraints, so we need to recreate the table
-      console.log('📝 Recreating answers table without question_id foreign key constraint...');
-      
-      // Start transaction
-      await new Promise((resolve, reject) => {
-        db.run('BEGIN TRANSACTION', (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-      
-      try {
-        // Create new table without the problematic foreign key
-        await new Promise((resolve, reject) => {
-          db.run(`
-            CREATE TABLE answers_new (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              question_id INTEGER NOT NULL,
-              user_id INTEGER NOT NULL,
-              question_text TEXT NOT NULL,
-              answer_text TEXT NOT NULL,
-              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-            )
-          `, (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        // Copy data from old table to new table
-        await new Promise((resolve, reject) => {
-          db.run(`
-            INSERT INTO answers_new (id, question_id, user_id, question_text, answer_text, created_at)
-            SELECT id, question_id, user_id, question_text, answer_text, created_at FROM answers
-          `, (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        // Drop old table
-        await new Promise((resolve, reject) => {
-          db.run('DROP TABLE answers', (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        // Rename new table to answers
-        await new Promise((resolve, reject) => {
-          db.run('ALTER TABLE answers_new RENAME TO answers', (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        // Recreate indexes
-        await new Promise((resolve, reject) => {
-          db.run('CREATE INDEX IF NOT EXISTS idx_answers_user_id ON answers(user_id)', (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        await new Promise((resolve, reject) => {
-          db.run('CREATE INDEX IF NOT EXISTS idx_answers_created_at ON answers(created_at)', (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        // Commit transaction
-        await new Promise((resolve, reject) => {
-          db.run('COMMIT', (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        console.log('✅ Migration 2 completed successfully');
-      } catch (error) {
-        // Rollback on error
-        await new Promise((resolve) => {
-          db.run('ROLLBACK', () => resolve());
-        });
-        throw error;
-      }
+
+  down: async (db) => {
+  }
+};
+`;
+
+// Load migration files in version order
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = files.map((file) => {
+    const filePath = path.join(MIGRATIONS_DIR, file);
+    const migration = require(filePath);
+
+    return {
+      version: parseInt(file.match(MIGRATION_FILE_PATTERN)[1], 10),
+      file,
+      description: migration.description,
+      up: migration.up,
+      down: migration.down,
+      checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+    };
+  });
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
     }
-  },
-  {
-    version: 3,
-    description: 'Add updated_at column to answers table',
-    up: async (db) => {
-      console.log('🔄 Running migration 3: Add updated_at column to answers table...');
-      
-      // Check if answers table exists
-      const tableExists = await new Promise((resolve, reject) => {
-        db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='answers'", (err, row) => {
-          if (err) reject(err);
-          else resolve(!!row);
-        });
-      });
-      
-      if (!tableExists) {
-        console.log('✓ Answers table does not exist yet, skipping migration');
-        return;
-      }
-      
-      // Check if column already exists
-      const tableInfo = await new Promise((resolve, reject) => {
-        db.all("PRAGMA table_info(answers)", (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-      
-      const columnNames = tableInfo.map(col => col.name);
-      
-      if (columnNames.includes('updated_at')) {
-        console.log('✓ updated_at column already exists, skipping migration');
-        return;
-      }
-      
-      // Add updated_at column
-      await new Promise((resolve, reject) => {
-        db.run('ALTER TABLE answers ADD COLUMN updated_at DATETIME DEFAULT CURRENT_TIMESTAMP', (err) => {
-          if (err) {
-            console.error('❌ Failed to add updated_at column:', err);
-            reject(err);
-          } else {
-            console.log('✅ Added updated_at column');
-            resolve();
-          }
-        });
-      });
-      
-      // Set updated_at to created_at for existing records
-      await new Promise((resolve, reject) => {
-        db.run('UPDATE answers SET updated_at = created_at WHERE updated_at IS NULL', (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-      
-      console.log('✅ Migration 3 completed');
+  });
+
+  return migrations;
+}
+
+// Create the migrations table, adding the checksum column to tables created
+// before migrations were tracked per file
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      checksum TEXT,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const columnNames = await db.getColumns('migrations');
+  if (!columnNames.includes('checksum')) {
+    await db.exec('ALTER TABLE migrations ADD COLUMN checksum TEXT');
+  }
+}
+
+async function getAppliedMigrations(db) {
+  return db.all('SELECT version, description, checksum, applied_at FROM migrations ORDER BY version');
+}
+
+// Stands in for the adapter during a dry run: reads go to the database so
+// migrations can inspect the schema, writes are only collected
+function createDryRunStorage(db, statements) {
+  return {
+    dialect: db.dialect,
+    get: (sql, params) => db.get(sql, params),
+    all: (sql, params) => db.all(sql, params),
+    tableExists: (table) => db.tableExists(table),
+    getColumns: (table) => db.getColumns(table),
+    exec: async (sql) => {
+      statements.push(sql);
+    },
+    run: async (sql, params = []) => {
+      statements.push(params.length ? `${sql} -- ${JSON.stringify(params)}` : sql);
+      return { lastID: undefined, changes: 0 };
+    },
+    transaction: (callback) => callback()
+  };
+}
+
+function printStatements(statements) {
+  if (statements.length === 0) {
+    console.log('   (no statements)');
+  }
+  statements.forEach((sql) => {
+    const lines = sql.split('\n').filter(line => line.trim());
+    const indent = Math.min(...lines.map(line => line.match(/^\s*/)[0].length));
+    console.log(lines.map(line => `   ${line.slice(indent)}`).join('\n') + ';');
+  });
+}
+
+// Warn about applied migrations whose file changed afterwards. Rows recorded
+// before checksums existed are filled in from the current file.
+async function verifyChecksums(db, migrations, applied) {
+  for (const row of applied) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) continue;
+
+    if (!row.checksum) {
+      await db.run('UPDATE migrations SET checksum = ? WHERE version = ?', [migration.checksum, row.version]);
+    } else if (row.checksum !== migration.checksum) {
+      console.warn(`⚠️ Migration ${migration.file} has changed since it was applied`);
     }
-  },
-  {
-    version: 4,
-    description: 'Add telegram_chat_id column to users table for notifications',
-    up: async (db) => {
-      console.log('🔄 Running migration 4: Add telegram_chat_id column to users table...');
-      
-      // Check if users table exists
-      const tableExists = await new Promise((resolve, reject) => {
-        db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='users'", (err, row) => {
-          if (err) reject(err);
-          else resolve(!!row);
-        });
-      });
-      
-      if (!tableExists) {
-        console.log('✓ Users table does not exist yet, skipping migration');
-        return;
-      }
-      
-      // Check if column already exists
-      const tableInfo = await new Promise((resolve, reject) => {
-        db.all("PRAGMA table_info(users)", (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
+  }
+}
+
+// Run pending migrations
+async function runMigrations(db, { dryRun = false } = {}) {
+  console.log('🔧 Checking for database migrations...');
+
+  await ensureMigrationsTable(db);
+
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(db);
+  const appliedVersions = applied.map(row => row.version);
+
+  if (!dryRun) {
+    await verifyChecksums(db, migrations, applied);
+  }
+
+  const pending = migrations.filter(m => !appliedVersions.includes(m.version));
+  if (pending.length === 0) {
+    console.log('✅ No pending migrations');
+    return [];
+  }
+
+  for (const migration of pending) {
+    if (dryRun) {
+      const statements = [];
+      console.log(`📝 Would run migration ${migration.version}: ${migration.description}`);
+      await migration.up(createDryRunStorage(db, statements));
+      printStatements(statements);
+      continue;
+    }
+
+    console.log(`📝 Running migration ${migration.version}: ${migration.description}`);
+
+    try {
+      // The migration and its record commit together
+      await db.transaction(async () => {
+        await migration.up(db);
+        await db.run(
+          'INSERT INTO migrations (version, description, checksum) VALUES (?, ?, ?)',
+          [migration.version, migration.description, migration.checksum]
+        );
       });
-      
-      const columnNames = tableInfo.map(col => col.name);
-      
-      if (columnNames.includes('telegram_chat_id')) {
-        console.log('✓ telegram_chat_id column already exists, skipping migration');
-        return;
-      }
-      
-      // Add telegram_chat_id column
-      await new Promise((resolve, reject) => {
-        db.run('ALTER TABLE users ADD COLUMN telegram_chat_id TEXT', (err) => {
-          if (err) {
-            console.error('❌ Failed to add telegram_chat_id column:', err);
-            reject(err);
-          } else {
-            console.log('✅ Added telegram_chat_id column');
-            resolve();
-          }
-        });
+
+      console.log(`✅ Migration ${migration.version} applied successfully`);
+    } catch (error) {
+      console.error(`❌ Migration ${migration.version} failed:`, error);
+      throw error;
+    }
+  }
+
+  console.log('✅ All migrations completed');
+  return pending;
+}
+
+// Roll back the most recently applied migrations, newest first
+async function rollbackMigrations(db, { steps = 1, dryRun = false } = {}) {
+  await ensureMigrationsTable(db);
+
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(db);
+  const toRollBack = applied.reverse().slice(0, steps);
+
+  if (toRollBack.length === 0) {
+    console.log('✅ No migrations to roll back');
+    return [];
+  }
+
+  for (const row of toRollBack) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${row.version} not found`);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.file} cannot be rolled back`);
+    }
+
+    if (dryRun) {
+      const statements = [];
+      console.log(`📝 Would roll back migration ${migration.version}: ${migration.description}`);
+      await migration.down(createDryRunStorage(db, statements));
+      printStatements(statements);
+      continue;
+    }
+
+    console.log(`⏪ Rolling back migration ${migration.version}: ${migration.description}`);
+
+    try {
+      await db.transaction(async () => {
+        await migration.down(db);
+        await db.run('DELETE FROM migrations WHERE version = ?', [migration.version]);
       });
-      
-      console.log('✅ Migration 4 completed');
+
+      console.log(`✅ Migration ${migration.version} rolled back`);
+    } catch (error) {
+      console.error(`❌ Rolling back migration ${migration.version} failed:`, error);
+      throw error;
     }
   }
-];
 
-// Run migrations
-async function runMigrations(db) {
-  console.log('🔧 Checking for database migrations...');
-  
-  // Create migrations table if it doesn't exist
-  await new Promise((resolve, reject) => {
-    db.run(`
-      CREATE TABLE IF NOT EXISTS migrations (
-        version INTEGER PRIMARY KEY,
-        description TEXT,
-        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `, (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
+  return toRollBack;
+}
+
+// Every known version with its state: applied, pending, changed (file edited
+// after it was applied) or missing (applied but the file is gone)
+async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(db);
+
+  const status = migrations.map((migration) => {
+    const row = applied.find(r => r.version === migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum && row.checksum !== migration.checksum ? 'changed' : 'applied';
+    }
+
+    return {
+      version: migration.version,
+      description: migration.description,
+      state,
+      appliedAt: row ? row.applied_at : null
+    };
   });
-  
-  // Get applied migrations
-  const appliedMigrations = await new Promise((resolve, reject) => {
-    db.all('SELECT version FROM migrations', (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows.map(r => r.version));
+
+  applied
+    .filter(row => !migrations.some(m => m.version === row.version))
+    .forEach((row) => {
+      status.push({
+        version: row.version,
+        description: row.description,
+        state: 'missing',
+        appliedAt: row.applied_at
+      });
     });
-  });
-  
-  // Run pending migrations
-  for (const migration of migrations) {
-    if (!appliedMigrations.includes(migration.version)) {
-      console.log(`📝 Running migration ${migration.version}: ${migration.description}`);
-      
-      try {
-        await migration.up(db);
-        
-        // Record migration
-        await new Promise((resolve, reject) => {
-          db.run(
-            'INSERT INTO migrations (version, description) VALUES (?, ?)',
-            [migration.version, migration.description],
-            (err) => {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        });
-        
-        console.log(`✅ Migration ${migration.version} applied successfully`);
-      } catch (error) {
-        console.error(`❌ Migration ${migration.version} failed:`, error);
-        throw error;
-      }
-    }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+// Write a new, empty migration file with the next version number
+function createMigration(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) {
+    throw new Error('Migration name is required');
   }
-  
-  console.log('✅ All migrations completed');
+
+  const migrations = loadMigrations();
+  const version = migrations.length ? migrations[migrations.length - 1].version + 1 : 0;
+  const file = `${String(version).padStart(3, '0')}-${slug}.js`;
+  const filePath = path.join(MIGRATIONS_DIR, file);
+
+  const description = name.replace(/'/g, "\\'");
+  fs.writeFileSync(filePath, MIGRATION_TEMPLATE.replace('{{description}}', description));
+  return filePath;
 }
 
-module.exports = { runMigrations }; 
\ No newline at end of file
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  createMigration
+};
@@ -0,0 +1,92 @@
+const { statements } = require('./database');
+const telegramService = require('./telegram');
+
+// Wait before each retry (ms). Length determines the number of retries.
+const RETRY_DELAYS = [5 * 1000, 30 * 1000, 2 * 60 * 1000];
+
+class NotificationDispatcher {
+  // Called from request handlers - never blocks the response and never throws
+  questionCreated(user, question) {
+    if (!telegramService.isEnabled || !user.telegram_chat_id) return;
+    if (user.telegram_notifications_paused) return;
+
+    this.dispatchTelegram(user, question).catch((error) => {
+      console.error('❌ Failed to dispatch question notification:', error);
+    });
+  }
+
+  async dispatchTelegram(user, question) {
+    const result = await statements.createNotificationDelivery.run({
+      question_id: question.id,
+      user_id: user.id,
+      channel: 'telegram',
+      chat_id: user.telegram_chat_id
+    });
+
+    const delivery = {
+      id: result.lastInsertRowid,
+      chatId: user.telegram_chat_id,
+      handle: user.handle,
+      question
+    };
+
+    await this.attemptTelegram(delivery, 1);
+  }
+
+  async attemptTelegram(delivery, attempt) {
+    try {
+      const response = await telegramService.sendQuestionNotification(
+        delivery.chatId,
+        delivery.question,
+        delivery.handle
+      );
+
+      await statements.updateNotificationDelivery.run({
+        id: delivery.id,
+        status: 'sent',
+        attempts: attempt,
+        last_error: null,
+        telegram_message_id: response?.result?.message_id || null
+      });
+      console.log(`📨 Telegram notification sent for question ${delivery.question.id}`);
+    } catch (error) {
+      const lastError = error.response?.data?.description || error.message;
+      const canRetry = this.isRetryable(error) && attempt <= RETRY_DELAYS.length;
+
+      await statements.updateNotificationDelivery.run({
+        id: delivery.id,
+        status: canRetry ? 'retrying' : 'failed',
+        attempts: attempt,
+        last_error: lastError,
+        telegram_message_id: null
+      });
+
+      if (!canRetry) {
+        console.error(`❌ Telegram notification for question ${delivery.question.id} failed after ${attempt} attempt(s):`, lastError);
+        return;
+      }
+
+      // Telegram tells us how long to back off when rate limiting
+      const retryAfter = error.response?.data?.parameters?.retry_after;
+      const delay = retryAfter ? retryAfter * 1000 : RETRY_DELAYS[attempt - 1];
+
+      console.log(`🔁 Retrying Telegram notification for question ${delivery.question.id} in ${delay}ms`);
+      const timer = setTimeout(() => {
+        this.attemptTelegram(delivery, attempt + 1).catch((retryError) => {
+          console.error('❌ Telegram notification retry error:', retryError);
+        });
+      }, delay);
+      timer.unref();
+    }
+  }
+
+  // Network errors, rate limits and Telegram server errors are worth retrying.
+  // Anything else (bot blocked, chat not found, bad request) will not recover.
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+  }
+}
+
+module.exports = new NotificationDispatcher();
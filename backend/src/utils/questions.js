@@ -0,0 +1,108 @@
+const { statements, db } = require('./database');
+const activityEvents = require('./events');
+const { transformQuestion, transformAnswer } = require('./transform');
+const { federateAnswer } = require('./federation');
+
+// Publish an answer to a question. Shared by the inbox API and the Telegram bot
+// so both go through the same transaction. Throws 'Question not found',
+// 'Unauthorized' or 'Question already answered' for the caller to translate.
+const answerQuestion = async (questionId, userId, answerText) => {
+  console.log('📝 Answering question:', { questionId, userId, answerText });
+
+  let answerId;
+
+  // Run transaction
+  const transaction = db.transaction(async () => {
+    // Get question
+    const question = await statements.getQuestionById.get(questionId);
+    if (!question) {
+      throw new Error('Question not found');
+    }
+
+    console.log('❓ Found question:', question);
+
+    // Verify user owns this question
+    if (question.user_id !== userId) {
+      throw new Error('Unauthorized');
+    }
+
+    if (question.status === 'answered') {
+      throw new Error('Question already answered');
+    }
+
+    // Create answer
+    const result = await statements.createAnswer.run({
+      question_id: questionId,
+      user_id: userId,
+      question_text: question.text,
+      answer_text: answerText.trim()
+    });
+
+    answerId = result.lastInsertRowid;
+    console.log('✅ Answer created with ID:', answerId);
+
+    // The published text is the first revision
+    await statements.createAnswerRevision.run({
+      answer_id: answerId,
+      user_id: userId,
+      revision: 1,
+      answer_text: answerText.trim()
+    });
+
+    // Keep the question, marked as answered
+    await statements.updateQuestionStatus.run(questionId, 'answered');
+    console.log('✅ Question marked as answered');
+  });
+
+  await transaction();
+
+  const user = await statements.getUserById.get(userId);
+  const answer = await statements.getAnswerById.get(answerId);
+  activityEvents.publishAnswer(user, answer);
+
+  // Owner's own channel gets the full answer so open tabs can patch their caches
+  activityEvents.publishToUser(userId, 'answer.published', transformAnswer(answer));
+  federateAnswer(userId, answerId, 'Create');
+
+  return answerId;
+};
+
+// Move a question the caller has already verified they own to the trash
+const deleteQuestion = async (question) => {
+  await statements.deleteQuestion.run(question.id);
+  activityEvents.publishToUser(question.user_id, 'question.deleted', { id: question.id });
+};
+
+// Take a question out of the trash. Returns false if it isn't there.
+const restoreQuestion = async (questionId, userId) => {
+  const result = await statements.restoreQuestion.run(questionId, userId);
+  if (result.changes === 0) {
+    return false;
+  }
+
+  const question = await statements.getQuestionById.get(questionId);
+  const { ipAddress, ...data } = transformQuestion(question);
+  activityEvents.publishToUser(userId, 'question.restored', data);
+  return true;
+};
+
+// Dismiss or archive a question the caller has already verified they own
+const setQuestionStatus = async (question, status) => {
+  await statements.updateQuestionStatus.run(question.id, status);
+  activityEvents.publishToUser(question.user_id, 'question.updated', { id: question.id, status });
+};
+
+// Let the owner's open inbox tabs know about a new question
+const publishQuestionCreated = async (questionId) => {
+  const question = await statements.getQuestionById.get(questionId);
+  const { ipAddress, ...data } = transformQuestion(question);
+  activityEvents.publishToUser(question.user_id, 'question.created', data);
+};
+
+module.exports = {
+  answerQuestion,
+  deleteQuestion,
+  restoreQuestion,
+  setQuestionStatus,
+  publishQuestionCreated
+};
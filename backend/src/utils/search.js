@@ -0,0 +1,47 @@
+// Helpers for answer full-text search (see migration 011-answers-search)
+
+// Most terms a single search may use
+const MAX_SEARCH_TERMS = 10;
+
+// Wrapped around matches by the database, replaced by <mark> tags once the
+// rest of the text has been escaped
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+// Split free text into search terms. Only letters and digits survive, so the
+// terms can't carry FTS5/tsquery syntax.
+const parseSearchTerms = (query) => {
+  const terms = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, MAX_SEARCH_TERMS);
+};
+
+// All terms must match; the last one is a prefix so results show while typing
+const toFtsQuery = (terms) => terms
+  .map((term, index) => (index === terms.length - 1 ? `"${term}"*` : `"${term}"`))
+  .join(' ');
+
+const toTsQuery = (terms) => terms
+  .map((term, index) => (index === terms.length - 1 ? `${term}:*` : term))
+  .join(' & ');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Text from the database with highlight markers -> safe HTML with <mark> tags
+const toHighlightHtml = (text) => escapeHtml(text || '')
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_END).join('</mark>');
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  parseSearchTerms,
+  toFtsQuery,
+  toTsQuery,
+  toHighlightHtml,
+  escapeHtml
+};
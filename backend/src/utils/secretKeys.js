@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { statements, db } = require('./database');
+const { hasIdentity } = require('./identities');
+
+// Secret keys and one-time recovery codes for accounts that sign in with a
+// secret key. Like the secret key, recovery codes are shown once and only
+// their hashes are kept.
+
+const RECOVERY_CODE_COUNT = 10;
+
+// No 0/o, 1/l/i, so codes survive being written down
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const RECOVERY_CODE_LENGTH = 12;
+
+// xxxx-xxxx-xxxx
+const generateRecoveryCode = () => {
+  const chars = Array.from({ length: RECOVERY_CODE_LENGTH }, () =>
+    RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+  return chars.join('').match(/.{4}/g).join('-');
+};
+
+// Codes have enough entropy that a fast hash is fine, and it can be looked up
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+const hashSecretKey = (secretKey) => bcrypt.hash(secretKey, 10);
+
+// Give a user who signs in another way (Twitter) a secret key as a
+// fallback. Throws 'Secret key already set' if they have one. Returns the key.
+const addSecretKey = async (userId) => {
+  if (await hasIdentity(userId, 'secret_key')) {
+    throw new Error('Secret key already set');
+  }
+
+  const secretKey = uuidv4();
+  const secretKeyHash = await hashSecretKey(secretKey);
+
+  const transaction = db.transaction(async () => {
+    await statements.createUserIdentity.run({ user_id: userId, provider: 'secret_key' });
+    await statements.updateUserSecretKey.run(userId, secretKeyHash);
+  });
+  await transaction();
+
+  console.log(`🔑 Secret key added for user ${userId}`);
+  return secretKey;
+};
+
+// Replace the user's secret key and sign out every session except
+// keepSessionId (the one asking). Returns the new key.
+const rotateSecretKey = async (userId, keepSessionId) => {
+  const secretKey = uuidv4();
+  const secretKeyHash = await hashSecretKey(secretKey);
+
+  const transaction = db.transaction(async () => {
+    await statements.updateUserSecretKey.run(userId, secretKeyHash);
+    await statements.revokeUserSessions.run(userId, keepSessionId);
+  });
+  await transaction();
+
+  console.log(`🔑 Secret key rotated for user ${userId}`);
+  return secretKey;
+};
+
+// Issue a fresh set of recovery codes, replacing any earlier ones
+const issueRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  const transaction = db.transaction(async () => {
+    await statements.deleteRecoveryCodes.run(userId);
+    for (const code of codes) {
+      await statements.createRecoveryCode.run(userId, hashRecoveryCode(code));
+    }
+  });
+  await transaction();
+
+  console.log(`🧾 Issued ${codes.length} recovery codes for user ${userId}`);
+  return codes;
+};
+
+// Use up a recovery code and give the user a new secret key in its place,
+// signing out every session. Throws 'Invalid recovery code' if the code is wrong or already used.
+// Returns { secretKey, recoveryCodesLeft }.
+const redeemRecoveryCode = async (userId, code) => {
+  const secretKey = uuidv4();
+  const secretKeyHash = await hashSecretKey(secretKey);
+
+  const transaction = db.transaction(async () => {
+    const result = await statements.useRecoveryCode.run(userId, hashRecoveryCode(code));
+    if (result.changes === 0) {
+      throw new Error('Invalid recovery code');
+    }
+    await statements.updateUserSecretKey.run(userId, secretKeyHash);
+    await statements.revokeUserSessions.run(userId, null);
+  });
+  await transaction();
+
+  const { count } = await statements.countUnusedRecoveryCodes.get(userId);
+  console.log(`🛟 User ${userId} recovered their account (${count} recovery codes left)`);
+  return { secretKey, recoveryCodesLeft: Number(count) };
+};
+
+module.exports = {
+  hashSecretKey,
+  addSecretKey,
+  rotateSecretKey,
+  issueRecoveryCodes,
+  redeemRecoveryCode
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { statements } = require('./database');
+const { generateToken, ACCESS_TOKEN_TTL_SECONDS } = require('../middleware/auth');
+const { toDbTimestamp, fromDbTimestamp } = require('./timestamps');
+
+// Sign-in sessions. Each one hands out short-lived access tokens (JWTs that
+// name the session) and a refresh token that is replaced every time it is
+// used. Revoking the session stops both.
+
+// Unused for this long, a session expires; every refresh extends it
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Two tabs refreshing at once both send the same refresh token. The one that
+// loses the race still gets through if the token was replaced this recently;
+// any later use of a replaced token is treated as theft.
+const REUSE_GRACE_MS = 30 * 1000;
+
+// Sign-in codes hand a session from a redirect to the frontend (see
+// createSignInCode); the frontend redeems them right away
+const SIGN_IN_CODE_TTL_MS = 60 * 1000;
+
+// New Twitter users have this long to pick a handle (see createSignupCode)
+const SIGNUP_CODE_TTL_MS = 30 * 60 * 1000;
+
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const expiresAt = () => toDbTimestamp(new Date(Date.now() + SESSION_TTL_MS));
+
+// Where a request came from, as stored on the session
+const clientInfo = (req) => ({
+  user_agent: (req.get('user-agent') || '').slice(0, 300) || null,
+  ip_address: req.ip || null
+});
+
+// handle is included so clients notice a rename made on another device
+const tokens = (user, sessionId, refreshToken) => ({
+  token: generateToken(user.id, user.handle, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  handle: user.handle
+});
+
+// Start a session for a user who just signed in. Returns
+// { token, refreshToken, expiresIn, handle }.
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const result = await statements.createSession.run({
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    expires_at: expiresAt(),
+    ...clientInfo(req)
+  });
+  console.log(`🎟️ Session ${result.lastInsertRowid} started for user ${user.id}`);
+  return tokens(user, result.lastInsertRowid, refreshToken);
+};
+
+// A single-use code that redeemSignInCode trades for a new session. OAuth
+// callbacks redirect with this instead of tokens, which would otherwise end
+// up in browser history and server logs.
+const createSignInCode = async (user) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await statements.createSignInCode.run({
+    code_hash: hashToken(code),
+    user_id: user.id,
+    expires_at: toDbTimestamp(new Date(Date.now() + SIGN_IN_CODE_TTL_MS))
+  });
+  return code;
+};
+
+// Start the session a sign-in code stands for. Throws 'Invalid sign-in code'
+// if it is unknown, expired or already used.
+const redeemSignInCode = async (code, req) => {
+  const signIn = await statements.consumeSignInCode.get(hashToken(String(code)), toDbTimestamp(new Date()));
+  const user = signIn && await statements.getUserById.get(signIn.user_id);
+  if (!user) {
+    throw new Error('Invalid sign-in code');
+  }
+  return { ...await createSession(user, req), authType: user.auth_type };
+};
+
+// A code standing for a new Twitter user's profile until they pick a handle
+// (see getPendingSignup). Like sign-in codes, it keeps the profile and
+// anything signed out of the redirect URL.
+const createSignupCode = async (twitterProfile) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await statements.createPendingSignup.run({
+    code_hash: hashToken(code),
+    twitter_id: twitterProfile.twitter_id,
+    twitter_username: twitterProfile.twitter_username,
+    twitter_name: twitterProfile.twitter_name,
+    twitter_profile_image: twitterProfile.twitter_profile_image,
+    expires_at: toDbTimestamp(new Date(Date.now() + SIGNUP_CODE_TTL_MS))
+  });
+  return code;
+};
+
+// The pending sign-up for a code, or null if it is unknown, expired or the
+// account was already created with it. Creating the account must delete it
+// (statements.deletePendingSignup with its code_hash).
+const getPendingSignup = async (code) => {
+  const signup = await statements.getPendingSignup.get(hashToken(String(code)), toDbTimestamp(new Date()));
+  return signup || null;
+};
+
+// Trade a refresh token for a new access token and refresh token. Throws
+// 'Invalid refresh token' if it is unknown, expired, revoked or replayed.
+const refreshSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(String(refreshToken));
+
+  // A lost race against a concurrent refresh is retried once; by then the
+  // token is the session's previous one, inside the grace period
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const session = await statements.getSessionByTokenHash.get(tokenHash);
+    if (!session || session.revoked_at || fromDbTimestamp(session.expires_at) <= new Date()) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const isReplacedToken = session.refresh_token_hash !== tokenHash;
+    if (isReplacedToken) {
+      const rotatedAgo = Date.now() - fromDbTimestamp(session.rotated_at).getTime();
+      if (rotatedAgo > REUSE_GRACE_MS) {
+        await statements.revokeSession.run(session.id, session.user_id);
+        console.warn(`🚨 Replaced refresh token reused, revoked session ${session.id}`);
+        throw new Error('Invalid refresh token');
+      }
+    }
+
+    const nextToken = newRefreshToken();
+    const result = await statements.rotateSessionToken.run({
+      id: session.id,
+      seen_token_hash: session.refresh_token_hash,
+      refresh_token_hash: hashToken(nextToken),
+      expires_at: expiresAt(),
+      ...clientInfo(req)
+    });
+
+    if (result.changes === 1) {
+      const user = await statements.getUserById.get(session.user_id);
+      return tokens(user, session.id, nextToken);
+    }
+  }
+
+  throw new Error('Invalid refresh token');
+};
+
+// "Chrome on macOS" from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ];
+  const systems = [
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.split(/[\s/]/)[0];
+};
+
+// The user's live sessions for the API, marking the one making the request
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await statements.getActiveSessionsByUserId.all(userId, toDbTimestamp(new Date()));
+  return sessions.map(session => ({
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    current: session.id === currentSessionId
+  }));
+};
+
+const purgeStaleSessions = async () => {
+  const now = toDbTimestamp(new Date());
+  const result = await statements.deleteStaleSessions.run(now);
+  if (result.changes > 0) {
+    console.log(`🧹 Purged ${result.changes} expired or revoked session(s)`);
+  }
+  await statements.deleteStaleSignInCodes.run(now);
+  await statements.deleteStalePendingSignups.run(now);
+};
+
+// Drop expired and revoked sessions (and used sign-in codes and expired
+// sign-ups) now and every hour
+const startSessionCleanup = () => {
+  const run = () => purgeStaleSessions().catch((error) => {
+    console.error('❌ Session cleanup failed:', error);
+  });
+
+  run();
+  const timer = setInterval(run, CLEANUP_INTERVAL);
+  timer.unref();
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  createSignInCode,
+  redeemSignInCode,
+  createSignupCode,
+  getPendingSignup,
+  listSessions,
+  describeDevice,
+  startSessionCleanup
+};
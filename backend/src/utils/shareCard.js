@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { Resvg } = require('@resvg/resvg-js');
+
+// Share card for a single answer, rendered to PNG in-process so link previews
+// on X/Telegram show the Q&A itself. 1200x630 is the size both expect.
+const WIDTH = 1200;
+const HEIGHT = 630;
+const FONT_FAMILY = 'DejaVu Sans';
+
+// Rendering takes tens of milliseconds, so keep the most recent cards. Keys
+// include the revision and author, so edits get a fresh card.
+const CACHE_SIZE = 100;
+const cache = new Map();
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// SVG text doesn't wrap, so break lines on an estimated character width
+// (about 0.55em for DejaVu Sans) and end the last line with … if cut short
+const wrapText = (text, fontSize, maxWidth, maxLines) => {
+  const maxChars = Math.floor(maxWidth / (fontSize * 0.55));
+  const words = String(text).replace(/\s+/g, ' ').trim().split(' ');
+  const lines = [];
+  let line = '';
+  let truncated = false;
+
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    if (lines.length === maxLines) {
+      line = '';
+      truncated = true;
+      break;
+    }
+    line = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word;
+  }
+  if (line) lines.push(line);
+
+  if (truncated) {
+    const last = lines[lines.length - 1];
+    lines[lines.length - 1] = last.length < maxChars
+      ? `${last}…`
+      : `${last.slice(0, maxChars - 1).replace(/\s+\S*$/, '')}…`;
+  }
+  return lines;
+};
+
+const textBlock = (lines, { x, y, fontSize, lineHeight, fill, weight = 'normal' }) => lines
+  .map((line, index) =>
+    `<text x="${x}" y="${y + index * lineHeight}" font-size="${fontSize}" font-weight="${weight}" fill="${fill}">${escapeXml(line)}</text>`)
+  .join('');
+
+const buildSvg = ({ handle, name, questionText, answerText, siteName }) => {
+  const questionLines = wrapText(questionText, 28, 1000, 2);
+  const answerTop = 220 + questionLines.length * 38 + 30;
+  // Whatever room the question leaves above the footer
+  const answerLines = wrapText(answerText, 36, 980, Math.floor((HEIGHT - 130 - answerTop) / 48) + 1);
+  const initial = (name || handle).charAt(0).toUpperCase();
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${FONT_FAMILY}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#3b82f6"/>
+      <stop offset="1" stop-color="#4f46e5"/>
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>
+  <rect x="40" y="40" width="${WIDTH - 80}" height="${HEIGHT - 80}" rx="24" fill="#ffffff"/>
+  <circle cx="124" cy="124" r="36" fill="#dbeafe"/>
+  <text x="124" y="137" font-size="36" font-weight="bold" fill="#2563eb" text-anchor="middle">${escapeXml(initial)}</text>
+  ${textBlock([name || `@${handle}`], { x: 180, y: name ? 118 : 135, fontSize: 30, lineHeight: 0, fill: '#111827', weight: 'bold' })}
+  ${name ? textBlock([`@${handle}`], { x: 180, y: 152, fontSize: 24, lineHeight: 0, fill: '#6b7280' }) : ''}
+  ${textBlock(questionLines, { x: 100, y: 220, fontSize: 28, lineHeight: 38, fill: '#4b5563' })}
+  <rect x="88" y="${answerTop - 32}" width="6" height="${answerLines.length * 48 - 4}" rx="3" fill="#93c5fd"/>
+  ${textBlock(answerLines, { x: 110, y: answerTop, fontSize: 36, lineHeight: 48, fill: '#111827' })}
+  <text x="${WIDTH - 100}" y="${HEIGHT - 76}" font-size="26" font-weight="bold" fill="#2563eb" text-anchor="end">${escapeXml(siteName)}</text>
+</svg>`;
+};
+
+// Everything on the card that can change
+const cardKey = (answer, user) => `${answer.id}:${answer.revision}:${user.handle}:${user.twitter_name || ''}`;
+
+// ETag for a card, known without rendering it
+const answerCardEtag = (answer, user) =>
+  `"${crypto.createHash('sha1').update(cardKey(answer, user)).digest('base64url')}"`;
+
+// PNG for an answer row (with its author). Throws if rendering fails.
+const renderAnswerCard = (answer, user, siteName = 'TraderFM') => {
+  const key = cardKey(answer, user);
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const svg = buildSvg({
+    handle: user.handle,
+    name: user.twitter_name,
+    questionText: `Anonymous asked: ${answer.question_text}`,
+    answerText: answer.answer_text,
+    siteName
+  });
+
+  const png = new Resvg(svg, {
+    fitTo: { mode: 'width', value: WIDTH },
+    font: { loadSystemFonts: true, defaultFontFamily: FONT_FAMILY }
+  }).render().asPng();
+
+  cache.set(key, png);
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return png;
+};
+
+module.exports = {
+  answerCardEtag,
+  renderAnswerCard
+};
@@ -0,0 +1,34 @@
+// Keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Turn a response into a Server-Sent Events stream. Returns a send(event)
+// function for { id, type, data } events; cleanup runs when the client leaves.
+const openEventStream = (req, res, cleanup) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 3000\n\n');
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    cleanup();
+  });
+
+  return (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+};
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,205 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool, types } = require('pg');
+
+// Return BIGINT (COUNT/SUM) and NUMERIC as numbers, and TIMESTAMP as the raw
+// 'YYYY-MM-DD HH:MM:SS' string, so rows look the same as they do from SQLite
+types.setTypeParser(20, (value) => parseInt(value, 10));
+types.setTypeParser(1700, (value) => parseFloat(value));
+types.setTypeParser(1114, (value) => value);
+
+// Arbitrary key for pg_advisory_lock, shared by every app instance
+const MIGRATION_LOCK_KEY = 4801735;
+
+// Wait before reconnecting a LISTEN connection that dropped
+const LISTEN_RETRY_MS = 5000;
+
+// Queries are written for SQLite with ? placeholders. Rewrite them to $1, $2...
+// leaving anything inside quotes alone.
+const convertPlaceholders = (sql) => {
+  let index = 0;
+  let quote = null;
+  let result = '';
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      result += `$${++index}`;
+      continue;
+    }
+    result += char;
+  }
+
+  return result;
+};
+
+// Schema statements use SQLite types. Translate the ones Postgres lacks.
+const convertSchema = (sql) => sql
+  .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+  .replace(/\bDATETIME\b/gi, 'TIMESTAMP');
+
+// PostgreSQL storage adapter. Lets several app instances share one database.
+class PostgresStorage {
+  constructor(connectionString) {
+    this.dialect = 'postgres';
+    this.pool = new Pool({
+      connectionString,
+      // Store and compare CURRENT_TIMESTAMP in UTC, as SQLite does
+      options: '-c timezone=UTC'
+    });
+    this.pool.on('error', (error) => {
+      console.error('❌ PostgreSQL pool error:', error);
+    });
+
+    // Client of the transaction the current async call chain is running in
+    this.transactionClient = new AsyncLocalStorage();
+
+    // Connections held open by listen()
+    this.listeners = [];
+    this.closed = false;
+  }
+
+  async connect() {
+    const client = await this.pool.connect();
+    client.release();
+    console.log('✅ PostgreSQL connection pool ready');
+  }
+
+  query(sql, params = []) {
+    const client = this.transactionClient.getStore() || this.pool;
+    return client.query(convertPlaceholders(sql), params);
+  }
+
+  // Resolves with { lastID, changes } like the SQLite adapter. Inserts return
+  // the new row so its id can be reported.
+  async run(sql, params = []) {
+    const isInsert = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+    const result = await this.query(isInsert ? `${sql} RETURNING *` : sql, params);
+
+    return {
+      lastID: isInsert && result.rows[0] ? result.rows[0].id : undefined,
+      changes: result.rowCount
+    };
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  // Schema statements, no parameters
+  async exec(sql) {
+    const client = this.transactionClient.getStore() || this.pool;
+    await client.query(convertSchema(sql));
+  }
+
+  // Checks out a dedicated client; every query made inside the callback
+  // (however deep) runs on it
+  async transaction(callback) {
+    if (this.transactionClient.getStore()) {
+      return callback();
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await this.transactionClient.run(client, callback);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Instances starting together wait here so only one of them migrates
+  async withMigrationLock(callback) {
+    const client = await this.pool.connect();
+    try {
+      console.log('🔒 Waiting for migration lock...');
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      return await callback();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async tableExists(table) {
+    const row = await this.get(
+      "SELECT 1 AS found FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?",
+      [table]
+    );
+    return !!row;
+  }
+
+  async getColumns(table) {
+    const rows = await this.all(
+      'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?',
+      [table]
+    );
+    return rows.map(row => row.column_name);
+  }
+
+  // Whether error is an insert or update that would duplicate column's value
+  isUniqueViolation(error, table, column) {
+    return error?.code === '23505' && error.table === table &&
+      /^Key \((.*?)\)=/.exec(error.detail || '')?.[1] === column;
+  }
+
+  // Calls onMessage with the payload of every NOTIFY on channel, sent by
+  // any instance (this one included). Holds a connection of its own and
+  // reconnects if it drops; notifications sent meanwhile are lost.
+  async listen(channel, onMessage) {
+    const client = await this.pool.connect();
+    const drop = (error) => {
+      if (!this.listeners.includes(client)) return;
+      this.listeners = this.listeners.filter(listener => listener !== client);
+      client.release(error);
+    };
+
+    client.on('notification', (message) => {
+      if (message.channel === channel) onMessage(message.payload);
+    });
+    client.on('error', (error) => {
+      console.error(`❌ PostgreSQL LISTEN ${channel} error:`, error.message);
+      drop(error);
+
+      const reconnect = () => {
+        if (this.closed) return;
+        this.listen(channel, onMessage).catch(() => setTimeout(reconnect, LISTEN_RETRY_MS));
+      };
+      setTimeout(reconnect, LISTEN_RETRY_MS);
+    });
+
+    this.listeners.push(client);
+    try {
+      await client.query(`LISTEN "${channel}"`);
+    } catch (error) {
+      drop(error);
+      throw error;
+    }
+  }
+
+  async notify(channel, payload) {
+    await this.pool.query('SELECT pg_notify($1, $2)', [channel, payload]);
+  }
+
+  async close() {
+    this.closed = true;
+    this.listeners.forEach(client => client.release());
+    this.listeners = [];
+    await this.pool.end();
+  }
+}
+
+module.exports = PostgresStorage;
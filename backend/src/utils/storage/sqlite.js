@@ -0,0 +1,170 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+// SQLite storage adapter. Used for local development, single-instance
+// deployments with a volume, and tests (filename ':memory:').
+class SqliteStorage {
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+
+    // Set while the current async call chain is inside transaction()
+    this.activeTransaction = new AsyncLocalStorage();
+
+    // Resolves when the open transaction (if any) commits or rolls back
+    this.openTransaction = null;
+  }
+
+  async connect() {
+    if (this.db) return;
+
+    if (this.filename !== ':memory:') {
+      const dataDir = path.dirname(this.filename);
+      console.log('📁 Database directory:', dataDir);
+
+      try {
+        if (!fs.existsSync(dataDir)) {
+          console.log('📁 Creating data directory...');
+          fs.mkdirSync(dataDir, { recursive: true });
+          console.log('✅ Data directory created');
+        } else {
+          console.log('✅ Data directory exists');
+        }
+      } catch (error) {
+        console.error('❌ Failed to create data directory:', error);
+      }
+    }
+
+    console.log('🗄️ Database path:', this.filename);
+
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.filename, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+        if (err) {
+          console.error('❌ Failed to open database:', err);
+          console.error('Database path:', this.filename);
+          reject(err);
+        } else {
+          console.log('✅ SQLite database connection created');
+          resolve(db);
+        }
+      });
+    });
+
+    this.getAsync = promisify(this.db.get.bind(this.db));
+    this.allAsync = promisify(this.db.all.bind(this.db));
+    this.execAsync = promisify(this.db.exec.bind(this.db));
+
+    // Enable foreign keys
+    await this.exec('PRAGMA foreign_keys = ON');
+    console.log('✅ Foreign keys enabled');
+  }
+
+  // The connection is shared, so a query from outside the open transaction
+  // would become part of it (and be rolled back with it). Such queries wait
+  // for it to finish.
+  async waitForTransaction() {
+    while (this.openTransaction && !this.activeTransaction.getStore()) {
+      await this.openTransaction;
+    }
+  }
+
+  // Resolves with { lastID, changes } like sqlite3's statement context
+  async run(sql, params = []) {
+    await this.waitForTransaction();
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({
+            lastID: this.lastID,
+            changes: this.changes
+          });
+        }
+      });
+    });
+  }
+
+  async get(sql, params = []) {
+    await this.waitForTransaction();
+    return this.getAsync(sql, params);
+  }
+
+  async all(sql, params = []) {
+    await this.waitForTransaction();
+    return this.allAsync(sql, params);
+  }
+
+  // Schema statements, no parameters
+  async exec(sql) {
+    await this.waitForTransaction();
+    return this.execAsync(sql);
+  }
+
+  // A single connection is shared by the whole process, so the callback's
+  // queries run between BEGIN and COMMIT on it, one transaction at a time.
+  // Nested calls join the outer transaction.
+  async transaction(callback) {
+    if (this.activeTransaction.getStore()) {
+      return callback();
+    }
+
+    // Nothing is awaited between finding no open transaction and opening
+    // one, so waiters woken together take turns
+    while (this.openTransaction) {
+      await this.openTransaction;
+    }
+    let finish;
+    this.openTransaction = new Promise((resolve) => {
+      finish = resolve;
+    });
+
+    try {
+      await this.execAsync('BEGIN TRANSACTION');
+      try {
+        const result = await this.activeTransaction.run(true, callback);
+        await this.execAsync('COMMIT');
+        return result;
+      } catch (error) {
+        await this.execAsync('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      this.openTransaction = null;
+      finish();
+    }
+  }
+
+  // Only one process opens the database file, so there is nothing to lock
+  async withMigrationLock(callback) {
+    return callback();
+  }
+
+  async tableExists(table) {
+    const row = await this.get("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [table]);
+    return !!row;
+  }
+
+  async getColumns(table) {
+    const rows = await this.all(`PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+  }
+
+  // Whether error is an insert or update that would duplicate column's value
+  isUniqueViolation(error, table, column) {
+    return error?.code === 'SQLITE_CONSTRAINT' &&
+      /UNIQUE constraint failed: (.*)$/.exec(error.message)?.[1] === `${table}.${column}`;
+  }
+
+  async close() {
+    if (!this.db) return;
+    await promisify(this.db.close.bind(this.db))();
+    this.db = null;
+  }
+}
+
+module.exports = SqliteStorage;
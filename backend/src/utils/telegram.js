@@ -6,6 +6,8 @@ class TelegramService {
     this.botToken = process.env.TELEGRAM_BOT_TOKEN;
     this.baseURL = `https://api.telegram.org/bot${this.botToken}`;
     this.isEnabled = !!this.botToken;
+    // Secret Telegram echoes back on webhook calls
+    this.webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET || null;
     
     if (!this.isEnabled) {
       console.log('⚠️ Telegram notifications disabled - TELEGRAM_BOT_TOKEN not set');
@@ -20,6 +22,11 @@ class TelegramService {
       await axios.post(`${this.baseURL}/setMyCommands`, {
         commands: [
           { command: 'start', description: 'Connect your trader.fm account' },
+          { command: 'inbox', description: 'List your latest unanswered questions' },
+          { command: 'answer', description: 'Answer a question: /answer <id> <text>' },
+          { command: 'stats', description: 'Show your question and answer stats' },
+          { command: 'pause', description: 'Mute question notifications' },
+          { command: 'resume', description: 'Unmute question notifications' },
           { command: 'disconnect', description: 'Disconnect notifications' },
           { command: 'help', description: 'Get help' }
         ]
@@ -29,6 +36,91 @@ class TelegramService {
     }
   }
 
+  // Webhook management - see https://core.telegram.org/bots/api#setwebhook
+  async setWebhook(url, secretToken) {
+    if (!this.isEnabled) return;
+
+    try {
+      const payload = {
+        url,
+        allowed_updates: ['message', 'callback_query']
+      };
+      if (secretToken) {
+        payload.secret_token = secretToken;
+      }
+
+      const response = await axios.post(`${this.baseURL}/setWebhook`, payload);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to set Telegram webhook:', error.response?.data?.description || error.message);
+      throw error;
+    }
+  }
+
+  async deleteWebhook() {
+    if (!this.isEnabled) return;
+
+    try {
+      const response = await axios.post(`${this.baseURL}/deleteWebhook`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete Telegram webhook:', error.response?.data?.description || error.message);
+      throw error;
+    }
+  }
+
+  async getWebhookInfo() {
+    if (!this.isEnabled) return;
+
+    try {
+      const response = await axios.get(`${this.baseURL}/getWebhookInfo`);
+      return response.data.result;
+    } catch (error) {
+      console.error('Failed to get Telegram webhook info:', error.response?.data?.description || error.message);
+      throw error;
+    }
+  }
+
+  // Long polling fallback for local development, when Telegram can't reach us.
+  // Telegram refuses getUpdates while a webhook is set, so it is removed first.
+  async startPolling(onUpdate) {
+    if (!this.isEnabled || this.polling) return;
+
+    await this.deleteWebhook();
+    this.polling = true;
+    console.log('🔄 Telegram long polling started');
+
+    let offset = 0;
+    while (this.polling) {
+      try {
+        const response = await axios.get(`${this.baseURL}/getUpdates`, {
+          params: {
+            offset,
+            timeout: 30,
+            allowed_updates: JSON.stringify(['message', 'callback_query'])
+          },
+          timeout: 40 * 1000
+        });
+
+        for (const update of response.data.result) {
+          offset = update.update_id + 1;
+          try {
+            await onUpdate(update);
+          } catch (error) {
+            console.error('Telegram update handling error:', error);
+          }
+        }
+      } catch (error) {
+        console.error('Telegram polling error:', error.response?.data?.description || error.message);
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+    }
+  }
+
+  stopPolling() {
+    this.polling = false;
+  }
+
   generateConnectionToken(userId) {
     // Generate a secure token for connecting Telegram to user account
     const token = crypto.randomBytes(32).toString('hex');
@@ -36,10 +128,11 @@ class TelegramService {
     return { token, userId, expiresAt };
   }
 
+  // storedToken is a row from telegram_connect_tokens
   validateConnectionToken(token, storedToken) {
     if (!storedToken) return false;
     if (storedToken.token !== token) return false;
-    if (Date.now() > storedToken.expiresAt) return false;
+    if (Date.now() > storedToken.expires_at) return false;
     return true;
   }
 
@@ -72,20 +165,80 @@ Someone just asked you:
 
 👉 Answer it now: ${process.env.FRONTEND_URL || 'https://trader.fm'}/inbox/${userHandle}
 
-<i>Reply to questions to share your insights with the world!</i>`;
+<i>↩️ Reply to this message to publish your answer right from Telegram!</i>`;
 
     return this.sendNotification(chatId, message, {
-      reply_markup: {
-        inline_keyboard: [[
-          {
-            text: '📝 Answer Now',
-            url: `${process.env.FRONTEND_URL || 'https://trader.fm'}/inbox/${userHandle}`
-          }
-        ]]
-      }
+      reply_markup: this.questionKeyboard(question.id, userHandle)
     });
   }
 
+  questionKeyboard(questionId, userHandle, { includeActions = true } = {}) {
+    const rows = [[
+      {
+        text: '📝 Answer Now',
+        url: `${process.env.FRONTEND_URL || 'https://trader.fm'}/inbox/${userHandle}`
+      }
+    ]];
+
+    if (includeActions) {
+      rows.push([
+        { text: '🗑️ Delete', callback_data: `delete:${questionId}` },
+        { text: '⏭️ Skip', callback_data: `skip:${questionId}` }
+      ]);
+    }
+
+    return { inline_keyboard: rows };
+  }
+
+  async answerCallbackQuery(callbackQueryId, text) {
+    if (!this.isEnabled) return;
+
+    try {
+      const response = await axios.post(`${this.baseURL}/answerCallbackQuery`, {
+        callback_query_id: callbackQueryId,
+        text
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to answer Telegram callback query:', error.message);
+      throw error;
+    }
+  }
+
+  async editMessageReplyMarkup(chatId, messageId, replyMarkup) {
+    if (!this.isEnabled) return;
+
+    try {
+      const response = await axios.post(`${this.baseURL}/editMessageReplyMarkup`, {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: replyMarkup
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to edit Telegram message markup:', error.message);
+      throw error;
+    }
+  }
+
+  async editMessageText(chatId, messageId, message) {
+    if (!this.isEnabled) return;
+
+    try {
+      const response = await axios.post(`${this.baseURL}/editMessageText`, {
+        chat_id: chatId,
+        message_id: messageId,
+        text: message,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to edit Telegram message:', error.message);
+      throw error;
+    }
+  }
+
   escapeHtml(text) {
     const map = {
       '&': '&amp;',
@@ -99,12 +252,35 @@ Someone just asked you:
 
   // Process webhook updates from Telegram
   async processUpdate(update) {
+    if (update.callback_query) {
+      // Inline keyboard button press, data looks like "delete:42"
+      const callbackQuery = update.callback_query;
+      const [command, id] = (callbackQuery.data || '').split(':');
+      return {
+        action: 'callback',
+        callbackQueryId: callbackQuery.id,
+        chatId: callbackQuery.message?.chat.id,
+        messageId: callbackQuery.message?.message_id,
+        command,
+        questionId: parseInt(id)
+      };
+    }
+
     if (update.message?.text) {
       const chatId = update.message.chat.id;
       const text = update.message.text;
       const username = update.message.from.username;
 
-      if (text.startsWith('/start ')) {
+      if (update.message.reply_to_message && !text.startsWith('/')) {
+        // Reply to a question notification becomes the answer
+        return {
+          action: 'reply',
+          chatId,
+          messageId: update.message.message_id,
+          replyToMessageId: update.message.reply_to_message.message_id,
+          text
+        };
+      } else if (text.startsWith('/start ')) {
         // Handle connection with token
         const token = text.split(' ')[1];
         return { action: 'connect', chatId, token, username };
@@ -123,14 +299,38 @@ Need help? Visit ${process.env.FRONTEND_URL || 'https://trader.fm'}`
         return { action: 'welcome' };
       } else if (text === '/disconnect') {
         return { action: 'disconnect', chatId };
+      } else if (text === '/inbox') {
+        return { action: 'inbox', chatId };
+      } else if (text === '/stats') {
+        return { action: 'stats', chatId };
+      } else if (text === '/pause') {
+        return { action: 'pause', chatId };
+      } else if (text === '/resume') {
+        return { action: 'resume', chatId };
+      } else if (text === '/answer' || text.startsWith('/answer ')) {
+        // /answer <id> <text>
+        const match = text.match(/^\/answer\s+(\d+)\s+([\s\S]+)$/);
+        if (!match) {
+          await this.sendNotification(chatId, 
+            'Usage: <code>/answer &lt;id&gt; &lt;your answer&gt;</code>\n\nUse /inbox to see question ids.'
+          );
+          return { action: 'usage' };
+        }
+        return { action: 'answer', chatId, questionId: parseInt(match[1]), text: match[2] };
       } else if (text === '/help') {
         await this.sendNotification(chatId,
           `<b>trader.fm Telegram Bot Help</b>
 
 🔔 Get instant notifications when someone asks you a question
+↩️ Reply to a notification to publish your answer
 
 <b>Commands:</b>
 /start - Connect your account
+/inbox - List your latest unanswered questions
+/answer &lt;id&gt; &lt;text&gt; - Answer a question
+/stats - Show your stats
+/pause - Mute notifications
+/resume - Unmute notifications
 /disconnect - Stop notifications
 /help - Show this message
 
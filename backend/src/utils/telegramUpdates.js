@@ -0,0 +1,288 @@
+const { statements } = require('./database');
+const telegramService = require('./telegram');
+const { answerQuestion, deleteQuestion } = require('./questions');
+const { transformStats } = require('./transform');
+
+// Resolve the trader.fm account linked to a chat, replying with an error if there is none
+const getLinkedUser = async (chatId) => {
+  const user = await statements.getUserByTelegramId.get(chatId);
+  if (!user) {
+    await telegramService.sendNotification(chatId, 
+      '❓ This chat isn\'t linked to a trader.fm account. Click "Connect Telegram" in your trader.fm inbox to link it.'
+    );
+  }
+  return user;
+};
+
+// Publish a reply to a question notification as the answer
+const handleReply = async (result) => {
+  const user = await getLinkedUser(result.chatId);
+  if (!user) return;
+  
+  const delivery = await statements.getNotificationDeliveryByMessage.get(result.chatId, result.replyToMessageId);
+  if (!delivery || delivery.user_id !== user.id) {
+    await telegramService.sendNotification(result.chatId, 
+      '🤔 That message isn\'t a question notification. Reply directly to a question to answer it.',
+      { reply_to_message_id: result.messageId }
+    );
+    return;
+  }
+  
+  // Same limits as answerRules
+  const answerText = result.text.trim();
+  if (answerText.length < 1 || answerText.length > 1000) {
+    await telegramService.sendNotification(result.chatId, 
+      '✂️ Answers must be between 1 and 1000 characters. Please try again.',
+      { reply_to_message_id: result.messageId }
+    );
+    return;
+  }
+  
+  let answerId;
+  try {
+    answerId = await answerQuestion(delivery.question_id, user.id, answerText);
+  } catch (error) {
+    if (error.message === 'Question not found' || error.message === 'Question already answered') {
+      await telegramService.sendNotification(result.chatId, 
+        '🤷 This question has already been answered or deleted.',
+        { reply_to_message_id: result.messageId }
+      );
+      return;
+    }
+    throw error;
+  }
+  
+  const answerUrl = `${process.env.FRONTEND_URL || 'https://trader.fm'}/a/${answerId}`;
+  await telegramService.sendNotification(result.chatId, 
+    `✅ Answer published!
+
+👀 See it live: ${answerUrl}`,
+    { reply_to_message_id: result.messageId }
+  );
+  
+  // The Delete/Skip buttons no longer apply
+  await telegramService.editMessageReplyMarkup(result.chatId, result.replyToMessageId, { inline_keyboard: [] })
+    .catch(() => {});
+  
+  console.log(`📲 Answer ${answerId} published from Telegram by @${user.handle}`);
+};
+
+// /inbox - latest unanswered questions with their ids
+const handleInbox = async (result) => {
+  const user = await getLinkedUser(result.chatId);
+  if (!user) return;
+  
+  const questions = await statements.getUnansweredQuestions.all(user.id);
+  if (questions.length === 0) {
+    await telegramService.sendNotification(result.chatId, '📭 Your inbox is empty. Share your link to get more questions!');
+    return;
+  }
+  
+  const latest = questions.slice(0, 10).map(q => 
+    `<b>#${q.id}</b> ${telegramService.escapeHtml(q.text)}`
+  );
+  const more = questions.length > latest.length 
+    ? `\n\n…and ${questions.length - latest.length} more in your inbox.` 
+    : '';
+  
+  await telegramService.sendNotification(result.chatId, 
+    `📬 <b>${questions.length} unanswered ${questions.length === 1 ? 'question' : 'questions'}</b>
+
+${latest.join('\n\n')}${more}
+
+Answer with <code>/answer &lt;id&gt; &lt;text&gt;</code>`
+  );
+};
+
+// /stats - mirrors GET /api/stats/:handle
+const handleStats = async (result) => {
+  const user = await getLinkedUser(result.chatId);
+  if (!user) return;
+  
+  const stats = transformStats(await statements.getUserStats.get(user.id, user.id));
+  
+  await telegramService.sendNotification(result.chatId, 
+    `📊 <b>Stats for @${user.handle}</b>
+
+Questions received: ${stats.totalQuestions}
+Answers shared: ${stats.totalAnswers}
+Awaiting answer: ${stats.unansweredQuestions}`
+  );
+};
+
+// /pause and /resume - mute question notifications
+const handlePause = async (result, paused) => {
+  const user = await getLinkedUser(result.chatId);
+  if (!user) return;
+  
+  await statements.setTelegramNotificationsPaused.run(user.id, paused);
+  
+  await telegramService.sendNotification(result.chatId, paused
+    ? '🔕 Notifications paused. Questions still land in your inbox. Send /resume to turn them back on.'
+    : '🔔 Notifications resumed. You\'ll hear about new questions again.'
+  );
+};
+
+// /answer <id> <text>
+const handleAnswerCommand = async (result) => {
+  const user = await getLinkedUser(result.chatId);
+  if (!user) return;
+  
+  const answerText = result.text.trim();
+  if (answerText.length > 1000) {
+    await telegramService.sendNotification(result.chatId, '✂️ Answers must be between 1 and 1000 characters. Please try again.');
+    return;
+  }
+  
+  let answerId;
+  try {
+    answerId = await answerQuestion(result.questionId, user.id, answerText);
+  } catch (error) {
+    if (error.message === 'Question not found' || error.message === 'Unauthorized') {
+      await telegramService.sendNotification(result.chatId, 
+        `❓ Question #${result.questionId} isn't in your inbox. Use /inbox to see your questions.`
+      );
+      return;
+    }
+    if (error.message === 'Question already answered') {
+      await telegramService.sendNotification(result.chatId, 
+        `✅ Question #${result.questionId} has already been answered.`
+      );
+      return;
+    }
+    throw error;
+  }
+  
+  const answerUrl = `${process.env.FRONTEND_URL || 'https://trader.fm'}/a/${answerId}`;
+  await telegramService.sendNotification(result.chatId, 
+    `✅ Answer published!
+
+👀 See it live: ${answerUrl}`
+  );
+};
+
+// Handle Delete/Skip buttons on question notifications
+const handleCallback = async (result) => {
+  const user = await statements.getUserByTelegramId.get(result.chatId);
+  const question = result.questionId ? await statements.getQuestionById.get(result.questionId) : null;
+  
+  if (!user || !question || question.user_id !== user.id) {
+    await telegramService.answerCallbackQuery(result.callbackQueryId, 'This question is no longer available');
+    await telegramService.editMessageReplyMarkup(result.chatId, result.messageId, { inline_keyboard: [] })
+      .catch(() => {});
+    return;
+  }
+  
+  if (result.command === 'delete') {
+    await deleteQuestion(question);
+    await telegramService.answerCallbackQuery(result.callbackQueryId, '🗑️ Moved to trash');
+    await telegramService.editMessageText(result.chatId, result.messageId, 
+      `🗑️ <i>Moved to trash (restore it from your inbox):</i> <s>${telegramService.escapeHtml(question.text)}</s>`
+    );
+  } else if (result.command === 'skip') {
+    // Leave the question in the inbox, just drop the action buttons
+    await telegramService.answerCallbackQuery(result.callbackQueryId, '⏭️ Skipped – it\'s still in your inbox');
+    await telegramService.editMessageReplyMarkup(result.chatId, result.messageId, 
+      telegramService.questionKeyboard(question.id, user.handle, { includeActions: false })
+    );
+  } else {
+    await telegramService.answerCallbackQuery(result.callbackQueryId);
+  }
+};
+
+// Handle a single Telegram update, whether it came from the webhook or long polling
+const handleUpdate = async (update) => {
+  const result = await telegramService.processUpdate(update);
+  
+  if (result.action === 'connect' && result.token) {
+    // Claim the token (fails if unknown, expired or already used)
+    const tokenData = await statements.consumeTelegramConnectToken.get(result.token);
+    
+    if (telegramService.validateConnectionToken(result.token, tokenData)) {
+      // Update user with telegram chat ID
+      await statements.updateUserTelegramId.run(tokenData.user_id, result.chatId);
+      
+      // Any other outstanding links for this user are now stale
+      await statements.invalidateTelegramConnectTokens.run(tokenData.user_id);
+      
+      // Get user info
+      const user = await statements.getUserById.get(tokenData.user_id);
+      
+      // Send success message
+      await telegramService.sendNotification(result.chatId, 
+        `✅ Success! Your trader.fm account (@${user.handle}) is now connected.
+
+You'll receive notifications here whenever someone asks you a question.
+
+Happy answering! 🎯`
+      );
+    } else {
+      await telegramService.sendNotification(result.chatId, 
+        '❌ Invalid or expired connection link. Please generate a new one from your trader.fm inbox.'
+      );
+    }
+  } else if (result.action === 'disconnect') {
+    // Find user by telegram chat ID
+    const user = await statements.getUserByTelegramId.get(result.chatId);
+    
+    if (user) {
+      await statements.updateUserTelegramId.run(user.id, null);
+      await telegramService.sendNotification(result.chatId, 
+        '👋 Notifications disconnected. You can reconnect anytime from your trader.fm inbox.'
+      );
+    } else {
+      await telegramService.sendNotification(result.chatId, 
+        '❓ No connected account found.'
+      );
+    }
+  } else if (result.action === 'inbox') {
+    await handleInbox(result);
+  } else if (result.action === 'stats') {
+    await handleStats(result);
+  } else if (result.action === 'pause') {
+    await handlePause(result, true);
+  } else if (result.action === 'resume') {
+    await handlePause(result, false);
+  } else if (result.action === 'answer') {
+    await handleAnswerCommand(result);
+  } else if (result.action === 'reply') {
+    await handleReply(result);
+  } else if (result.action === 'callback') {
+    await handleCallback(result);
+  }
+  
+  return result;
+};
+
+// Register the webhook when a public URL is configured, otherwise optionally fall
+// back to long polling (local development without a public URL)
+const startTelegramUpdates = async () => {
+  if (!telegramService.isEnabled) return;
+  
+  const webhookUrl = process.env.TELEGRAM_WEBHOOK_URL;
+  
+  if (webhookUrl) {
+    // Production refuses to start without a secret (see index.js), so this is
+    // only ever unset in development, where the webhook is left open
+    if (!telegramService.webhookSecret) {
+      console.warn('⚠️ TELEGRAM_WEBHOOK_SECRET not set - webhook calls are not verified');
+    }
+    
+    await telegramService.setWebhook(webhookUrl, telegramService.webhookSecret);
+    const info = await telegramService.getWebhookInfo();
+    console.log(`🔗 Telegram webhook registered: ${info?.url} (${info?.pending_update_count || 0} pending updates)`);
+    if (info?.last_error_message) {
+      console.warn('⚠️ Last Telegram webhook error:', info.last_error_message);
+    }
+  } else if (process.env.TELEGRAM_POLLING === 'true') {
+    // Runs until stopPolling() - don't await
+    telegramService.startPolling(handleUpdate).catch((error) => {
+      console.error('❌ Telegram polling stopped:', error);
+    });
+  }
+};
+
+module.exports = {
+  handleUpdate,
+  startTelegramUpdates
+};
@@ -0,0 +1,11 @@
+// Timestamps are stored as CURRENT_TIMESTAMP writes them: UTC, formatted
+// 'YYYY-MM-DD HH:MM:SS' (PostgreSQL may add fractional seconds)
+
+const toDbTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const fromDbTimestamp = (value) => new Date(`${String(value).replace(' ', 'T')}Z`);
+
+module.exports = {
+  toDbTimestamp,
+  fromDbTimestamp
+};
@@ -0,0 +1,60 @@
+// Helpers to transform database rows (snake_case) into API responses (camelCase)
+
+const { toHighlightHtml } = require('./search');
+
+const transformQuestion = (question) => ({
+  id: question.id,
+  userId: question.user_id,
+  text: question.text,
+  ipAddress: question.ip_address,
+  status: question.status,
+  createdAt: question.created_at,
+  answeredAt: question.answered_at
+});
+
+const transformAnswer = (answer) => ({
+  id: answer.id,
+  questionId: answer.question_id,
+  userId: answer.user_id,
+  questionText: answer.question_text,
+  answerText: answer.answer_text,
+  revision: answer.revision,
+  edited: answer.revision > 1,
+  createdAt: answer.created_at,
+  updatedAt: answer.updated_at
+});
+
+const transformRevision = (revision) => ({
+  revision: revision.revision,
+  answerText: revision.answer_text,
+  createdAt: revision.created_at
+});
+
+// Row from searchAnswers. highlights are HTML: escaped text with <mark> around matches.
+const transformSearchResult = (row) => ({
+  ...transformAnswer(row),
+  userHandle: row.user_handle,
+  userProfileImage: row.twitter_profile_image,
+  highlights: {
+    questionText: toHighlightHtml(row.question_highlight),
+    answerText: toHighlightHtml(row.answer_snippet)
+  }
+});
+
+// Row from getUserStats
+const transformStats = (stats) => ({
+  totalQuestions: stats.total_questions,
+  totalAnswers: stats.total_answers,
+  unansweredQuestions: stats.pending_questions,
+  answeredQuestions: stats.answered_questions,
+  dismissedQuestions: stats.dismissed_questions,
+  archivedQuestions: stats.archived_questions
+});
+
+module.exports = {
+  transformQuestion,
+  transformAnswer,
+  transformRevision,
+  transformSearchResult,
+  transformStats
+};
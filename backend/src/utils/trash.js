@@ -0,0 +1,64 @@
+const { statements } = require('./database');
+const { transformQuestion, transformAnswer } = require('./transform');
+const { toDbTimestamp, fromDbTimestamp } = require('./timestamps');
+
+// Deleted questions and answers can be restored for this long
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// How often the purge runs
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+const retentionCutoff = () => toDbTimestamp(new Date(Date.now() - TRASH_RETENTION_MS));
+
+const withTrashDates = (item, row) => ({
+  ...item,
+  deletedAt: row.deleted_at,
+  purgeAt: new Date(fromDbTimestamp(row.deleted_at).getTime() + TRASH_RETENTION_MS).toISOString()
+});
+
+// Everything in a user's trash, most recently deleted first
+const getTrash = async (userId) => {
+  const since = retentionCutoff();
+  const [questions, answers] = await Promise.all([
+    statements.getDeletedQuestions.all(userId, since),
+    statements.getDeletedAnswers.all(userId, since)
+  ]);
+
+  return {
+    retentionDays: TRASH_RETENTION_DAYS,
+    questions: questions.map(q => withTrashDates(transformQuestion(q), q)),
+    answers: answers.map(a => withTrashDates(transformAnswer(a), a))
+  };
+};
+
+// Permanently delete anything that has been in the trash too long
+const purgeTrash = async () => {
+  const before = retentionCutoff();
+  const [answers, questions] = await Promise.all([
+    statements.purgeDeletedAnswers.run(before),
+    statements.purgeDeletedQuestions.run(before)
+  ]);
+
+  if (answers.changes || questions.changes) {
+    console.log(`🧹 Purged ${questions.changes} question(s) and ${answers.changes} answer(s) from the trash`);
+  }
+};
+
+// Purge now and then every hour. Safe to run on several instances at once.
+const startTrashPurge = () => {
+  const run = () => purgeTrash().catch((error) => {
+    console.error('❌ Trash purge failed:', error);
+  });
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL);
+  timer.unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getTrash,
+  purgeTrash,
+  startTrashPurge
+};
@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { db, startApp } = require('./helpers');
+const { actorId } = require('../src/utils/activitypub');
+
+// Inbox deliveries signed by a stub remote server on 127.0.0.1
+const VICTIM = 'https://mastodon.social/users/victim';
+
+let app;
+let stub;
+let stubUrl;
+let localUser;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+// Actor documents the stub serves, by path
+const stubActors = {};
+
+const actorDoc = (id, { keyId = `${id}#main-key`, keyOwner = id } = {}) => ({
+  '@context': 'https://www.w3.org/ns/activitystreams',
+  id,
+  type: 'Person',
+  inbox: `${stubUrl}/inbox`,
+  publicKey: { id: keyId, owner: keyOwner, publicKeyPem: publicKey }
+});
+
+before(async () => {
+  stub = http.createServer((req, res) => {
+    const actor = stubActors[req.url];
+    if (!actor) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.setHeader('Content-Type', 'application/activity+json');
+    res.end(JSON.stringify(actor));
+  });
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  stubUrl = `http://127.0.0.1:${stub.address().port}`;
+
+  app = await startApp({ '/': require('../src/routes/activitypub') });
+  const result = await db.statements.createUser.run({ handle: 'alice', secret_key: 'x' });
+  localUser = { id: result.lastInsertRowid };
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => stub.close(resolve));
+});
+
+// POST a Follow (or other activity) to alice's inbox, signed with the stub's
+// key under keyId. Resolves with the status code.
+const deliver = (activity, keyId) => {
+  const url = new URL(`${app.baseUrl}/ap/users/${localUser.id}/inbox`);
+  const body = JSON.stringify(activity);
+  const headers = {
+    host: url.host,
+    date: new Date().toUTCString(),
+    digest: `SHA-256=${crypto.createHash('sha256').update(body).digest('base64')}`
+  };
+  const signingString = [
+    `(request-target): post ${url.pathname}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+  ].join('\n');
+  const signature = crypto.sign('sha256', Buffer.from(signingString), privateKey).toString('base64');
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'content-type': 'application/activity+json',
+        signature: `keyId="${keyId}",algorithm="rsa-sha256",headers="(request-target) host date digest",signature="${signature}"`
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+const follow = (actor) => ({
+  '@context': 'https://www.w3.org/ns/activitystreams',
+  id: `${actor}#follow-${crypto.randomUUID()}`,
+  type: 'Follow',
+  actor,
+  object: actorId(localUser.id)
+});
+
+const followers = async () =>
+  (await db.storage.all('SELECT actor_id FROM activitypub_followers WHERE user_id = ?', [localUser.id]))
+    .map(row => row.actor_id);
+
+test('a Follow signed by the actor it names is stored', async () => {
+  const id = `${stubUrl}/actor`;
+  stubActors['/actor'] = actorDoc(id);
+
+  assert.strictEqual(await deliver(follow(id), `${id}#main-key`), 202);
+  assert.ok((await followers()).includes(id));
+});
+
+test('a Follow from an actor whose inbox we won\'t connect to is refused', async () => {
+  const id = `${stubUrl}/unreachable`;
+  stubActors['/unreachable'] = { ...actorDoc(id), inbox: 'file:///etc/passwd' };
+
+  assert.strictEqual(await deliver(follow(id), `${id}#main-key`), 400);
+  assert.ok(!(await followers()).includes(id));
+});
+
+test('a shared inbox we won\'t connect to isn\'t stored', async () => {
+  const id = `${stubUrl}/shared`;
+  stubActors['/shared'] = { ...actorDoc(id), endpoints: { sharedInbox: 'file:///etc/passwd' } };
+
+  assert.strictEqual(await deliver(follow(id), `${id}#main-key`), 202);
+  const row = await db.storage.get('SELECT shared_inbox_url FROM activitypub_followers WHERE actor_id = ?', [id]);
+  assert.strictEqual(row.shared_inbox_url, null);
+});
+
+// Served at the stub's URL, but says it is the victim
+const impostorKeyId = () => `${stubUrl}/impostor#main-key`;
+const serveImpostor = () => {
+  stubActors['/impostor'] = actorDoc(VICTIM, { keyId: impostorKeyId(), keyOwner: VICTIM });
+};
+
+test('a key document claiming another actor\'s id is refused', async () => {
+  serveImpostor();
+
+  assert.strictEqual(await deliver(follow(VICTIM), impostorKeyId()), 401);
+  assert.ok(!(await followers()).includes(VICTIM));
+});
+
+test('a key owned by someone else is refused', async () => {
+  const id = `${stubUrl}/borrowed`;
+  stubActors['/borrowed'] = actorDoc(id, { keyOwner: VICTIM });
+
+  assert.strictEqual(await deliver(follow(id), `${id}#main-key`), 401);
+  assert.ok(!(await followers()).includes(id));
+});
+
+test('an impostor can\'t Undo a real follower\'s Follow', async () => {
+  serveImpostor();
+  await db.statements.addActivityPubFollower.run({
+    user_id: localUser.id,
+    actor_id: VICTIM,
+    inbox_url: 'https://mastodon.social/users/victim/inbox',
+    shared_inbox_url: null,
+    follow_activity_id: null
+  });
+  const undo = {
+    id: `${VICTIM}#undo`,
+    type: 'Undo',
+    actor: VICTIM,
+    object: { type: 'Follow', actor: VICTIM, object: actorId(localUser.id) }
+  };
+
+  assert.strictEqual(await deliver(undo, impostorKeyId()), 401);
+  assert.ok((await followers()).includes(VICTIM));
+});
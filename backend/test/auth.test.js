@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp, request } = require('./helpers');
+
+// Secret-key sign-up and sign-in, sessions with rotating refresh tokens, and
+// recovery codes
+let app;
+let call;
+
+before(async () => {
+  app = await startApp({
+    '/api/users': require('../src/routes/users'),
+    '/api/sessions': require('../src/routes/sessions')
+  });
+  call = (method, path, options) => request(app.baseUrl, method, path, options);
+});
+
+after(() => app.close());
+
+const createUser = async (handle, recoveryCodes = false) => {
+  const created = await call('POST', '/api/users/create', { body: { handle, recoveryCodes } });
+  assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+  return created.body;
+};
+
+const signIn = async (handle, secretKey) => {
+  const signedIn = await call('POST', '/api/users/auth', { body: { handle, secretKey } });
+  assert.strictEqual(signedIn.status, 200, JSON.stringify(signedIn.body));
+  return signedIn.body;
+};
+
+test('a new handle gets a secret key that signs in', async () => {
+  const { secretKey, recoveryCodes } = await createUser('alice');
+  assert.ok(secretKey);
+  assert.strictEqual(recoveryCodes, undefined);
+
+  const session = await signIn('alice', secretKey);
+  assert.ok(session.token);
+  assert.ok(session.refreshToken);
+
+  const wrongKey = await call('POST', '/api/users/auth', { body: { handle: 'alice', secretKey: 'nope' } });
+  assert.strictEqual(wrongKey.status, 401);
+
+  const taken = await call('POST', '/api/users/create', { body: { handle: 'alice' } });
+  assert.strictEqual(taken.status, 400);
+});
+
+test('refresh tokens rotate, and a replayed one revokes the session', async () => {
+  const { secretKey } = await createUser('bobby');
+  const session = await signIn('bobby', secretKey);
+
+  const refreshed = await call('POST', '/api/sessions/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.strictEqual(refreshed.status, 200);
+  assert.notStrictEqual(refreshed.body.refreshToken, session.refreshToken);
+  assert.strictEqual(refreshed.body.handle, 'bobby');
+
+  const sessions = await call('GET', '/api/sessions', { token: refreshed.body.token });
+  assert.strictEqual(sessions.status, 200);
+  assert.strictEqual(sessions.body.sessions.length, 1);
+  assert.strictEqual(sessions.body.sessions[0].current, true);
+
+  // Replayed after the grace period: treated as stolen
+  const { db } = require('./helpers');
+  await db.storage.run("UPDATE sessions SET rotated_at = '2000-01-01 00:00:00.000'", []);
+  const replayed = await call('POST', '/api/sessions/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.strictEqual(replayed.status, 401);
+
+  const revoked = await call('POST', '/api/sessions/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.strictEqual(revoked.status, 401);
+  const signedOut = await call('GET', '/api/sessions', { token: refreshed.body.token });
+  assert.strictEqual(signedOut.status, 401);
+});
+
+test('signing out revokes only the current session', async () => {
+  const { secretKey } = await createUser('carol');
+  const first = await signIn('carol', secretKey);
+  const second = await signIn('carol', secretKey);
+
+  const signedOut = await call('DELETE', '/api/sessions/current', { token: first.token });
+  assert.strictEqual(signedOut.status, 200);
+
+  assert.strictEqual((await call('GET', '/api/sessions', { token: first.token })).status, 401);
+  assert.strictEqual((await call('GET', '/api/sessions', { token: second.token })).status, 200);
+});
+
+test('a recovery code signs in once, replaces the secret key and signs out other sessions', async () => {
+  const { secretKey, recoveryCodes } = await createUser('dave', true);
+  assert.strictEqual(recoveryCodes.length, 10);
+  const oldSession = await signIn('dave', secretKey);
+
+  const recovered = await call('POST', '/api/users/recover', {
+    body: { handle: 'dave', recoveryCode: recoveryCodes[0].toUpperCase() }
+  });
+  assert.strictEqual(recovered.status, 200, JSON.stringify(recovered.body));
+  assert.strictEqual(recovered.body.recoveryCodesLeft, 9);
+  assert.notStrictEqual(recovered.body.secretKey, secretKey);
+
+  const reused = await call('POST', '/api/users/recover', { body: { handle: 'dave', recoveryCode: recoveryCodes[0] } });
+  assert.strictEqual(reused.status, 401);
+
+  assert.strictEqual((await call('GET', '/api/sessions', { token: oldSession.token })).status, 401);
+  assert.strictEqual((await call('POST', '/api/users/auth', { body: { handle: 'dave', secretKey } })).status, 401);
+  await signIn('dave', recovered.body.secretKey);
+});
+
+test('rotating the secret key keeps the current session and ends the others', async () => {
+  const { secretKey } = await createUser('erin');
+  const current = await signIn('erin', secretKey);
+  const other = await signIn('erin', secretKey);
+
+  const rotated = await call('POST', '/api/users/me/rotate-key', { token: current.token });
+  assert.strictEqual(rotated.status, 200, JSON.stringify(rotated.body));
+
+  assert.strictEqual((await call('GET', '/api/sessions', { token: current.token })).status, 200);
+  assert.strictEqual((await call('GET', '/api/sessions', { token: other.token })).status, 401);
+  await signIn('erin', rotated.body.secretKey);
+});
+
+test('new recovery codes replace the old ones', async () => {
+  const { secretKey, recoveryCodes } = await createUser('frank', true);
+  const session = await signIn('frank', secretKey);
+
+  const issued = await call('POST', '/api/users/me/recovery-codes', { token: session.token });
+  assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+
+  const old = await call('POST', '/api/users/recover', { body: { handle: 'frank', recoveryCode: recoveryCodes[0] } });
+  assert.strictEqual(old.status, 401);
+  const fresh = await call('POST', '/api/users/recover', { body: { handle: 'frank', recoveryCode: issued.body.recoveryCodes[0] } });
+  assert.strictEqual(fresh.status, 200);
+});
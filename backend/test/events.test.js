@@ -0,0 +1,52 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const activityEvents = require('../src/utils/events');
+
+// Stands in for PostgreSQL's LISTEN/NOTIFY
+const bus = { listener: null, sent: [] };
+const sharedStorage = {
+  listen: async (channel, onMessage) => {
+    bus.listener = onMessage;
+  },
+  notify: async (channel, payload) => {
+    bus.sent.push(JSON.parse(payload));
+  }
+};
+
+const nextEvent = (channel) => new Promise(resolve => activityEvents.once(channel, resolve));
+
+before(async () => {
+  await activityEvents.connect(sharedStorage);
+});
+
+test('published events are emitted here and shared with other instances', async () => {
+  const received = nextEvent('user:1');
+  const event = activityEvents.publishToUser(1, 'question.created', { id: 5 });
+
+  assert.deepStrictEqual(await received, event);
+  assert.deepStrictEqual(bus.sent.at(-1), { instance: activityEvents.instanceId, channel: 'user:1', event });
+});
+
+test('events from other instances are emitted and buffered', async () => {
+  const event = { id: activityEvents.lastId + 10, type: 'user', data: { handle: 'bob' } };
+  const received = nextEvent('activity');
+  bus.listener(JSON.stringify({ instance: 'another', channel: 'activity', event }));
+
+  assert.deepStrictEqual(await received, event);
+  assert.deepStrictEqual(activityEvents.getEventsSince(event.id - 1), [event]);
+  // Ids published here keep increasing past it
+  assert.ok(activityEvents.publish('user', {}).id > event.id);
+});
+
+test('this instance\'s own notifications are ignored', () => {
+  const event = activityEvents.publish('user', {});
+  let emitted = 0;
+  const count = () => { emitted++; };
+  activityEvents.on('activity', count);
+
+  bus.listener(JSON.stringify(bus.sent.at(-1)));
+  activityEvents.off('activity', count);
+  assert.strictEqual(emitted, 0);
+  assert.strictEqual(activityEvents.getEventsSince(event.id - 1).length, 1);
+});
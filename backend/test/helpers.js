@@ -0,0 +1,73 @@
+// Shared setup for the backend tests. Each test file runs in its own
+// process (node --test), so every file gets a fresh in-memory database.
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.NODE_ENV = 'test';
+
+// The app logs a lot, and on Node 20 child process output can garble the
+// test runner's own messages. TEST_LOGS=1 shows it.
+if (!process.env.TEST_LOGS) {
+  ['log', 'info', 'warn', 'error'].forEach((method) => {
+    console[method] = () => {};
+  });
+}
+
+const express = require('express');
+const db = require('../src/utils/database');
+
+// Run the migrations once per process
+let initialized = null;
+const initDatabase = () => {
+  if (!initialized) {
+    initialized = db.init();
+  }
+  return initialized;
+};
+
+// An app with the given routers mounted, listening on a free port. Resolves
+// with { baseUrl, close }.
+const startApp = async (routes) => {
+  await initDatabase();
+
+  const app = express();
+  app.set('trust proxy', 1);
+  // As in index.js: inbox signatures cover the raw body
+  app.use(express.json({
+    type: ['application/json', 'application/activity+json', 'application/ld+json'],
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router);
+  }
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+// JSON request; resolves with { status, body }
+const request = async (baseUrl, method, path, { body, token } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+module.exports = {
+  db,
+  initDatabase,
+  startApp,
+  request
+};
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { db, initDatabase } = require('./helpers');
+const { runMigrations, rollbackMigrations, getMigrationStatus } = require('../src/utils/migrations');
+
+const migrationFiles = fs.readdirSync(path.join(__dirname, '../src/migrations'))
+  .filter(file => /^\d+-[\w-]+\.js$/.test(file));
+
+test('init applies every migration', async () => {
+  await initDatabase();
+
+  const status = await getMigrationStatus(db.storage);
+  assert.strictEqual(status.length, migrationFiles.length);
+  assert.ok(status.every(migration => migration.state === 'applied'), JSON.stringify(status));
+});
+
+test('running migrations again does nothing', async () => {
+  await initDatabase();
+
+  assert.deepStrictEqual(await runMigrations(db.storage), []);
+});
+
+test('every migration rolls back and applies again', async () => {
+  await initDatabase();
+
+  const rolledBack = await rollbackMigrations(db.storage, { steps: migrationFiles.length });
+  assert.strictEqual(rolledBack.length, migrationFiles.length);
+  assert.strictEqual(await db.storage.tableExists('sessions'), false);
+
+  const applied = await runMigrations(db.storage);
+  assert.strictEqual(applied.length, migrationFiles.length);
+  assert.strictEqual(await db.storage.tableExists('sessions'), true);
+});
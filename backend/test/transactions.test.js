@@ -0,0 +1,87 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { db, initDatabase } = require('./helpers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const { storage } = db;
+
+const values = async () => (await storage.all('SELECT value FROM transaction_test ORDER BY value')).map(row => row.value);
+
+before(async () => {
+  await initDatabase();
+  await storage.exec('CREATE TABLE transaction_test (value INTEGER)');
+});
+
+test('a failed transaction is rolled back', async () => {
+  await storage.run('DELETE FROM transaction_test');
+
+  await assert.rejects(storage.transaction(async () => {
+    await storage.run('INSERT INTO transaction_test VALUES (1)');
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.deepStrictEqual(await values(), []);
+});
+
+test('nested transactions join the outer one', async () => {
+  await storage.run('DELETE FROM transaction_test');
+
+  await assert.rejects(storage.transaction(async () => {
+    await storage.transaction(async () => {
+      await storage.run('INSERT INTO transaction_test VALUES (1)');
+    });
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.deepStrictEqual(await values(), []);
+});
+
+test('concurrent transactions run one at a time', async () => {
+  await storage.run('DELETE FROM transaction_test');
+
+  const results = await Promise.allSettled([
+    storage.transaction(async () => {
+      await storage.run('INSERT INTO transaction_test VALUES (1)');
+      await sleep(20);
+      await storage.run('INSERT INTO transaction_test VALUES (2)');
+    }),
+    storage.transaction(async () => {
+      await storage.run('INSERT INTO transaction_test VALUES (3)');
+      await sleep(5);
+      throw new Error('boom');
+    }),
+    storage.transaction(async () => {
+      await storage.run('INSERT INTO transaction_test VALUES (4)');
+    })
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.strictEqual(results[1].reason.message, 'boom');
+  assert.deepStrictEqual(await values(), [1, 2, 4]);
+});
+
+test('queries from outside a transaction are not rolled back with it', async () => {
+  await storage.run('DELETE FROM transaction_test');
+
+  const failing = assert.rejects(storage.transaction(async () => {
+    await storage.run('INSERT INTO transaction_test VALUES (1)');
+    await sleep(20);
+    throw new Error('boom');
+  }), /boom/);
+  await sleep(5);
+  await storage.run('INSERT INTO transaction_test VALUES (2)');
+
+  await failing;
+  assert.deepStrictEqual(await values(), [2]);
+});
+
+test('db.transaction goes through the adapter', async () => {
+  await storage.run('DELETE FROM transaction_test');
+
+  const transaction = db.db.transaction(async () => {
+    await storage.run('INSERT INTO transaction_test VALUES (1)');
+  });
+  await transaction();
+
+  assert.deepStrictEqual(await values(), [1]);
+});
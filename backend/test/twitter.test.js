@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, startApp, request } = require('./helpers');
+
+// Finishing a first Twitter sign-in: the callback leaves the profile on the
+// server and hands the frontend a code (see createSignupCode)
+process.env.TWITTER_API_KEY = process.env.TWITTER_API_KEY || 'test-key';
+process.env.TWITTER_API_SECRET = process.env.TWITTER_API_SECRET || 'test-secret';
+
+const { createSignupCode } = require('../src/utils/sessions');
+
+let app;
+let call;
+
+before(async () => {
+  app = await startApp({
+    '/api/users': require('../src/routes/users'),
+    '/api/auth': require('../src/routes/twitter-auth')
+  });
+  call = (method, path, options) => request(app.baseUrl, method, path, options);
+});
+
+after(() => app.close());
+
+const profile = (id) => ({
+  twitter_id: id,
+  twitter_username: `trader${id}`,
+  twitter_name: `Trader ${id}`,
+  twitter_profile_image: null
+});
+
+const signUp = (signupCode, handle) => call('POST', '/api/auth/twitter/signup', { body: { signupCode, handle } });
+
+test('a sign-up code creates the account once', async () => {
+  const code = await createSignupCode(profile('101'));
+
+  const created = await signUp(code, 'carol');
+  assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+  assert.strictEqual(created.body.handle, 'carol');
+  assert.ok(created.body.refreshToken);
+
+  const user = await db.statements.getUserByTwitterId.get('101');
+  assert.strictEqual(user.handle, 'carol');
+
+  const again = await signUp(code, 'carol2');
+  assert.strictEqual(again.status, 400);
+  assert.match(again.body.message, /Sign-up expired/);
+});
+
+test('a taken handle can be retried with the same code', async () => {
+  const code = await createSignupCode(profile('102'));
+  await db.statements.createUser.run({ handle: 'dave', secret_key: 'x' });
+
+  const taken = await signUp(code, 'dave');
+  assert.strictEqual(taken.status, 400);
+  assert.strictEqual(taken.body.message, 'Handle already exists');
+
+  const created = await signUp(code, 'dave2');
+  assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+});
+
+test('an unknown sign-up code is refused', async () => {
+  const refused = await signUp('not-a-code', 'erin');
+  assert.strictEqual(refused.status, 400);
+  assert.strictEqual(await db.statements.getUserByTwitterId.get('103'), undefined);
+});
+
+test('losing a race for the handle is reported as taken', async () => {
+  const code = await createSignupCode(profile('104'));
+  await db.statements.createUser.run({ handle: 'frank', secret_key: 'x' });
+
+  // Checked before the other account existed, inserted after
+  const { isHandleTaken } = db.statements;
+  db.statements.isHandleTaken = { get: async () => null };
+  let raced;
+  try {
+    raced = await signUp(code, 'frank');
+  } finally {
+    db.statements.isHandleTaken = isHandleTaken;
+  }
+  assert.strictEqual(raced.status, 400);
+  assert.strictEqual(raced.body.message, 'Handle already exists');
+
+  // The code is still good for another handle
+  const created = await signUp(code, 'frank2');
+  assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+});
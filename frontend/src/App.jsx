@@ -7,6 +7,9 @@ import ErrorBoundary from './components/ErrorBoundary';
 import HomePage from './pages/HomePage';
 import ProfilePage from './pages/ProfilePage';
 import InboxPage from './pages/InboxPage';
+import SearchPage from './pages/SearchPage';
+import AnswerPage from './pages/AnswerPage';
+import WelcomePage from './pages/WelcomePage';
 
 // Activity wrapper component
 function ActivityWrapper({ children }) {
@@ -24,6 +27,9 @@ function App() {
               <Route path="/" element={<HomePage />} />
               <Route path="/u/:handle" element={<ProfilePage />} />
               <Route path="/inbox/:handle" element={<InboxPage />} />
+              <Route path="/a/:id" element={<AnswerPage />} />
+              <Route path="/search" element={<SearchPage />} />
+              <Route path="/welcome" element={<WelcomePage />} />
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
           </Layout>
@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { userAPI } from '../services/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+
+// Something the server shows only once, with a copy button
+function OneTimeSecret({ title, lines, onDone }) {
+  return (
+    <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+      <p className="text-sm font-medium text-yellow-800">{title}</p>
+      <p className="text-xs text-yellow-700 mb-2">
+        Save this somewhere safe now. It won't be shown again.
+      </p>
+      <pre className="text-sm bg-white border rounded px-2 py-1 font-mono whitespace-pre-wrap">
+        {lines.join('\n')}
+      </pre>
+      <div className="flex gap-3 mt-2">
+        <button
+          onClick={() => {
+            navigator.clipboard.writeText(lines.join('\n'));
+            toast.success('Copied to clipboard! 🎉');
+          }}
+          className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          Copy
+        </button>
+        <button onClick={onDone} className="text-sm text-gray-500 hover:text-gray-700">
+          I've saved it
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Sign-in methods (secret key and Twitter), secret key rotation and
+// recovery codes
+export default function AccountSecurity() {
+  const queryClient = useQueryClient();
+  const { linkTwitter } = useAuth();
+  const [newSecretKey, setNewSecretKey] = useState(null);
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState(null);
+
+  const { data } = useQuery({
+    queryKey: ['identities'],
+    queryFn: () => userAPI.getIdentities(),
+  });
+
+  const identities = data?.identities || [];
+  const twitter = identities.find((identity) => identity.provider === 'twitter');
+  const hasSecretKey = identities.some((identity) => identity.provider === 'secret_key');
+  const canRemove = identities.length > 1;
+
+  const { data: recoveryCodes } = useQuery({
+    queryKey: ['recoveryCodes'],
+    queryFn: () => userAPI.getRecoveryCodes(),
+    enabled: hasSecretKey,
+  });
+
+  const addSecretKeyMutation = useMutation({
+    mutationFn: () => userAPI.addSecretKey(),
+    onSuccess: (data) => {
+      setNewSecretKey(data.secretKey);
+      queryClient.invalidateQueries(['identities']);
+      toast.success('Secret key created 🔑');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not create a secret key. Please try again.');
+    },
+  });
+
+  const removeIdentityMutation = useMutation({
+    mutationFn: (provider) => userAPI.removeIdentity(provider),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['identities'], data);
+      queryClient.removeQueries(['recoveryCodes']);
+      toast.success('Sign-in method removed');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not remove it. Please try again.');
+    },
+  });
+
+  const rotateMutation = useMutation({
+    mutationFn: () => userAPI.rotateKey(),
+    onSuccess: (data) => {
+      setNewSecretKey(data.secretKey);
+      toast.success('New secret key ready 🔑');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not rotate your key. Please try again.');
+    },
+  });
+
+  const recoveryCodesMutation = useMutation({
+    mutationFn: () => userAPI.issueRecoveryCodes(),
+    onSuccess: (data) => {
+      setNewRecoveryCodes(data.recoveryCodes);
+      queryClient.setQueryData(['recoveryCodes'], { remaining: data.recoveryCodes.length });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not create recovery codes. Please try again.');
+    },
+  });
+
+  if (!data) {
+    return null;
+  }
+
+  const removeButton = (provider, label) => canRemove && (
+    <button
+      onClick={() => {
+        if (window.confirm(`Stop signing in with ${label}?`)) {
+          removeIdentityMutation.mutate(provider);
+        }
+      }}
+      disabled={removeIdentityMutation.isLoading}
+      className="text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+    >
+      Remove
+    </button>
+  );
+
+  return (
+    <details className="bg-white rounded-lg shadow-sm p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        🔑 Sign-in &amp; recovery
+      </summary>
+
+      <div className="mt-4 space-y-5">
+        <div>
+          <p className="text-sm font-medium text-gray-700">Twitter</p>
+          {twitter ? (
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-xs text-gray-500">Connected as @{twitter.username}</p>
+              {removeButton('twitter', 'Twitter')}
+            </div>
+          ) : (
+            <>
+              <p className="text-xs text-gray-500 mb-2">
+                Connect Twitter to sign in to this handle with one click.
+              </p>
+              <button
+                onClick={linkTwitter}
+                className="text-sm bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg font-medium hover:bg-gray-200"
+              >
+                Connect Twitter
+              </button>
+            </>
+          )}
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-sm font-medium text-gray-700">Secret key</p>
+            {hasSecretKey && removeButton('secret_key', 'your secret key')}
+          </div>
+          {hasSecretKey ? (
+            <>
+              <p className="text-xs text-gray-500 mb-2">
+                Think someone else has your key? Get a new one. The old key stops working and
+                other devices are signed out.
+              </p>
+              <button
+                onClick={() => {
+                  if (window.confirm('Replace your secret key? The current one will stop working.')) {
+                    rotateMutation.mutate();
+                  }
+                }}
+                disabled={rotateMutation.isLoading}
+                className="text-sm bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg font-medium hover:bg-gray-200 disabled:opacity-50"
+              >
+                Rotate secret key
+              </button>
+            </>
+          ) : (
+            <>
+              <p className="text-xs text-gray-500 mb-2">
+                A secret key lets you sign in to this handle if you ever lose your Twitter account.
+              </p>
+              <button
+                onClick={() => addSecretKeyMutation.mutate()}
+                disabled={addSecretKeyMutation.isLoading}
+                className="text-sm bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg font-medium hover:bg-gray-200 disabled:opacity-50"
+              >
+                Create a secret key
+              </button>
+            </>
+          )}
+          {newSecretKey && (
+            <OneTimeSecret
+              title="Your new secret key"
+              lines={[newSecretKey]}
+              onDone={() => setNewSecretKey(null)}
+            />
+          )}
+        </div>
+
+        {hasSecretKey && (
+          <div>
+            <p className="text-sm font-medium text-gray-700">Recovery codes</p>
+            <p className="text-xs text-gray-500 mb-2">
+              Each code signs you in once if you lose your secret key.
+              {recoveryCodes && ` You have ${recoveryCodes.remaining} unused.`}
+            </p>
+            <button
+              onClick={() => {
+                if (!recoveryCodes?.remaining || window.confirm('Create new recovery codes? Your current ones will stop working.')) {
+                  recoveryCodesMutation.mutate();
+                }
+              }}
+              disabled={recoveryCodesMutation.isLoading}
+              className="text-sm bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg font-medium hover:bg-gray-200 disabled:opacity-50"
+            >
+              {recoveryCodes?.remaining ? 'Create new codes' : 'Create recovery codes'}
+            </button>
+            {newRecoveryCodes && (
+              <OneTimeSecret
+                title="Your recovery codes"
+                lines={newRecoveryCodes}
+                onDone={() => setNewRecoveryCodes(null)}
+              />
+            )}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
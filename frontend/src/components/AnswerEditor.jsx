@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { validateAnswer } from '../utils/validation';
+
+// Inline editor for an owner's published answer. When the save was refused
+// because the answer changed elsewhere, `conflict` holds the latest version:
+// the draft is kept, and saving again replaces that latest version.
+export default function AnswerEditor({ initialText, conflict, saving, onSave, onCancel }) {
+  const [text, setText] = useState(initialText);
+  const [errors, setErrors] = useState([]);
+
+  const handleSave = () => {
+    const validationErrors = validateAnswer(text);
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    onSave(text.trim());
+  };
+
+  return (
+    <div className="space-y-3 mt-2">
+      {conflict && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm">
+          <p className="text-amber-800 font-medium mb-1">
+            This answer was changed in another tab or device.
+          </p>
+          <p className="text-gray-700 mb-2">Latest version: {conflict.answerText}</p>
+          <button
+            onClick={() => {
+              setText(conflict.answerText);
+              setErrors([]);
+            }}
+            className="text-amber-800 underline hover:text-amber-900"
+          >
+            Start over from the latest version
+          </button>
+          <span className="text-gray-500"> or save to replace it with yours.</span>
+        </div>
+      )}
+
+      <textarea
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setErrors([]);
+        }}
+        className="w-full p-3 border-2 border-blue-400 rounded-lg resize-none focus:outline-none focus:border-blue-500"
+        rows={3}
+        maxLength={1000}
+        autoFocus
+        disabled={saving}
+      />
+
+      {errors.length > 0 && (
+        <div className="space-y-1">
+          {errors.map((error, idx) => (
+            <p key={idx} className="text-red-500 text-sm">{error}</p>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={saving || !text.trim()}
+          className="px-4 py-1.5 bg-blue-500 text-white rounded-lg text-sm font-semibold hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed active-press"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="px-4 py-1.5 text-sm text-gray-600 hover:text-gray-800 active-press"
+        >
+          Cancel
+        </button>
+        <span className="ml-auto text-xs text-gray-400">{text.length}/1000</span>
+      </div>
+    </div>
+  );
+}
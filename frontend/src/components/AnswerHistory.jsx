@@ -0,0 +1,63 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { answersAPI } from '../services/api';
+import { diffWords } from '../utils/diff';
+import Loading from './Loading';
+
+const partClasses = {
+  same: '',
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-700 line-through',
+};
+
+function Diff({ before, after }) {
+  return (
+    <p className="text-gray-800 whitespace-pre-wrap">
+      {diffWords(before, after).map((part, index) => (
+        <span key={index} className={partClasses[part.type]}>{part.text}</span>
+      ))}
+    </p>
+  );
+}
+
+// Edit history of an answer. Readers see the original against the current
+// text; the owner gets a diff for every edit.
+export default function AnswerHistory({ answerId }) {
+  const { data, isLoading } = useQuery({
+    queryKey: ['revisions', answerId],
+    queryFn: () => answersAPI.getRevisions(answerId),
+  });
+
+  if (isLoading) {
+    return <Loading size="sm" className="py-3" />;
+  }
+
+  const revisions = data?.revisions || [];
+  if (revisions.length < 2) {
+    return null;
+  }
+
+  const original = revisions[0];
+
+  return (
+    <div className="mt-3 bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm space-y-3">
+      <p className="text-gray-500">
+        Originally posted {format(new Date(original.createdAt), 'MMM d, yyyy · h:mm a')}
+        {' · '}edited {data.totalRevisions - 1} {data.totalRevisions === 2 ? 'time' : 'times'}
+      </p>
+
+      {revisions.slice(1).map((revision, index) => (
+        <div key={revision.revision}>
+          <p className="text-xs text-gray-400 mb-1">
+            {data.fullHistory
+              ? `Revision ${revision.revision}`
+              : 'Original → current'}
+            {' · '}{format(new Date(revision.createdAt), 'MMM d, yyyy · h:mm a')}
+          </p>
+          <Diff before={revisions[index].answerText} after={revision.answerText} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMutation } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { userAPI } from '../services/api';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { useHandleAvailability } from '../hooks/useHandleAvailability.jsx';
+import HandleStatus from './HandleStatus';
+
+// Rename the handle. Links to the old one keep working.
+export default function HandleSettings() {
+  const navigate = useNavigate();
+  const { user, updateHandle } = useAuth();
+  const [handle, setHandle] = useState('');
+  const { status, errors } = useHandleAvailability(handle, handle !== '');
+
+  const renameMutation = useMutation({
+    mutationFn: (newHandle) => userAPI.renameHandle(newHandle),
+    onSuccess: (data) => {
+      updateHandle(data.handle);
+      setHandle('');
+      toast.success(`You're now @${data.handle}! Old links still find you ✨`);
+      navigate(`/inbox/${data.handle}`, { replace: true });
+    },
+    onError: (error) => {
+      if (error.retryAt) {
+        toast.error(`You can change your handle again on ${format(new Date(error.retryAt), 'MMM d')}.`);
+      } else {
+        toast.error(error.message || 'Could not change your handle. Please try again.');
+      }
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (status !== 'available') return;
+    if (window.confirm(`Change @${user.handle} to @${handle}?`)) {
+      renameMutation.mutate(handle);
+    }
+  };
+
+  return (
+    <details className="bg-white rounded-lg shadow-sm p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        ✏️ Change handle
+      </summary>
+      <form onSubmit={handleSubmit} className="mt-2 space-y-2">
+        <p className="text-xs text-gray-500">
+          Links to @{user?.handle} will keep working, and nobody else can take it for 90 days.
+          You can change your handle once a month.
+        </p>
+        <div className="flex gap-2">
+          <div className="flex flex-1 items-center border-2 border-gray-200 rounded-lg focus-within:border-blue-400 transition">
+            <span className="pl-3 text-gray-400">@</span>
+            <input
+              type="text"
+              value={handle}
+              onChange={(e) => setHandle(e.target.value.toLowerCase().trim())}
+              placeholder="newhandle"
+              className="w-full p-2 rounded-lg focus:outline-none"
+              maxLength={20}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={status !== 'available' || renameMutation.isLoading}
+            className="text-sm bg-blue-500 text-white px-4 rounded-lg font-medium hover:bg-blue-600 disabled:opacity-50"
+          >
+            Change
+          </button>
+        </div>
+        {handle && <HandleStatus handle={handle} status={status} errors={errors} />}
+      </form>
+    </details>
+  );
+}
@@ -0,0 +1,15 @@
+import React from 'react';
+
+// One line under a handle input saying whether it can be had
+export default function HandleStatus({ handle, status, errors }) {
+  if (status === 'invalid') {
+    return <p className="text-sm text-red-600">{errors[0]}</p>;
+  }
+  if (status === 'checking') {
+    return <p className="text-sm text-gray-500">Checking…</p>;
+  }
+  if (status === 'available') {
+    return <p className="text-sm text-green-600">✓ @{handle} is yours if you want it</p>;
+  }
+  return <p className="text-sm text-red-600">@{handle} is taken – try another</p>;
+}
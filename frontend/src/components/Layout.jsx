@@ -6,13 +6,22 @@ export default function Layout({ children }) {
     <div className="min-h-screen bg-gray-50">
       <nav className="bg-white border-b sticky top-0 z-50 backdrop-blur-lg bg-white/95">
         <div className="max-w-6xl mx-auto px-4">
-          <div className="flex justify-center items-center h-16">
+          <div className="relative flex justify-center items-center h-16">
             <Link to="/" className="flex items-center space-x-2 group">
               <span className="text-2xl group-hover:animate-bounce">💬</span>
               <span className="text-xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
                 TraderFM
               </span>
             </Link>
+            <Link
+              to="/search"
+              className="absolute right-0 text-gray-400 hover:text-blue-500 transition"
+              title="Search answers"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-4.35-4.35M11 19a8 8 0 100-16 8 8 0 000 16z" />
+              </svg>
+            </Link>
           </div>
         </div>
       </nav>
@@ -0,0 +1,76 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { userAPI } from '../services/api';
+
+const options = [
+  {
+    key: 'hideQuestions',
+    label: 'Hide questions I receive',
+    description: "Don't announce new questions for you in the live feed.",
+  },
+  {
+    key: 'showQuestionText',
+    label: 'Show question text before I answer',
+    description: 'By default the feed only says you got a question, not what it was.',
+  },
+  {
+    key: 'hideAnswers',
+    label: 'Hide my answers',
+    description: "Don't announce your new answers in the live feed.",
+  },
+  {
+    key: 'hideJoin',
+    label: 'Hide that I joined',
+    description: 'Leave your account out of "just joined" announcements.',
+  },
+];
+
+export default function PrivacySettings() {
+  const queryClient = useQueryClient();
+
+  const { data: settings } = useQuery({
+    queryKey: ['privacy'],
+    queryFn: () => userAPI.getPrivacy(),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (changes) => userAPI.updatePrivacy(changes),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['privacy'], data);
+      toast.success('Privacy settings saved 🔒');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not save privacy settings. Please try again.');
+    },
+  });
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <details className="bg-white rounded-lg shadow-sm p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        🔒 Live feed privacy
+      </summary>
+      <div className="mt-4 space-y-3">
+        {options.map(({ key, label, description }) => (
+          <label key={key} className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings[key]}
+              onChange={(e) => updateMutation.mutate({ [key]: e.target.checked })}
+              disabled={updateMutation.isLoading || (key === 'showQuestionText' && settings.hideQuestions)}
+              className="mt-1"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-700">{label}</span>
+              <span className="block text-xs text-gray-500">{description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
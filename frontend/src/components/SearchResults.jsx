@@ -0,0 +1,84 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import Loading from './Loading';
+
+// highlights from the API are escaped HTML with <mark> around matches
+function Highlighted({ html }) {
+  return <span className="search-highlight" dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+export default function SearchResults({ data, isLoading, showHandle = true, onPageChange }) {
+  if (isLoading) {
+    return <Loading className="py-12" />;
+  }
+
+  const results = data?.results || [];
+
+  if (results.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <div className="text-4xl mb-3">🔍</div>
+        <p className="text-gray-500">No answers match that search</p>
+        <p className="text-sm text-gray-400">Try fewer or different words</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-4">
+        {data.total} {data.total === 1 ? 'result' : 'results'}
+      </p>
+
+      <div className="space-y-6">
+        {results.map((result) => (
+          <div key={result.id} className="border-l-4 border-blue-100 pl-4 py-2">
+            <p className="text-gray-600 mb-2">
+              <span className="font-semibold text-gray-400">Anonymous asked:</span>{' '}
+              <Highlighted html={result.highlights.questionText} />
+            </p>
+            <p className="text-gray-900">
+              {showHandle ? (
+                <Link to={`/u/${result.userHandle}`} className="font-semibold text-blue-600 hover:text-blue-700">
+                  @{result.userHandle}:
+                </Link>
+              ) : (
+                <span className="font-semibold text-blue-600">@{result.userHandle}:</span>
+              )}{' '}
+              <Highlighted html={result.highlights.answerText} />
+            </p>
+            <p className="text-xs text-gray-400 mt-2">
+              <Link to={`/a/${result.id}`} className="hover:text-blue-500 hover:underline">
+                {format(new Date(result.createdAt), 'MMM d, yyyy · h:mm a')}
+              </Link>
+              {result.edited && ' · edited'}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {data.pages > 1 && (
+        <div className="flex items-center justify-between mt-6 text-sm">
+          <button
+            onClick={() => onPageChange(data.page - 1)}
+            disabled={data.page <= 1}
+            className="text-blue-500 hover:text-blue-600 disabled:text-gray-300 disabled:cursor-not-allowed"
+          >
+            ← Previous
+          </button>
+          <span className="text-gray-500">
+            Page {data.page} of {data.pages}
+          </span>
+          <button
+            onClick={() => onPageChange(data.page + 1)}
+            disabled={data.page >= data.pages}
+            className="text-blue-500 hover:text-blue-600 disabled:text-gray-300 disabled:cursor-not-allowed"
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { sessionsAPI } from '../services/api';
+
+// Session times come from the database as UTC 'YYYY-MM-DD HH:MM:SS'
+const parseSessionTime = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+// Devices signed in to this account, each of which can be signed out
+export default function SessionsPanel() {
+  const queryClient = useQueryClient();
+
+  const { data } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => sessionsAPI.list(),
+  });
+
+  const onError = (error) => {
+    toast.error(error.message || 'Could not sign out. Please try again.');
+  };
+
+  const revokeMutation = useMutation({
+    mutationFn: (sessionId) => sessionsAPI.revoke(sessionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['sessions']);
+      toast.success('Device signed out 👋');
+    },
+    onError,
+  });
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: () => sessionsAPI.revokeOthers(),
+    onSuccess: ({ revoked }) => {
+      queryClient.invalidateQueries(['sessions']);
+      toast.success(`Signed out ${revoked} other device${revoked === 1 ? '' : 's'} 👋`);
+    },
+    onError,
+  });
+
+  if (!data) {
+    return null;
+  }
+
+  const others = data.sessions.filter((session) => !session.current);
+
+  return (
+    <details className="bg-white rounded-lg shadow-sm p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        💻 Signed-in devices <span className="text-gray-500 font-normal">({data.sessions.length})</span>
+      </summary>
+      <div className="mt-2">
+        <ul className="divide-y divide-gray-100">
+          {data.sessions.map((session) => (
+            <li key={session.id} className="flex items-start justify-between gap-3 py-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-800">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {session.ipAddress && `${session.ipAddress} · `}
+                  Active {formatDistanceToNow(parseSessionTime(session.lastUsedAt), { addSuffix: true })}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => revokeMutation.mutate(session.id)}
+                  disabled={revokeMutation.isLoading}
+                  className="text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {others.length > 0 && (
+          <button
+            onClick={() => revokeOthersMutation.mutate()}
+            disabled={revokeOthersMutation.isLoading}
+            className="mt-2 text-sm bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg font-medium hover:bg-gray-200 disabled:opacity-50"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { telegramAPI } from '../services/api';
+
+// Format remaining seconds as m:ss
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export default function TelegramConnect() {
+  const queryClient = useQueryClient();
+
+  // Pending connect link: { connectUrl, expiresAt }
+  const [pendingLink, setPendingLink] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  // Fetch connection status, polling while a connect link is outstanding
+  const { data: status, isLoading } = useQuery({
+    queryKey: ['telegram', 'status'],
+    queryFn: () => telegramAPI.getStatus(),
+    refetchInterval: pendingLink ? 3000 : false,
+  });
+
+  // Count down until the link expires
+  useEffect(() => {
+    if (!pendingLink) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.round((pendingLink.expiresAt - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        setPendingLink(null);
+        toast.error('Telegram link expired. Generate a new one to connect.');
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [pendingLink]);
+
+  // Stop polling once the bot has linked the chat
+  useEffect(() => {
+    if (pendingLink && status?.connected) {
+      setPendingLink(null);
+      toast.success('Telegram connected! New questions will ping you there 🔔');
+    }
+  }, [pendingLink, status?.connected]);
+
+  const connectMutation = useMutation({
+    mutationFn: () => telegramAPI.connect(),
+    onSuccess: (data) => {
+      setPendingLink({
+        connectUrl: data.connectUrl,
+        expiresAt: Date.now() + data.expiresIn * 1000,
+      });
+      window.open(data.connectUrl, '_blank', 'noopener,noreferrer');
+    },
+    onError: (error) => {
+      if (error.connected) {
+        queryClient.invalidateQueries(['telegram', 'status']);
+        return;
+      }
+      toast.error(error.message || 'Could not create a Telegram link. Please try again.');
+    },
+  });
+
+  const disconnectMutation = useMutation({
+    mutationFn: () => telegramAPI.disconnect(),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['telegram', 'status']);
+      toast.success('Telegram disconnected');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not disconnect Telegram. Please try again.');
+    },
+  });
+
+  if (isLoading) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <span className="text-2xl">✈️</span>
+          <div>
+            <p className="font-semibold text-gray-800 flex items-center gap-2">
+              Telegram notifications
+              {status?.connected ? (
+                <span className="text-xs font-medium bg-green-100 text-green-700 px-2 py-0.5 rounded-full">
+                  {status.paused ? 'Paused' : 'Connected'}
+                </span>
+              ) : (
+                <span className="text-xs font-medium bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">
+                  Not connected
+                </span>
+              )}
+            </p>
+            <p className="text-sm text-gray-500">
+              {status?.connected
+                ? status.paused
+                  ? 'Notifications are muted. Send /resume to the bot to turn them back on.'
+                  : 'Get pinged for new questions and reply to answer them from Telegram.'
+                : 'Never miss a question – get notified instantly in Telegram.'
+              }
+            </p>
+          </div>
+        </div>
+
+        {status?.connected ? (
+          <button
+            onClick={() => {
+              if (window.confirm('Disconnect Telegram? You will stop getting notifications.')) {
+                disconnectMutation.mutate();
+              }
+            }}
+            disabled={disconnectMutation.isLoading}
+            className="text-sm text-gray-500 hover:text-red-500 transition whitespace-nowrap disabled:opacity-50"
+          >
+            {disconnectMutation.isLoading ? 'Disconnecting...' : 'Disconnect'}
+          </button>
+        ) : (
+          <button
+            onClick={() => connectMutation.mutate()}
+            disabled={connectMutation.isLoading}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-semibold hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed active-press whitespace-nowrap"
+          >
+            {connectMutation.isLoading
+              ? 'Creating link...'
+              : pendingLink ? 'New link' : 'Connect Telegram'
+            }
+          </button>
+        )}
+      </div>
+
+      {pendingLink && !status?.connected && (
+        <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-700 flex items-center justify-between gap-4">
+          <p>
+            Waiting for you to press <strong>Start</strong> in Telegram…{' '}
+            <span className="text-blue-500">Link expires in {formatCountdown(secondsLeft)}</span>
+          </p>
+          <a
+            href={pendingLink.connectUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 hover:text-blue-700 underline whitespace-nowrap"
+          >
+            Open Telegram
+          </a>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import { questionsAPI, answersAPI, trashAPI } from '../services/api';
+
+// deletedAt comes from the database as UTC 'YYYY-MM-DD HH:MM:SS'
+const parseDeletedAt = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+function TrashItem({ label, text, item, onRestore, restoring }) {
+  return (
+    <li className="flex items-start justify-between gap-3 py-3">
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-medium text-gray-500 uppercase">{label}</p>
+        <p className="text-sm text-gray-800 truncate">{text}</p>
+        <p className="text-xs text-gray-400">
+          Deleted {formatDistanceToNow(parseDeletedAt(item.deletedAt), { addSuffix: true })}
+          {' · '}removed for good on {format(new Date(item.purgeAt), 'MMM d')}
+        </p>
+      </div>
+      <button
+        onClick={onRestore}
+        disabled={restoring}
+        className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+      >
+        Restore
+      </button>
+    </li>
+  );
+}
+
+export default function TrashPanel({ handle }) {
+  const queryClient = useQueryClient();
+
+  const { data: trash } = useQuery({
+    queryKey: ['trash'],
+    queryFn: () => trashAPI.get(),
+  });
+
+  const onRestored = (message) => {
+    queryClient.invalidateQueries(['trash']);
+    queryClient.invalidateQueries(['questions', handle]);
+    queryClient.invalidateQueries(['answers', handle]);
+    queryClient.invalidateQueries(['stats', handle]);
+    toast.success(message);
+  };
+
+  const onRestoreError = (error) => {
+    toast.error(error.message || 'Could not restore. Please try again.');
+  };
+
+  const restoreQuestionMutation = useMutation({
+    mutationFn: (questionId) => questionsAPI.restore(questionId),
+    onSuccess: () => onRestored('Question restored ♻️'),
+    onError: onRestoreError,
+  });
+
+  const restoreAnswerMutation = useMutation({
+    mutationFn: (answerId) => answersAPI.restore(answerId),
+    onSuccess: () => onRestored('Answer restored ♻️'),
+    onError: onRestoreError,
+  });
+
+  if (!trash) {
+    return null;
+  }
+
+  const count = trash.questions.length + trash.answers.length;
+
+  return (
+    <details className="bg-white rounded-lg shadow-sm p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        🗑️ Trash {count > 0 && <span className="text-gray-500 font-normal">({count})</span>}
+      </summary>
+      <div className="mt-2">
+        <p className="text-xs text-gray-500">
+          Deleted questions and answers stay here for {trash.retentionDays} days before they are removed for good.
+        </p>
+        {count === 0 ? (
+          <p className="text-sm text-gray-500 mt-3">The trash is empty.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {trash.questions.map((q) => (
+              <TrashItem
+                key={`q-${q.id}`}
+                label="Question"
+                text={q.text}
+                item={q}
+                onRestore={() => restoreQuestionMutation.mutate(q.id)}
+                restoring={restoreQuestionMutation.isLoading}
+              />
+            ))}
+            {trash.answers.map((a) => (
+              <TrashItem
+                key={`a-${a.id}`}
+                label="Answer"
+                text={`${a.questionText} — ${a.answerText}`}
+                item={a}
+                onRestore={() => restoreAnswerMutation.mutate(a.id)}
+                restoring={restoreAnswerMutation.isLoading}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </details>
+  );
+}
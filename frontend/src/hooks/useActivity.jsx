@@ -1,4 +1,4 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState, useCallback } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import toast from 'react-hot-toast';
 import axios from 'axios';
@@ -20,10 +20,119 @@ const ActivityToast = ({ message, imageUrl, handle }) => (
   </div>
 );
 
+// Only toast activity that happened in the last 10 seconds
+const isFresh = (createdAt) => Date.now() - new Date(createdAt).getTime() < 10000;
+
+const showQuestionToast = (question) => {
+  toast.custom((t) => (
+    <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} bg-white shadow-lg rounded-lg p-4 max-w-md`}>
+      <ActivityToast
+        message={`New question for @${question.user_handle}`}
+        handle={null}
+      />
+      {question.text && (
+        <p className="text-xs text-gray-600 mt-1 truncate">"{question.text}"</p>
+      )}
+    </div>
+  ), {
+    duration: 4000,
+    position: 'bottom-right',
+  });
+};
+
+const showAnswerToast = (answer) => {
+  toast.custom((t) => (
+    <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} bg-white shadow-lg rounded-lg p-4 max-w-md`}>
+      <ActivityToast
+        message={`@${answer.user_handle} just answered`}
+        imageUrl={answer.twitter_profile_image}
+        handle={answer.user_handle}
+      />
+      <p className="text-xs text-gray-600 mt-1 truncate">Q: "{answer.question_text}"</p>
+    </div>
+  ), {
+    duration: 5000,
+    position: 'bottom-right',
+  });
+};
+
+const showUserToast = (user) => {
+  toast.custom((t) => (
+    <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} bg-white shadow-lg rounded-lg p-4 max-w-md`}>
+      <ActivityToast
+        message={`${user.twitter_name || user.handle} just joined! 🎉`}
+        imageUrl={user.twitter_profile_image}
+        handle={user.handle}
+      />
+    </div>
+  ), {
+    duration: 6000,
+    position: 'bottom-right',
+  });
+};
+
+const toasters = {
+  question: { prefix: 'q', show: showQuestionToast },
+  answer: { prefix: 'a', show: showAnswerToast },
+  user: { prefix: 'u', show: showUserToast },
+};
+
+// Give up on the stream after this many errors without a successful connection
+const MAX_STREAM_FAILURES = 3;
+
 export function useActivity() {
   const seenIds = useRef(new Set());
   const lastCheckRef = useRef(new Date().toISOString());
-  
+  const [usePolling, setUsePolling] = useState(() => typeof window.EventSource === 'undefined');
+
+  // Toast an activity item once, whichever transport delivered it
+  const handleActivity = useCallback((type, item) => {
+    const key = `${toasters[type].prefix}-${item.id}`;
+    if (seenIds.current.has(key)) return;
+    seenIds.current.add(key);
+
+    if (isFresh(item.created_at)) {
+      toasters[type].show(item);
+    }
+
+    // Clean up old IDs to prevent memory leak
+    if (seenIds.current.size > 1000) {
+      const idsArray = Array.from(seenIds.current);
+      seenIds.current = new Set(idsArray.slice(-500));
+    }
+  }, []);
+
+  // Server-Sent Events - the browser resumes with Last-Event-ID on reconnect
+  useEffect(() => {
+    if (usePolling) return;
+
+    const source = new EventSource('/api/activity/stream');
+    let failures = 0;
+
+    source.onopen = () => {
+      failures = 0;
+    };
+
+    source.onerror = () => {
+      failures += 1;
+      if (failures >= MAX_STREAM_FAILURES) {
+        console.warn('Activity stream unavailable, falling back to polling');
+        source.close();
+        lastCheckRef.current = new Date().toISOString();
+        setUsePolling(true);
+      }
+    };
+
+    Object.keys(toasters).forEach((type) => {
+      source.addEventListener(type, (event) => {
+        handleActivity(type, JSON.parse(event.data));
+      });
+    });
+
+    return () => source.close();
+  }, [usePolling, handleActivity]);
+
+  // Polling fallback
   const { data } = useQuery({
     queryKey: ['activity', lastCheckRef.current],
     queryFn: async () => {
@@ -33,94 +142,21 @@ export function useActivity() {
       return response.data;
     },
     refetchInterval: 5000, // Poll every 5 seconds
-    enabled: true,
+    enabled: usePolling,
   });
 
   useEffect(() => {
     if (!data) return;
 
-    // Process new questions
-    data.questions?.forEach(question => {
-      if (!seenIds.current.has(`q-${question.id}`)) {
-        seenIds.current.add(`q-${question.id}`);
-        
-        // Don't show notification for questions older than 10 seconds
-        const age = Date.now() - new Date(question.created_at).getTime();
-        if (age < 10000) {
-          toast.custom((t) => (
-            <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} bg-white shadow-lg rounded-lg p-4 max-w-md`}>
-              <ActivityToast
-                message={`New question for @${question.user_handle}`}
-                handle={null}
-              />
-              <p className="text-xs text-gray-600 mt-1 truncate">"{question.text}"</p>
-            </div>
-          ), {
-            duration: 4000,
-            position: 'bottom-right',
-          });
-        }
-      }
-    });
-
-    // Process new answers
-    data.answers?.forEach(answer => {
-      if (!seenIds.current.has(`a-${answer.id}`)) {
-        seenIds.current.add(`a-${answer.id}`);
-        
-        const age = Date.now() - new Date(answer.created_at).getTime();
-        if (age < 10000) {
-          toast.custom((t) => (
-            <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} bg-white shadow-lg rounded-lg p-4 max-w-md`}>
-              <ActivityToast
-                message={`@${answer.user_handle} just answered`}
-                imageUrl={answer.twitter_profile_image}
-                handle={answer.user_handle}
-              />
-              <p className="text-xs text-gray-600 mt-1 truncate">Q: "{answer.question_text}"</p>
-            </div>
-          ), {
-            duration: 5000,
-            position: 'bottom-right',
-          });
-        }
-      }
-    });
-
-    // Process new users
-    data.users?.forEach(user => {
-      if (!seenIds.current.has(`u-${user.id}`)) {
-        seenIds.current.add(`u-${user.id}`);
-        
-        const age = Date.now() - new Date(user.created_at).getTime();
-        if (age < 10000) {
-          toast.custom((t) => (
-            <div className={`${t.visible ? 'animate-enter' : 'animate-leave'} bg-white shadow-lg rounded-lg p-4 max-w-md`}>
-              <ActivityToast
-                message={`${user.twitter_name || user.handle} just joined! 🎉`}
-                imageUrl={user.twitter_profile_image}
-                handle={user.handle}
-              />
-            </div>
-          ), {
-            duration: 6000,
-            position: 'bottom-right',
-          });
-        }
-      }
-    });
+    data.questions?.forEach(question => handleActivity('question', question));
+    data.answers?.forEach(answer => handleActivity('answer', answer));
+    data.users?.forEach(user => handleActivity('user', user));
 
     // Update last check time
     if (data.timestamp) {
       lastCheckRef.current = data.timestamp;
     }
-
-    // Clean up old IDs to prevent memory leak
-    if (seenIds.current.size > 1000) {
-      const idsArray = Array.from(seenIds.current);
-      seenIds.current = new Set(idsArray.slice(-500));
-    }
-  }, [data]);
+  }, [data, handleActivity]);
 
   return { activityData: data };
-} 
\ No newline at end of file
+}
\ No newline at end of file
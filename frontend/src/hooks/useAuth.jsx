@@ -1,10 +1,20 @@
 import { useState, useEffect, createContext, useContext } from 'react';
-import { userAPI } from '../services/api';
+import { userAPI, sessionsAPI, clearStoredAuth } from '../services/api';
 import toast from 'react-hot-toast';
 
 // Create auth context
 const AuthContext = createContext(null);
 
+// Twitter OAuth pages on the API. In production (Railway), use relative URL.
+// In development, use localhost.
+const twitterAuthUrl = (path) => {
+  const isProduction = window.location.hostname !== 'localhost';
+  const apiUrl = isProduction
+    ? '/api'  // Relative URL for production
+    : (import.meta.env.VITE_API_URL || 'http://localhost:5001/api');
+  return `${apiUrl}/auth/${path}`;
+};
+
 // Auth provider component
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
@@ -14,12 +24,19 @@ export function AuthProvider({ children }) {
   useEffect(() => {
     // Check URL parameters for Twitter OAuth callback
     const urlParams = new URLSearchParams(window.location.search);
-    const token = urlParams.get('token');
-    const handle = urlParams.get('handle');
-    const authType = urlParams.get('auth_type');
+    const signInCode = urlParams.get('signin');
     const error = urlParams.get('error');
+    const linked = urlParams.get('linked');
     
-    if (error) {
+    // Back from connecting Twitter to a signed-in account; the stored
+    // auth below is still good either way
+    if (error === 'twitter_already_linked') {
+      toast.error('That Twitter account is already connected to a handle.');
+      window.history.replaceState({}, document.title, window.location.pathname);
+    } else if (linked === 'twitter') {
+      toast.success('Twitter connected! 🐦');
+      window.history.replaceState({}, document.title, window.location.pathname);
+    } else if (error) {
       toast.error('Twitter sign-in hit a snag. Try again?');
       // Clean up URL
       window.history.replaceState({}, document.title, window.location.pathname);
@@ -27,22 +44,29 @@ export function AuthProvider({ children }) {
       return;
     }
     
-    if (token && handle && authType === 'twitter') {
-      // Twitter OAuth successful
-      localStorage.setItem('auth_token', token);
-      localStorage.setItem('auth_handle', handle);
-      localStorage.setItem('auth_type', authType);
-      setUser({ handle, token, authType });
-      
-      // Clean URL
+    if (signInCode) {
+      // Twitter OAuth successful: trade the one-time code for a session.
+      // Clean the URL first, the code is no good after this.
       window.history.replaceState({}, document.title, '/');
       
-      // Set a flag to indicate we just authenticated
-      sessionStorage.setItem('justAuthenticated', 'true');
-      sessionStorage.setItem('authHandle', handle);
-      
-      toast.success(`Welcome aboard, @${handle}! 🎉`);
-      setLoading(false);
+      userAPI.twitterSignIn(signInCode)
+        .then((response) => {
+          localStorage.setItem('auth_token', response.token);
+          localStorage.setItem('auth_refresh_token', response.refreshToken);
+          localStorage.setItem('auth_handle', response.handle);
+          localStorage.setItem('auth_type', response.authType);
+          setUser({ handle: response.handle, token: response.token, authType: response.authType });
+          
+          // Set a flag to indicate we just authenticated
+          sessionStorage.setItem('justAuthenticated', 'true');
+          sessionStorage.setItem('authHandle', response.handle);
+          
+          toast.success(`Welcome aboard, @${response.handle}! 🎉`);
+        })
+        .catch((signInError) => {
+          toast.error(signInError.message || 'Twitter sign-in hit a snag. Try again?');
+        })
+        .finally(() => setLoading(false));
       return;
     }
     
@@ -65,6 +89,7 @@ export function AuthProvider({ children }) {
       
       if (response.token) {
         localStorage.setItem('auth_token', response.token);
+        localStorage.setItem('auth_refresh_token', response.refreshToken);
         localStorage.setItem('auth_handle', handle);
         localStorage.setItem('auth_type', 'secret_key');
         setUser({ handle, token: response.token, authType: 'secret_key' });
@@ -77,26 +102,76 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Sign in with a recovery code. Resolves with the new secret key (the old
+  // one no longer works) and how many codes are left, or null on failure.
+  const recover = async (handle, recoveryCode) => {
+    try {
+      const response = await userAPI.recover(handle, recoveryCode);
+      localStorage.setItem('auth_token', response.token);
+      localStorage.setItem('auth_refresh_token', response.refreshToken);
+      localStorage.setItem('auth_handle', response.handle);
+      localStorage.setItem('auth_type', 'secret_key');
+      setUser({ handle: response.handle, token: response.token, authType: 'secret_key' });
+      return { secretKey: response.secretKey, recoveryCodesLeft: response.recoveryCodesLeft };
+    } catch (error) {
+      toast.error(error.message || 'That recovery code didn\'t work.');
+      return null;
+    }
+  };
+
+  // Finish a first Twitter sign-in with the chosen handle. Resolves with the
+  // handle, or null on failure.
+  const completeTwitterSignup = async (signupCode, handle) => {
+    try {
+      const response = await userAPI.twitterSignup(signupCode, handle);
+      localStorage.setItem('auth_token', response.token);
+      localStorage.setItem('auth_refresh_token', response.refreshToken);
+      localStorage.setItem('auth_handle', response.handle);
+      localStorage.setItem('auth_type', 'twitter');
+      setUser({ handle: response.handle, token: response.token, authType: 'twitter' });
+      toast.success(`Welcome aboard, @${response.handle}! 🎉`);
+      return response.handle;
+    } catch (error) {
+      toast.error(error.message || 'Could not create your page. Please try again.');
+      return null;
+    }
+  };
+
   // Twitter login function
   const loginWithTwitter = () => {
-    // In production (Railway), use relative URL. In development, use localhost.
-    const isProduction = window.location.hostname !== 'localhost';
-    const apiUrl = isProduction 
-      ? '/api'  // Relative URL for production
-      : (import.meta.env.VITE_API_URL || 'http://localhost:5001/api');
-    
-    window.location.href = `${apiUrl}/auth/twitter`;
+    window.location.href = twitterAuthUrl('twitter');
   };
 
-  // Logout function
-  const logout = () => {
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('auth_handle');
-    localStorage.removeItem('auth_type');
+  // Connect Twitter to the signed-in account. The browser leaves for Twitter
+  // and comes back to the inbox.
+  const linkTwitter = async () => {
+    try {
+      const { ticket } = await userAPI.twitterLinkTicket();
+      window.location.href = `${twitterAuthUrl('twitter/link')}?ticket=${encodeURIComponent(ticket)}`;
+    } catch (error) {
+      toast.error(error.message || 'Could not connect Twitter. Please try again.');
+    }
+  };
+
+  // Logout function. Ends the session on the server too, so the tokens stop
+  // working even if they were copied somewhere.
+  const logout = async () => {
+    try {
+      await sessionsAPI.revokeCurrent();
+    } catch (error) {
+      // Already signed out there
+    }
+    clearStoredAuth();
     setUser(null);
     toast.success('Signed out. See you soon! 👋');
   };
 
+  // After a rename, so ownsHandle and links use the new handle
+  const updateHandle = (handle) => {
+    localStorage.setItem('auth_handle', handle);
+    setUser((current) => current && { ...current, handle });
+  };
+
   // Check if user owns a specific handle
   const ownsHandle = (handle) => {
     if (!user?.handle || !handle) return false;
@@ -107,7 +182,11 @@ export function AuthProvider({ children }) {
     user,
     loading,
     login,
+    recover,
+    completeTwitterSignup,
     loginWithTwitter,
+    linkTwitter,
+    updateHandle,
     logout,
     ownsHandle,
     isAuthenticated: !!user,
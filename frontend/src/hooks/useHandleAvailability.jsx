@@ -0,0 +1,30 @@
+import { useQuery } from '@tanstack/react-query';
+import { userAPI } from '../services/api';
+import { validateHandle } from '../utils/validation';
+import { useDebouncedValue } from './useDebouncedValue.jsx';
+
+// Live check of a handle being typed: validated here first, then asked about
+// once typing pauses. status is 'invalid', 'checking', 'available' or 'taken'.
+export function useHandleAvailability(handle, enabled = true) {
+  const errors = validateHandle(handle);
+  const isValid = errors.length === 0;
+  const debouncedHandle = useDebouncedValue(handle);
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['handleAvailable', debouncedHandle],
+    queryFn: () => userAPI.checkAvailability(debouncedHandle),
+    enabled: enabled && isValid && debouncedHandle === handle,
+    retry: false,
+  });
+
+  let status;
+  if (!isValid) {
+    status = 'invalid';
+  } else if (isFetching || debouncedHandle !== handle || data?.handle !== handle) {
+    status = 'checking';
+  } else {
+    status = data.available ? 'available' : 'taken';
+  }
+
+  return { status, errors };
+}
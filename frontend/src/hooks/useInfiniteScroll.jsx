@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+
+// Calls onLoadMore whenever the returned ref's element scrolls into view
+// (with some margin, so the next page is usually there before it's needed)
+export function useInfiniteScroll(onLoadMore, enabled = true) {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof window.IntersectionObserver === 'undefined') {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        onLoadMoreRef.current();
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled]);
+
+  return sentinelRef;
+}
@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { API_BASE, eventsAPI } from '../services/api';
+
+// Give up on the stream after this many errors without a successful connection
+const MAX_STREAM_FAILURES = 3;
+
+// Subscribe to the owner's private event channel and patch the React Query
+// caches in place. Returns whether the stream is live so callers can fall
+// back to polling when it isn't.
+export function useOwnerEvents(handle, enabled = true) {
+  const queryClient = useQueryClient();
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!enabled || !handle || !localStorage.getItem('auth_token') || typeof window.EventSource === 'undefined') {
+      return;
+    }
+
+    let source = null;
+    let closed = false;
+    let failures = 0;
+    let hasConnected = false;
+    const handlers = {};
+
+    const removeQuestion = (questionId) => {
+      queryClient.setQueryData(['questions', handle, 'unanswered'], (questions) =>
+        questions?.filter((q) => q.id !== questionId)
+      );
+    };
+
+    // ['answers', handle] is an infinite query: { pages: [{ answers, nextCursor, total? }], pageParams }
+    const updateAnswerPages = (updater) => {
+      queryClient.setQueryData(['answers', handle], (data) => {
+        if (!data?.pages?.length) return data;
+        const pages = updater(data.pages);
+        return pages === data.pages ? data : { ...data, pages };
+      });
+    };
+
+    handlers['question.created'] = (event) => {
+      const question = JSON.parse(event.data);
+      queryClient.setQueryData(['questions', handle, 'unanswered'], (questions) => {
+        if (!questions || questions.some((q) => q.id === question.id)) return questions;
+        return [question, ...questions];
+      });
+      queryClient.invalidateQueries(['stats', handle]);
+    };
+
+    handlers['question.deleted'] = (event) => {
+      const { id } = JSON.parse(event.data);
+      removeQuestion(id);
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+    };
+
+    handlers['question.restored'] = (event) => {
+      const question = JSON.parse(event.data);
+      if (question.status === 'pending') {
+        queryClient.setQueryData(['questions', handle, 'unanswered'], (questions) => {
+          if (!questions || questions.some((q) => q.id === question.id)) return questions;
+          return [question, ...questions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        });
+      }
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+    };
+
+    handlers['question.updated'] = (event) => {
+      const { id, status } = JSON.parse(event.data);
+      if (status !== 'pending') {
+        removeQuestion(id);
+      }
+      queryClient.invalidateQueries(['stats', handle]);
+    };
+
+    handlers['answer.published'] = (event) => {
+      const answer = JSON.parse(event.data);
+      removeQuestion(answer.questionId);
+      updateAnswerPages((pages) => {
+        if (pages.some((page) => page.answers.some((a) => a.id === answer.id))) return pages;
+        const [first, ...rest] = pages;
+        return [{ ...first, answers: [answer, ...first.answers], total: first.total + 1 }, ...rest];
+      });
+      queryClient.invalidateQueries(['stats', handle]);
+    };
+
+    handlers['answer.updated'] = (event) => {
+      const answer = JSON.parse(event.data);
+      updateAnswerPages((pages) => pages.map((page) => ({
+        ...page,
+        answers: page.answers.map((a) => (a.id === answer.id && a.revision < answer.revision ? answer : a)),
+      })));
+      queryClient.invalidateQueries(['answer', String(answer.id)]);
+    };
+
+    handlers['answer.deleted'] = (event) => {
+      const { id } = JSON.parse(event.data);
+      updateAnswerPages((pages) => {
+        if (!pages.some((page) => page.answers.some((a) => a.id === id))) return pages;
+        return pages.map((page, index) => ({
+          ...page,
+          answers: page.answers.filter((a) => a.id !== id),
+          ...(index === 0 && { total: page.total - 1 }),
+        }));
+      });
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+    };
+
+    handlers['answer.restored'] = () => {
+      // Restored answers go back to their original place in the list
+      queryClient.invalidateQueries(['answers', handle]);
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+    };
+
+    // The stream is opened with a short-lived ticket in the URL, so each
+    // (re)connect fetches a new one and builds a new EventSource
+    const connect = async () => {
+      let ticket;
+      try {
+        ({ ticket } = await eventsAPI.ticket());
+      } catch (error) {
+        console.warn('Inbox event stream unavailable, falling back to polling');
+        return;
+      }
+      if (closed) return;
+
+      source = new EventSource(`${API_BASE}/events/${handle}?ticket=${encodeURIComponent(ticket)}`);
+      Object.entries(handlers).forEach(([type, handler]) => source.addEventListener(type, handler));
+
+      source.onopen = () => {
+        failures = 0;
+        setConnected(true);
+
+        // Anything could have happened while we were disconnected
+        if (hasConnected) {
+          queryClient.invalidateQueries(['questions', handle]);
+          queryClient.invalidateQueries(['answers', handle]);
+        }
+        hasConnected = true;
+      };
+
+      source.onerror = () => {
+        failures += 1;
+        setConnected(false);
+        if (failures >= MAX_STREAM_FAILURES) {
+          console.warn('Inbox event stream unavailable, falling back to polling');
+          source.close();
+        } else if (source.readyState === EventSource.CLOSED) {
+          // Refused, most likely because the ticket expired
+          connect();
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      source?.close();
+      setConnected(false);
+    };
+  }, [handle, enabled, queryClient]);
+
+  return { connected };
+}
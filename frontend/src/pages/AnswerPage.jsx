@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { answersAPI } from '../services/api';
+import Loading from '../components/Loading';
+import AnswerHistory from '../components/AnswerHistory';
+
+export default function AnswerPage() {
+  const { id } = useParams();
+  const [showHistory, setShowHistory] = useState(false);
+
+  const { data: answer, isLoading, error } = useQuery({
+    queryKey: ['answer', id],
+    queryFn: () => answersAPI.getSingle(id),
+    retry: (failureCount, err) => err.status !== 404 && failureCount < 1,
+  });
+
+  if (isLoading) {
+    return <Loading size="lg" className="mt-20" />;
+  }
+
+  if (error || !answer) {
+    return (
+      <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-sm p-12 text-center">
+        <p className="text-5xl mb-3">🤷</p>
+        <p className="text-gray-700 font-semibold mb-2">This answer isn't here anymore</p>
+        <p className="text-sm text-gray-500 mb-4">It may have been deleted by its author.</p>
+        <Link to="/" className="text-blue-500 hover:text-blue-600 font-medium">
+          Find traders to ask →
+        </Link>
+      </div>
+    );
+  }
+
+  const shareUrl = `${window.location.origin}/a/${answer.id}`;
+  const tweetUrl = `https://twitter.com/intent/tweet?${new URLSearchParams({
+    text: `@${answer.userHandle} on TraderFM: ${answer.questionText}`,
+    url: shareUrl,
+  })}`;
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+        {/* Author */}
+        <Link to={`/u/${answer.userHandle}`} className="flex items-center gap-3 mb-6 group">
+          {answer.userProfileImage ? (
+            <img src={answer.userProfileImage} alt={answer.userHandle} className="w-12 h-12 rounded-full" />
+          ) : (
+            <div className="w-12 h-12 rounded-full bg-blue-100 text-blue-600 font-bold text-xl flex items-center justify-center">
+              {answer.userHandle.charAt(0).toUpperCase()}
+            </div>
+          )}
+          <div>
+            <p className="font-bold text-gray-900 group-hover:text-blue-600">
+              {answer.userName || `@${answer.userHandle}`}
+            </p>
+            {answer.userName && <p className="text-sm text-gray-500">@{answer.userHandle}</p>}
+          </div>
+        </Link>
+
+        {/* Q&A */}
+        <p className="text-gray-600 mb-4 text-lg">
+          <span className="font-semibold text-gray-400">Anonymous asked:</span> {answer.questionText}
+        </p>
+        <p className="text-gray-900 text-xl border-l-4 border-blue-200 pl-4 whitespace-pre-wrap">
+          {answer.answerText}
+        </p>
+        <p className="text-xs text-gray-400 mt-4">
+          {format(new Date(answer.createdAt), 'MMM d, yyyy · h:mm a')}
+          {answer.edited && (
+            <>
+              {' · '}
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className="text-gray-500 hover:text-blue-500 underline decoration-dotted"
+              >
+                edited
+              </button>
+            </>
+          )}
+        </p>
+        {showHistory && <AnswerHistory answerId={answer.id} />}
+
+        {/* Share */}
+        <div className="flex items-center gap-4 mt-6 pt-4 border-t border-gray-100 text-sm">
+          <button
+            onClick={() => {
+              navigator.clipboard.writeText(shareUrl);
+              toast.success('Link copied! 🔗');
+            }}
+            className="text-blue-500 hover:text-blue-600 font-medium active-press"
+          >
+            Copy link
+          </button>
+          <a
+            href={tweetUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-500 hover:text-blue-600 font-medium"
+          >
+            Share on X
+          </a>
+        </div>
+      </div>
+
+      <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg p-4 border border-blue-100 text-center">
+        <Link to={`/u/${answer.userHandle}`} className="text-blue-600 hover:text-blue-700 font-medium">
+          Ask @{answer.userHandle} your own question →
+        </Link>
+      </div>
+    </div>
+  );
+}
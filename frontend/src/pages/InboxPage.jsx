@@ -3,10 +3,17 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
-import { questionsAPI, statsAPI } from '../services/api';
+import { questionsAPI, statsAPI, userAPI } from '../services/api';
 import { validateAnswer } from '../utils/validation';
 import { useAuth } from '../hooks/useAuth.jsx';
+import { useOwnerEvents } from '../hooks/useOwnerEvents.jsx';
 import Loading from '../components/Loading';
+import TelegramConnect from '../components/TelegramConnect';
+import PrivacySettings from '../components/PrivacySettings';
+import TrashPanel from '../components/TrashPanel';
+import AccountSecurity from '../components/AccountSecurity';
+import SessionsPanel from '../components/SessionsPanel';
+import HandleSettings from '../components/HandleSettings';
 
 export default function InboxPage() {
   const { handle } = useParams();
@@ -18,25 +25,42 @@ export default function InboxPage() {
   const [answer, setAnswer] = useState('');
   const [errors, setErrors] = useState([]);
 
+  // An old inbox link may use a handle this user has since renamed
+  const ownsPage = ownsHandle(handle);
+  const handleCheck = useQuery({
+    queryKey: ['handle', handle],
+    queryFn: () => userAPI.checkHandle(handle),
+    enabled: !authLoading && !!user && !ownsPage,
+    retry: false,
+  });
+
   // Check if already authenticated
   useEffect(() => {
     // Wait for auth to load before checking
-    if (authLoading) return;
+    if (authLoading || ownsPage) return;
+    if (user && !handleCheck.isSuccess && !handleCheck.isError) return;
     
-    // If user is not authenticated for this handle, redirect to home
-    if (!ownsHandle(handle)) {
-      console.log('Auth check failed:', { userHandle: user?.handle, pageHandle: handle });
-      toast.error('This inbox belongs to someone else. Sign in to view yours!');
-      navigate('/');
+    const renamed = handleCheck.data;
+    if (renamed?.renamedFrom && ownsHandle(renamed.handle)) {
+      navigate(`/inbox/${renamed.handle}`, { replace: true });
+      return;
     }
-  }, [handle, ownsHandle, navigate, authLoading, user]);
+    
+    // If user is not authenticated for this handle, redirect to home
+    console.log('Auth check failed:', { userHandle: user?.handle, pageHandle: handle });
+    toast.error('This inbox belongs to someone else. Sign in to view yours!');
+    navigate('/');
+  }, [handle, ownsPage, ownsHandle, navigate, authLoading, user, handleCheck.isSuccess, handleCheck.isError, handleCheck.data]);
+
+  // Live updates pushed to the owner; poll only if the stream is down
+  const { connected: liveUpdates } = useOwnerEvents(handle, ownsHandle(handle));
 
   // Fetch unanswered questions
   const { data: questions = [], isLoading: loadingQuestions } = useQuery({
     queryKey: ['questions', handle, 'unanswered'],
     queryFn: () => questionsAPI.getUnanswered(handle),
     enabled: ownsHandle(handle),
-    refetchInterval: 5000, // Refresh every 5 seconds
+    refetchInterval: liveUpdates ? false : 5000, // Refresh every 5 seconds
   });
 
   // Fetch stats
@@ -64,13 +88,57 @@ export default function InboxPage() {
     },
   });
 
-  // Mutation for deleting questions
+  // Mutation for restoring a question from the trash
+  const restoreMutation = useMutation({
+    mutationFn: (questionId) => questionsAPI.restore(questionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['questions', handle]);
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+      toast.success('Question restored ♻️');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not restore question. Please try again.');
+    },
+  });
+
+  // Mutation for deleting questions (moved to the trash, so offer an undo)
   const deleteMutation = useMutation({
     mutationFn: (questionId) => questionsAPI.delete(questionId),
+    onSuccess: (data, questionId) => {
+      queryClient.invalidateQueries(['questions', handle]);
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+      toast((t) => (
+        <span className="flex items-center gap-3">
+          Question moved to trash 🗑️
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              restoreMutation.mutate(questionId);
+            }}
+            className="text-blue-600 hover:text-blue-700 font-semibold"
+          >
+            Undo
+          </button>
+        </span>
+      ), { duration: 6000 });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not delete question. Please try again.');
+    },
+  });
+
+  // Mutation for dismissing questions (kept, but out of the inbox)
+  const dismissMutation = useMutation({
+    mutationFn: (questionId) => questionsAPI.dismiss(questionId),
     onSuccess: () => {
       queryClient.invalidateQueries(['questions', handle]);
       queryClient.invalidateQueries(['stats', handle]);
-      toast.success('Question removed ��️');
+      toast.success('Question dismissed');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not dismiss question. Please try again.');
     },
   });
 
@@ -128,6 +196,24 @@ export default function InboxPage() {
         )}
       </div>
 
+      {/* Telegram notifications */}
+      <TelegramConnect />
+
+      {/* Live feed privacy */}
+      <PrivacySettings />
+
+      {/* Deleted questions and answers */}
+      <TrashPanel handle={handle} />
+
+      {/* Sign-in methods, secret key and recovery codes */}
+      <AccountSecurity />
+
+      {/* Signed-in devices */}
+      <SessionsPanel />
+
+      {/* Rename */}
+      <HandleSettings />
+
       {/* Share reminder */}
       <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200 rounded-lg p-4 mb-6">
         <p className="text-sm text-blue-700">
@@ -177,11 +263,7 @@ export default function InboxPage() {
               <div className="flex justify-between items-start mb-4">
                 <p className="text-gray-800 flex-1 text-lg">{q.text}</p>
                 <button
-                  onClick={() => {
-                    if (window.confirm('Delete this question? This cannot be undone.')) {
-                      deleteMutation.mutate(q.id);
-                    }
-                  }}
+                  onClick={() => deleteMutation.mutate(q.id)}
                   disabled={deleteMutation.isLoading}
                   className="ml-4 text-gray-400 hover:text-red-500 transition"
                   title="Delete question"
@@ -241,15 +323,25 @@ export default function InboxPage() {
                   </div>
                 </div>
               ) : (
-                <button
-                  onClick={() => {
-                    setAnsweringId(q.id);
-                    // Auto-focus will happen due to autoFocus prop on textarea
-                  }}
-                  className="bg-blue-100 text-blue-700 px-4 py-2 rounded-lg hover:bg-blue-200 transition active-press font-medium"
-                >
-                  Write Answer →
-                </button>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => {
+                      setAnsweringId(q.id);
+                      // Auto-focus will happen due to autoFocus prop on textarea
+                    }}
+                    className="bg-blue-100 text-blue-700 px-4 py-2 rounded-lg hover:bg-blue-200 transition active-press font-medium"
+                  >
+                    Write Answer →
+                  </button>
+                  <button
+                    onClick={() => dismissMutation.mutate(q.id)}
+                    disabled={dismissMutation.isLoading}
+                    className="px-4 py-2 text-gray-500 hover:text-gray-700 transition active-press text-sm"
+                    title="Hide this question without answering"
+                  >
+                    Dismiss
+                  </button>
+                </div>
               )}
             </div>
           ))}
@@ -1,20 +1,40 @@
-import React, { useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useQuery, useMutation } from '@tanstack/react-query';
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
-import { questionsAPI, answersAPI, userAPI } from '../services/api';
+import { questionsAPI, answersAPI, userAPI, searchAPI } from '../services/api';
 import { validateQuestion } from '../utils/validation';
 import { containsProfanity, getProfanityMessage } from '../utils/profanity';
 import { useAuth } from '../hooks/useAuth.jsx';
+import { useOwnerEvents } from '../hooks/useOwnerEvents.jsx';
+import { useDebouncedValue } from '../hooks/useDebouncedValue.jsx';
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll.jsx';
 import Loading from '../components/Loading';
+import SearchResults from '../components/SearchResults';
+import AnswerHistory from '../components/AnswerHistory';
+import AnswerEditor from '../components/AnswerEditor';
+
+const FEEDS = [
+  { type: 'application/rss+xml', extension: 'xml', label: 'RSS' },
+  { type: 'application/atom+xml', extension: 'atom', label: 'Atom' },
+  { type: 'application/feed+json', extension: 'json', label: 'JSON Feed' },
+];
 
 export default function ProfilePage() {
   const { handle } = useParams();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
   const { ownsHandle } = useAuth();
   const [question, setQuestion] = useState('');
   const [errors, setErrors] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [searchPage, setSearchPage] = useState(1);
+  const [historyAnswerId, setHistoryAnswerId] = useState(null);
+  // Answer being edited: { id, revision, draft, conflict }
+  const [editing, setEditing] = useState(null);
+  const searchQuery = useDebouncedValue(searchInput.trim());
+  const isSearching = searchQuery.length >= 2;
 
   // Check if handle exists
   const { data: profileData, isLoading: checkingHandle, error: profileError } = useQuery({
@@ -33,12 +53,55 @@ export default function ProfilePage() {
     },
   });
 
-  // Fetch answers
-  const { data: answersData, isLoading: loadingAnswers } = useQuery({
+  // The trader renamed their handle: send old links to the new profile
+  useEffect(() => {
+    if (profileData?.renamedFrom === handle) {
+      navigate(`/u/${profileData.handle}`, { replace: true });
+    }
+  }, [profileData, handle, navigate]);
+
+  // Feed autodiscovery for browsers and extensions (the server adds the same
+  // links to the HTML it sends for /u/:handle)
+  useEffect(() => {
+    const links = FEEDS.map(({ type, extension, label }) => {
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.type = type;
+      link.title = `@${handle} answers (${label})`;
+      link.href = `/u/${handle}/feed.${extension}`;
+      document.head.appendChild(link);
+      return link;
+    });
+    return () => links.forEach((link) => link.remove());
+  }, [handle]);
+
+  // Owners get their new answers pushed; everyone else polls
+  const { connected: liveUpdates } = useOwnerEvents(handle, ownsHandle(handle));
+
+  // Fetch answers, a page at a time as the reader scrolls
+  const {
+    data: answersData,
+    isLoading: loadingAnswers,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
     queryKey: ['answers', handle],
-    queryFn: () => answersAPI.getByHandle(handle),
-    enabled: !!profileData?.exists,
-    refetchInterval: 10000, // Refresh every 10 seconds
+    queryFn: ({ pageParam }) => answersAPI.getByHandle(handle, pageParam),
+    getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
+    enabled: !!profileData?.exists && !profileData.renamedFrom,
+    refetchInterval: liveUpdates ? false : 10000, // Refresh every 10 seconds
+  });
+
+  // Re-armed after each page, so it keeps loading while the end is in view
+  const loadMoreRef = useInfiniteScroll(fetchNextPage, !!hasNextPage && !isFetchingNextPage);
+
+  // Search this trader's answers
+  const { data: searchData, isLoading: searching } = useQuery({
+    queryKey: ['search', searchQuery, searchPage, handle],
+    queryFn: () => searchAPI.search(searchQuery, { handle, page: searchPage }),
+    enabled: isSearching && !!profileData?.exists,
+    keepPreviousData: true,
   });
 
   // Mutation for asking questions
@@ -57,6 +120,103 @@ export default function ProfilePage() {
     },
   });
 
+  // Patch the loaded answer pages in place (used for optimistic updates)
+  const updateAnswers = (updater) => {
+    queryClient.setQueryData(['answers', handle], (data) => data && {
+      ...data,
+      pages: data.pages.map((page, index) => updater(page, index)),
+    });
+  };
+
+  const replaceAnswer = (answer) => updateAnswers((page) => ({
+    ...page,
+    answers: page.answers.map((a) => (a.id === answer.id ? answer : a)),
+  }));
+
+  // Mutation for editing an answer (owner only). Shows the new text right
+  // away; if the answer changed elsewhere the server refuses with 409 and
+  // the editor reopens with the draft next to the latest version.
+  const editMutation = useMutation({
+    mutationFn: ({ answer, text, expectedRevision }) =>
+      answersAPI.update(answer.id, text, expectedRevision),
+    onMutate: async ({ answer, text }) => {
+      await queryClient.cancelQueries(['answers', handle]);
+      const previous = queryClient.getQueryData(['answers', handle]);
+      replaceAnswer({ ...answer, answerText: text, edited: true });
+      setEditing(null);
+      return { previous };
+    },
+    onError: (error, { answer, text }, context) => {
+      queryClient.setQueryData(['answers', handle], context.previous);
+
+      if (error.status === 409 && error.answer) {
+        replaceAnswer(error.answer);
+        setEditing({ id: answer.id, revision: error.answer.revision, draft: text, conflict: error.answer });
+        toast.error('This answer was changed somewhere else. Review it before saving.');
+        return;
+      }
+
+      setEditing({ id: answer.id, revision: answer.revision, draft: text, conflict: null });
+      toast.error(error.message || 'Could not save your edit. Please try again.');
+    },
+    onSuccess: (data) => {
+      replaceAnswer(data.answer);
+      queryClient.invalidateQueries(['answer', String(data.answer.id)]);
+      toast.success('Answer updated ✏️');
+    },
+  });
+
+  // Mutation for restoring a deleted answer from the undo toast
+  const restoreMutation = useMutation({
+    mutationFn: (answerId) => answersAPI.restore(answerId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['answers', handle]);
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+      toast.success('Answer restored ♻️');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Could not restore answer. Please try again.');
+    },
+  });
+
+  // Mutation for deleting an answer (owner only; it goes to the trash)
+  const deleteMutation = useMutation({
+    mutationFn: (answerId) => answersAPI.delete(answerId),
+    onMutate: async (answerId) => {
+      await queryClient.cancelQueries(['answers', handle]);
+      const previous = queryClient.getQueryData(['answers', handle]);
+      updateAnswers((page, index) => ({
+        ...page,
+        answers: page.answers.filter((a) => a.id !== answerId),
+        ...(index === 0 && { total: page.total - 1 }),
+      }));
+      return { previous };
+    },
+    onError: (error, answerId, context) => {
+      queryClient.setQueryData(['answers', handle], context.previous);
+      toast.error(error.message || 'Could not delete answer. Please try again.');
+    },
+    onSuccess: (data, answerId) => {
+      queryClient.invalidateQueries(['stats', handle]);
+      queryClient.invalidateQueries(['trash']);
+      toast((t) => (
+        <span className="flex items-center gap-3">
+          Answer moved to trash 🗑️
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              restoreMutation.mutate(answerId);
+            }}
+            className="text-blue-600 hover:text-blue-700 font-semibold"
+          >
+            Undo
+          </button>
+        </span>
+      ), { duration: 6000 });
+    },
+  });
+
   const handleSubmit = (e) => {
     e.preventDefault();
     
@@ -80,8 +240,8 @@ export default function ProfilePage() {
     return <Loading size="lg" className="mt-20" />;
   }
 
-  const answers = answersData?.answers || [];
-  const totalAnswers = answersData?.total || 0;
+  const answers = answersData?.pages.flatMap((page) => page.answers) || [];
+  const totalAnswers = answersData?.pages[0]?.total || 0;
   const isOwner = ownsHandle(handle);
   const shareUrl = `${window.location.origin}/u/${handle}`;
 
@@ -102,7 +262,7 @@ export default function ProfilePage() {
             <div>
               <h1 className="text-2xl font-bold flex items-center gap-2">
                 @{handle}
-                {profileData?.auth_type === 'twitter' && (
+                {profileData?.twitter_username && (
                   <svg className="w-5 h-5 text-blue-400" fill="currentColor" viewBox="0 0 24 24">
                     <path d="M23.953 4.57a10 10 0 01-2.825.775 4.958 4.958 0 002.163-2.723c-.951.555-2.005.959-3.127 1.184a4.92 4.92 0 00-8.384 4.482C7.69 8.095 4.067 6.13 1.64 3.162a4.822 4.822 0 00-.666 2.475c0 1.71.87 3.213 2.188 4.096a4.904 4.904 0 01-2.228-.616v.06a4.923 4.923 0 003.946 4.827 4.996 4.996 0 01-2.212.085 4.936 4.936 0 004.604 3.417 9.867 9.867 0 01-6.102 2.105c-.39 0-.779-.023-1.17-.067a13.995 13.995 0 007.557 2.209c9.053 0 13.998-7.496 13.998-13.985 0-.21 0-.42-.015-.63A9.935 9.935 0 0024 4.59z"/>
                   </svg>
@@ -177,14 +337,36 @@ export default function ProfilePage() {
 
       {/* Answers section */}
       <div className="bg-white rounded-lg shadow-sm p-6">
-        <h2 className="text-xl font-bold mb-6">
-          {totalAnswers === 0 
-            ? "Questions & Answers" 
-            : `${totalAnswers} Public ${totalAnswers === 1 ? 'Answer' : 'Answers'}`
-          }
-        </h2>
+        <div className="flex items-center justify-between gap-4 mb-6">
+          <h2 className="text-xl font-bold">
+            {totalAnswers === 0 
+              ? "Questions & Answers" 
+              : `${totalAnswers} Public ${totalAnswers === 1 ? 'Answer' : 'Answers'}`
+            }
+          </h2>
+          {totalAnswers > 0 && (
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => {
+                setSearchInput(e.target.value);
+                setSearchPage(1);
+              }}
+              placeholder={`Search @${handle}'s answers`}
+              className="w-48 sm:w-64 px-3 py-1.5 text-sm border-2 border-gray-200 rounded-lg focus:outline-none focus:border-blue-400 transition"
+              maxLength={100}
+            />
+          )}
+        </div>
 
-        {answers.length === 0 ? (
+        {isSearching ? (
+          <SearchResults
+            data={searchData}
+            isLoading={searching}
+            showHandle={false}
+            onPageChange={setSearchPage}
+          />
+        ) : answers.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-4xl mb-3">💭</div>
             <p className="text-gray-500 mb-2">
@@ -208,14 +390,69 @@ export default function ProfilePage() {
                 <p className="text-gray-600 mb-2">
                   <span className="font-semibold text-gray-400">Anonymous asked:</span> {answer.questionText}
                 </p>
-                <p className="text-gray-900">
-                  <span className="font-semibold text-blue-600">@{handle}:</span> {answer.answerText}
-                </p>
+                {editing?.id === answer.id ? (
+                  <AnswerEditor
+                    key={`${answer.id}-${editing.revision}`}
+                    initialText={editing.draft}
+                    conflict={editing.conflict}
+                    saving={editMutation.isLoading}
+                    onSave={(text) => editMutation.mutate({ answer, text, expectedRevision: editing.revision })}
+                    onCancel={() => setEditing(null)}
+                  />
+                ) : (
+                  <p className="text-gray-900">
+                    <span className="font-semibold text-blue-600">@{handle}:</span> {answer.answerText}
+                  </p>
+                )}
                 <p className="text-xs text-gray-400 mt-2">
-                  {format(new Date(answer.createdAt), 'MMM d, yyyy · h:mm a')}
+                  <Link to={`/a/${answer.id}`} className="hover:text-blue-500 hover:underline" title="Link to this answer">
+                    {format(new Date(answer.createdAt), 'MMM d, yyyy · h:mm a')}
+                  </Link>
+                  {answer.edited && (
+                    <>
+                      {' · '}
+                      <button
+                        onClick={() => setHistoryAnswerId(historyAnswerId === answer.id ? null : answer.id)}
+                        className="text-gray-500 hover:text-blue-500 underline decoration-dotted"
+                        title={`Last edited ${format(new Date(answer.updatedAt), 'MMM d, yyyy · h:mm a')}`}
+                      >
+                        edited
+                      </button>
+                    </>
+                  )}
+                  {isOwner && editing?.id !== answer.id && (
+                    <>
+                      {' · '}
+                      <button
+                        onClick={() => setEditing({ id: answer.id, revision: answer.revision, draft: answer.answerText, conflict: null })}
+                        className="text-gray-500 hover:text-blue-500"
+                      >
+                        Edit
+                      </button>
+                      {' · '}
+                      <button
+                        onClick={() => deleteMutation.mutate(answer.id)}
+                        className="text-gray-500 hover:text-red-500"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
                 </p>
+                {historyAnswerId === answer.id && <AnswerHistory answerId={answer.id} />}
               </div>
             ))}
+            {hasNextPage && (
+              <div ref={loadMoreRef} className="text-center">
+                <button
+                  onClick={() => fetchNextPage()}
+                  disabled={isFetchingNextPage}
+                  className="text-sm text-blue-500 hover:text-blue-600 disabled:text-gray-400"
+                >
+                  {isFetchingNextPage ? 'Loading more answers...' : 'Load more answers'}
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -250,6 +487,17 @@ export default function ProfilePage() {
             Post this on Twitter, share in group chats, or add to your bio
           </p>
         )}
+        <p className="text-xs text-gray-500 text-center mt-2">
+          Follow {isOwner ? 'your' : `@${handle}'s`} answers in a feed reader:{' '}
+          {FEEDS.map(({ extension, label }, index) => (
+            <React.Fragment key={extension}>
+              {index > 0 && ' · '}
+              <a href={`/u/${handle}/feed.${extension}`} className="text-blue-500 hover:text-blue-600">
+                {label}
+              </a>
+            </React.Fragment>
+          ))}
+        </p>
       </div>
 
     </div>
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { searchAPI } from '../services/api';
+import { useDebouncedValue } from '../hooks/useDebouncedValue.jsx';
+import SearchResults from '../components/SearchResults';
+
+export default function SearchPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [input, setInput] = useState(searchParams.get('q') || '');
+  const query = useDebouncedValue(input.trim());
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  // Keep the query in the URL so searches can be shared
+  useEffect(() => {
+    if (query === (searchParams.get('q') || '')) return;
+    setSearchParams(query ? { q: query } : {}, { replace: true });
+  }, [query, searchParams, setSearchParams]);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['search', query, page],
+    queryFn: () => searchAPI.search(query, { page }),
+    enabled: query.length >= 2,
+    keepPreviousData: true,
+  });
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+        <h1 className="text-2xl font-bold mb-4">Search answers</h1>
+        <input
+          type="search"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Position sizing, options, breakouts..."
+          className="w-full p-3 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-blue-400 transition"
+          maxLength={100}
+          autoFocus
+        />
+      </div>
+
+      {query.length >= 2 && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <SearchResults
+            data={data}
+            isLoading={isLoading}
+            onPageChange={(nextPage) => setSearchParams({ q: query, page: nextPage })}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
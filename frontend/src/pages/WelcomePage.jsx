@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { useHandleAvailability } from '../hooks/useHandleAvailability.jsx';
+import HandleStatus from '../components/HandleStatus';
+
+// First sign-in with Twitter: pick a handle before the account is created
+export default function WelcomePage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { completeTwitterSignup } = useAuth();
+  const signupCode = searchParams.get('signup');
+  const twitterUsername = searchParams.get('twitter');
+
+  const [handle, setHandle] = useState(searchParams.get('suggested') || '');
+  const [submitting, setSubmitting] = useState(false);
+  const { status, errors } = useHandleAvailability(handle, !!signupCode);
+
+  if (!signupCode) {
+    return <Navigate to="/" replace />;
+  }
+
+  const available = status === 'available';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!available) return;
+
+    setSubmitting(true);
+    const newHandle = await completeTwitterSignup(signupCode, handle);
+    setSubmitting(false);
+    if (newHandle) {
+      navigate(`/inbox/${newHandle}`, { replace: true });
+    }
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+        <h1 className="text-3xl font-bold mb-2 text-gray-800 text-center">Pick your handle</h1>
+        <p className="text-gray-600 mb-6 text-center">
+          {twitterUsername ? `Signed in as @${twitterUsername} on Twitter. ` : ''}
+          Your handle is your page at {window.location.host}/u/…
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="flex items-center border-2 border-gray-200 rounded-lg focus-within:border-blue-400 transition">
+            <span className="pl-3 text-gray-400">@</span>
+            <input
+              type="text"
+              value={handle}
+              onChange={(e) => setHandle(e.target.value.toLowerCase().trim())}
+              className="w-full p-3 rounded-lg focus:outline-none"
+              maxLength={20}
+              autoFocus
+            />
+          </div>
+          <HandleStatus handle={handle} status={status} errors={errors} />
+          <button
+            type="submit"
+            disabled={!available || submitting}
+            className="w-full bg-blue-500 text-white py-3 px-4 rounded-lg font-semibold hover:bg-blue-600 transition disabled:opacity-50"
+          >
+            {submitting ? 'Creating your page…' : 'Continue'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
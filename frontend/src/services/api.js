@@ -1,7 +1,7 @@
 import axios from 'axios';
 
 // API Base URL - can be overridden by environment variable
-const API_BASE = import.meta.env.VITE_API_URL || '/api';
+export const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -11,10 +11,82 @@ const api = axios.create({
   },
 });
 
+// Access tokens last 15 minutes; refresh a little before that
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const tokenExpiresAt = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000;
+  } catch (error) {
+    return 0;
+  }
+};
+
+export const clearStoredAuth = () => {
+  localStorage.removeItem('auth_token');
+  localStorage.removeItem('auth_refresh_token');
+  localStorage.removeItem('auth_handle');
+  localStorage.removeItem('auth_type');
+};
+
+// Tabs share the tokens in localStorage, so a refresh holds this lock: two
+// tabs spending the same refresh token would look like a replay and end the
+// session. Browsers without the Web Locks API refresh unguarded.
+const REFRESH_LOCK = 'auth_refresh';
+
+const withRefreshLock = (callback) => (navigator.locks
+  ? navigator.locks.request(REFRESH_LOCK, callback)
+  : callback());
+
+// Trade the refresh token for new tokens. Concurrent callers share one
+// request, since each refresh token only works once.
+let refreshing = null;
+export const refreshSession = () => {
+  if (!refreshing) {
+    const staleRefreshToken = localStorage.getItem('auth_refresh_token');
+    refreshing = withRefreshLock(async () => {
+      const refreshToken = localStorage.getItem('auth_refresh_token');
+      if (!refreshToken) {
+        throw new Error('Not signed in');
+      }
+      // Another tab refreshed while this one waited for the lock
+      if (refreshToken !== staleRefreshToken) {
+        return localStorage.getItem('auth_token');
+      }
+
+      const { data } = await axios.post(`${API_BASE}/sessions/refresh`, { refreshToken });
+      localStorage.setItem('auth_token', data.token);
+      localStorage.setItem('auth_refresh_token', data.refreshToken);
+      // Picks up a handle change made on another device
+      if (data.handle) {
+        localStorage.setItem('auth_handle', data.handle);
+      }
+      return data.token;
+    }).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// The stored access token, refreshed first if it is about to expire
+export const getAccessToken = async () => {
+  const token = localStorage.getItem('auth_token');
+  if (!token || tokenExpiresAt(token) - Date.now() > REFRESH_MARGIN_MS) {
+    return token;
+  }
+  try {
+    return await refreshSession();
+  } catch (error) {
+    return token;
+  }
+};
+
 // Add auth token to requests if available
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('auth_token');
+  async (config) => {
+    const token = await getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -26,7 +98,20 @@ api.interceptors.request.use(
 // Handle API responses
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
+  async (error) => {
+    const { config } = error;
+
+    // The access token was refused; a fresh one may still be good
+    if (error.response?.status === 401 && config && !config.retriedAfterRefresh
+      && localStorage.getItem('auth_refresh_token')) {
+      try {
+        await refreshSession();
+        return api({ ...config, retriedAfterRefresh: true });
+      } catch (refreshError) {
+        // Fall through: the session is gone
+      }
+    }
+    
     console.error('API Error:', {
       status: error.response?.status,
       data: error.response?.data,
@@ -36,7 +121,7 @@ api.interceptors.response.use(
     
     if (error.response?.status === 401) {
       // Clear auth and redirect to home
-      localStorage.removeItem('auth_token');
+      clearStoredAuth();
       window.location.href = '/';
     }
     
@@ -55,9 +140,32 @@ api.interceptors.response.use(
 // User/Handle API
 export const userAPI = {
   checkHandle: (handle) => api.get(`/users/check/${handle}`),
-  createHandle: (handle) => api.post('/users/create', { handle }),
+  // { handle, available }; invalid handles are rejected with the reasons
+  checkAvailability: (handle) => api.get(`/users/available/${handle}`),
+  // Trades the one-time code from the Twitter callback for tokens
+  twitterSignIn: (code) => api.post('/auth/twitter/session', { code }),
+  // Ticket for the Twitter link page, which the browser navigates to
+  twitterLinkTicket: () => api.post('/auth/twitter/link'),
+  // Creates a new Twitter user's account with the handle they picked
+  twitterSignup: (signupCode, handle) => api.post('/auth/twitter/signup', { signupCode, handle }),
+  // recoveryCodes: true also returns one-time recovery codes
+  createHandle: (handle, recoveryCodes = false) => api.post('/users/create', { handle, recoveryCodes }),
   authenticate: (handle, secretKey) => api.post('/users/auth', { handle, secretKey }),
+  // Uses up the code and returns a new secret key along with the tokens
+  recover: (handle, recoveryCode) => api.post('/users/recover', { handle, recoveryCode }),
+  // The old handle keeps resolving here; limited to once a month
+  renameHandle: (handle) => api.put('/users/me/handle', { handle }),
+  rotateKey: () => api.post('/users/me/rotate-key'),
+  // Sign-in methods: secret_key, twitter
+  getIdentities: () => api.get('/users/me/identities'),
+  removeIdentity: (provider) => api.delete(`/users/me/identities/${provider}`),
+  // A fallback secret key for accounts that sign in with Twitter
+  addSecretKey: () => api.post('/users/me/secret-key'),
+  getRecoveryCodes: () => api.get('/users/me/recovery-codes'),
+  issueRecoveryCodes: () => api.post('/users/me/recovery-codes'),
   getDirectory: () => api.get('/users/directory'),
+  getPrivacy: () => api.get('/users/me/privacy'),
+  updatePrivacy: (settings) => api.put('/users/me/privacy', settings),
 };
 
 // Questions API
@@ -65,14 +173,50 @@ export const questionsAPI = {
   ask: (handle, text) => api.post(`/questions/${handle}`, { text }),
   getUnanswered: (handle) => api.get(`/questions/${handle}/unanswered`),
   answer: (questionId, answerText) => api.post(`/questions/${questionId}/answer`, { answerText }),
+  dismiss: (questionId) => api.post(`/questions/${questionId}/dismiss`),
+  archive: (questionId) => api.post(`/questions/${questionId}/archive`),
   delete: (questionId) => api.delete(`/questions/${questionId}`),
+  restore: (questionId) => api.post(`/questions/${questionId}/restore`),
 };
 
 // Answers API
 export const answersAPI = {
-  getByHandle: (handle, page = 1, limit = 20) => 
-    api.get(`/answers/${handle}`, { params: { page, limit } }),
+  // Pass the previous page's nextCursor to get the page after it
+  getByHandle: (handle, cursor, limit = 20) =>
+    api.get(`/answers/${handle}`, { params: { cursor, limit } }),
+  getSingle: (answerId) => api.get(`/answers/single/${answerId}`),
+  getRevisions: (answerId) => api.get(`/answers/${answerId}/revisions`),
+  // expectedRevision makes the server refuse (409) if the answer changed since
+  update: (answerId, answerText, expectedRevision) =>
+    api.put(`/answers/${answerId}`, { answerText, expectedRevision }),
   delete: (answerId) => api.delete(`/answers/${answerId}`),
+  restore: (answerId) => api.post(`/answers/${answerId}/restore`),
+};
+
+// Sessions API (signed-in devices)
+export const sessionsAPI = {
+  list: () => api.get('/sessions'),
+  revoke: (sessionId) => api.delete(`/sessions/${sessionId}`),
+  revokeCurrent: () => api.delete('/sessions/current'),
+  // Every session but this one
+  revokeOthers: () => api.delete('/sessions', { params: { except: 'current' } }),
+};
+
+// Events API (the owner's live event stream)
+export const eventsAPI = {
+  // Short-lived ticket for opening the stream; EventSource can't send headers
+  ticket: () => api.post('/events/ticket'),
+};
+
+// Trash API (deleted questions and answers, restorable for 30 days)
+export const trashAPI = {
+  get: () => api.get('/trash'),
+};
+
+// Search API
+export const searchAPI = {
+  search: (q, { handle, page = 1, limit = 20 } = {}) =>
+    api.get('/search', { params: { q, handle, page, limit } }),
 };
 
 // Stats API
@@ -80,4 +224,11 @@ export const statsAPI = {
   getHandleStats: (handle) => api.get(`/stats/${handle}`),
 };
 
+// Telegram notifications API
+export const telegramAPI = {
+  getStatus: () => api.get('/telegram/status'),
+  connect: () => api.post('/telegram/connect'),
+  disconnect: () => api.post('/telegram/disconnect'),
+};
+
 export default api; 
\ No newline at end of file
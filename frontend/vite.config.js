@@ -10,6 +10,11 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:5001',
         changeOrigin: true,
+      },
+      // Answer feeds: /feed.xml, /u/:handle/feed.atom, ...
+      '^(/u/[^/]+)?/feed\\.(xml|atom|json)$': {
+        target: 'http://localhost:5001',
+        changeOrigin: true,
       }
     }
   }